@@ -1,917 +1,959 @@
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
-const { chromium } = require('playwright');
+const fs = require('fs');
 const dotenv = require('dotenv');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-dotenv.config();
-
-const requiredEnvVars = [
-  'SITE_URL',
-  'DISCORD_WEBHOOK_URL_1',
-  'DISCORD_WEBHOOK_URL_2',
-  'DISCORD_WEBHOOK_URL_3',
-  'MAX_NEWS_MESSAGES',
-  'DISCORD_TAG',
-  'LOG_FILE'
-];
-
-const missingEnvVars = requiredEnvVars.filter((name) => !process.env[name]);
-if (missingEnvVars.length > 0) {
-  console.error(`Missing required .env values: ${missingEnvVars.join(', ')}`);
-  process.exit(1);
-}
-
-// Load all Gemini API keys
-const geminiApiKeys = [];
-for (let i = 1; i <= 100; i++) {
-  const key = process.env[`GEMINI_API_KEY_${i}`];
-  if (key && String(key).trim()) {
-    geminiApiKeys.push(String(key).trim());
-  } else {
-    break; // Stop at first missing key
-  }
-}
-
-if (geminiApiKeys.length === 0) {
-  console.error('Missing required .env value: GEMINI_API_KEY_1 (at least one Gemini API key is required)');
-  process.exit(1);
-}
-
-console.log(`Loaded ${geminiApiKeys.length} Gemini API key(s)`);
-
-const siteUrl = process.env.SITE_URL;
-
-const webhookUrls = [
-  process.env.DISCORD_WEBHOOK_URL_1,
-  process.env.DISCORD_WEBHOOK_URL_2,
-  process.env.DISCORD_WEBHOOK_URL_3
-].map((s) => String(s || '').trim()).filter(Boolean);
-
-if (webhookUrls.length !== 3) {
-  console.error('You must set DISCORD_WEBHOOK_URL_1, DISCORD_WEBHOOK_URL_2, DISCORD_WEBHOOK_URL_3.');
-  process.exit(1);
-}
-
-const maxMessages = Number(process.env.MAX_NEWS_MESSAGES || 10);
-const tag = process.env.DISCORD_TAG || '';
-const logFilePath = process.env.LOG_FILE;
-
-const headless = process.env.HEADLESS !== 'false';
-const navigationTimeoutMs = Number(process.env.NAV_TIMEOUT_MS || 60000);
-const pageWaitTimeoutMs = Number(process.env.PAGE_WAIT_TIMEOUT_MS || 45000);
-
-const userAgent =
-  process.env.USER_AGENT ||
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36';
+const { createSources, collectItems } = require('./src/sources');
+const { isRtlLanguage, containsRtlText, isOriginalLanguage } = require('./src/format');
+const { createRouter } = require('./src/routing');
+const { createTranslationCache } = require('./src/translationCache');
+const { createItemStore } = require('./src/store');
+const { createOutbox } = require('./src/outbox');
+const { createPreview } = require('./src/preview');
+const { ConfigError, loadConfig } = require('./src/config');
+const { EXIT_CODES, CommandError, exitCodeFor, parseCommandArgs, parseCountFlag } = require('./src/cli');
+const { createTranslationProviders, createTranslationChain } = require('./src/translators');
+const { createGeminiProvider } = require('./src/translators/gemini');
+const { createImpactAnalyzer } = require('./src/impact');
+const { marketTimeToUtc, runDaemon } = require('./src/daemon');
+const { DIGEST_PERIODS, buildDigest, formatDigestEmbed, createDigestScheduler, sendDigest } = require('./src/digest');
+const { EXPORT_FORMATS, parseArchiveDate, createArchive, formatArchiveLine, formatCsv, formatJsonl } = require('./src/archive');
+const { metrics, registry } = require('./src/metrics');
+const { evaluateHealth, startMetricsServer } = require('./src/metricsServer');
+const { logger, configureLogger, withLogContext, newRunId } = require('./src/logger');
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-// Gemini translation settings
-const geminiModelName = String(process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite').trim();
-const translateTo = String(process.env.TRANSLATE_TO || 'Hebrew').trim();
-const geminiBatchSize = Math.max(1, Number(process.env.GEMINI_BATCH_SIZE || 12));
-const geminiMinDelayMs = Math.max(0, Number(process.env.GEMINI_MIN_DELAY_MS || 5000));
-
-// Create Gemini clients for all API keys
-const geminiClients = geminiApiKeys.map(key => new GoogleGenerativeAI(key));
-
-// Track current key index for cycling
-let currentKeyIndex = 0;
-
-// Track rate-limited keys with timestamp
-const rateLimitedKeys = new Map(); // keyIndex -> timestamp when it became limited
-
-const isGeminiRateLimitError = (err) => {
-  const msg = String(err?.message || '');
-  return msg.includes('429') || msg.toLowerCase().includes('too many requests') || msg.toLowerCase().includes('quota');
+// Hash of everything that is displayed: changes whenever TipRanks corrects a field
+const createContentHash = (item) => {
+  const tickersKey = Array.isArray(item.tickers) ? item.tickers.join(',') : '';
+  const fields = `${item.time}|${item.sentiment}|${item.fullTweet}|${item.summary}|${tickersKey}|${item.sector}`;
+  // TipRanks items keep the original unprefixed hash so existing logs stay valid
+  const raw = item.source && item.source !== 'tipranks' ? `${item.source}|${fields}` : fields;
+  return crypto.createHash('sha256').update(raw).digest('hex');
 };
 
-const isGeminiServiceError = (err) => {
-  const msg = String(err?.message || '');
-  const status = err?.status;
-  return status === 503 || status === 500 || msg.toLowerCase().includes('overloaded') || msg.toLowerCase().includes('service unavailable');
+// Stable identity of an item: the upstream record ID when the source has one,
+// otherwise its time plus the original post content
+const createItemIdentity = (item) => {
+  const source = item.source || 'tipranks';
+  const raw = item.externalId
+    ? `${source}|id:${item.externalId}`
+    : `${source}|${item.time}|${item.fullTweet || item.summary}`;
+  return crypto.createHash('sha256').update(raw).digest('hex');
 };
 
-// Get next key in cycle, moving to the next one automatically
-const getNextKeyInCycle = () => {
-  const keyIndex = currentKeyIndex;
-  currentKeyIndex = (currentKeyIndex + 1) % geminiApiKeys.length;
-  return keyIndex;
-};
+// Oldest first by publication time; items without one go last, in the order they came in
+const byPublishedAt = (a, b) => (a.item.publishedAt ?? Infinity) - (b.item.publishedAt ?? Infinity) || 0;
 
-// Check if a key is currently rate-limited
-const isKeyRateLimited = (keyIndex) => {
-  const limitedTimestamp = rateLimitedKeys.get(keyIndex);
-  if (!limitedTimestamp) return false;
-  
-  const now = Date.now();
-  // If key was rate-limited more than 1 hour ago, consider it available again
-  if (now - limitedTimestamp >= 3600000) {
-    rateLimitedKeys.delete(keyIndex);
-    return false;
-  }
-  
-  return true;
+// Full store ID from an ID or its first characters (log lines show the first 12)
+const findStoredId = (store, prefix) => {
+  const ids = store.list().map((r) => r.id).filter((id) => id.startsWith(prefix));
+  if (ids.length === 0) throw new CommandError(`No item "${prefix}" in the store.`, EXIT_CODES.notFound);
+  if (ids.length > 1) throw new CommandError(`"${prefix}" matches ${ids.length} items, give more of the ID.`);
+  return ids[0];
 };
 
-// Mark a key as rate-limited
-const markKeyAsRateLimited = (keyIndex) => {
-  console.warn(`⚠️  API key #${keyIndex + 1} hit rate limit. Marking as rate-limited.`);
-  rateLimitedKeys.set(keyIndex, Date.now());
+// Market-impact notes for the entries posted to at least one destination configured with
+// `impact`. Lands in entry.impact; an entry the analysis failed for gets none.
+const analyzeEntries = async (analyzer, entries) => {
+  const targets = entries.filter((e) => e.destinations.some((d) => d.impact));
+  const impacts = await analyzer.analyze(targets.map((e) => e.item));
+  targets.forEach((entry, i) => {
+    if (impacts[i]) entry.impact = impacts[i];
+  });
 };
 
-// Try to find an available (non-rate-limited) key, starting from current position
-const findAvailableKey = () => {
-  const startIndex = currentKeyIndex;
-  let attempts = 0;
-  
-  while (attempts < geminiApiKeys.length) {
-    const keyIndex = (startIndex + attempts) % geminiApiKeys.length;
+// Translate summaries and full tweets of all entries, once per distinct destination language,
+// and the rationale of market-impact notes going to destinations in that language.
+// Results land in entry.translations[language]; failed items fall back to the original text.
+const translateEntries = async (translateSummaries, entries) => {
+  const languages = [...new Set(entries.flatMap((e) => e.destinations.map((d) => d.language)))]
+    .filter((language) => !isOriginalLanguage(language));
+
+  for (const language of languages) {
+    const targets = entries.filter((e) => e.destinations.some((d) => d.language === language));
+    logger.info(`Attempting to translate content for ${targets.length} items to ${language}...`);
     
-    if (!isKeyRateLimited(keyIndex)) {
-      // Update current index to this key for next cycle
-      currentKeyIndex = (keyIndex + 1) % geminiApiKeys.length;
-      return keyIndex;
-    }
+    // Translate summaries (all rows have summaries)
+    const translatedSummaries = await translateSummaries(targets.map((e) => e.item.summary), language);
     
-    attempts++;
-  }
-  
-  // All keys are rate-limited, return first key and hope for the best
-  console.warn('⚠️  All Gemini API keys are rate-limited. Using first key anyway.');
-  currentKeyIndex = 1 % geminiApiKeys.length;
-  return 0;
-};
-
-const translateSummariesWithGemini = async (summaries) => {
-  if (!Array.isArray(summaries) || summaries.length === 0) return [];
-
-  const translateChunk = async (chunk, attemptCount = 0) => {
-    const indices = chunk.map((_, i) => i);
-    const payload = indices.map((i) => ({ i, text: String(chunk[i] ?? '') }));
-
-    const prompt =
-      `Translate the following news summary texts to ${translateTo}.\n` +
-      `Return ONLY valid JSON in this exact shape: {"translations":["...", ...]}\n` +
-      `The translations array MUST be the same length and order as the input array.\n\n` +
-      `Input JSON:\n${JSON.stringify({ items: payload }, null, 0)}`;
-
-    const maxAttempts = geminiApiKeys.length * 3;
+    // Translate full tweets (only for rows that have them)
+    const withFullTweet = targets.filter((e) => e.item.fullTweet);
+    let translatedFullTweets = null;
     
-    if (attemptCount >= maxAttempts) {
-      throw new Error(`Translation failed after ${maxAttempts} attempts across all ${geminiApiKeys.length} API key(s)`);
-    }
-
-    try {
-      const keyIndex = findAvailableKey();
-      const model = geminiClients[keyIndex].getGenerativeModel({ model: geminiModelName });
-      
-      console.log(`\n📡 Gemini API Call #${attemptCount + 1}`);
-      console.log(`   Using API key: #${keyIndex + 1}/${geminiApiKeys.length}`);
-      console.log(`   Model: ${geminiModelName}`);
-      console.log(`   Translating ${chunk.length} item(s) to ${translateTo}`);
-      console.log(`   Input preview: "${chunk[0]?.substring(0, 60)}..."`);
-      
-      const result = await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0,
-          maxOutputTokens: 8192
-        }
-      });
-
-      const text = result?.response?.text?.() ?? '';
-      const jsonMatch = String(text).match(/\{[\s\S]*\}/);
-      const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : JSON.parse(text);
-
-      const translations = Array.isArray(parsed?.translations) ? parsed.translations : [];
-      if (translations.length !== chunk.length) throw new Error('Gemini returned unexpected translation count.');
-      
-      console.log(`   ✅ Translation successful`);
-      console.log(`   Output preview: "${translations[0]?.substring(0, 60)}..."\n`);
-      
-      return translations.map((t) => String(t ?? '').trim());
-    } catch (err) {
-      console.log(`   ❌ Translation failed: ${err.message}\n`);
-      
-      if (isGeminiRateLimitError(err)) {
-        const failedKeyIndex = (currentKeyIndex - 1 + geminiApiKeys.length) % geminiApiKeys.length;
-        
-        if (!isKeyRateLimited(failedKeyIndex)) {
-          markKeyAsRateLimited(failedKeyIndex);
-        }
-        
-        const allLimited = geminiApiKeys.every((_, idx) => isKeyRateLimited(idx));
-        if (allLimited) {
-          console.warn(`⚠️  All ${geminiApiKeys.length} API key(s) are rate-limited. Add more keys or wait for rate limits to reset.`);
-        }
-        
-        console.log(`   🔄 Switching to next API key...`);
-        await sleep(1000);
-        return translateChunk(chunk, attemptCount + 1);
-      }
-      
-      if (isGeminiServiceError(err)) {
-        console.warn(`   ⚠️  Gemini service error (${err.status || 'unknown'}): ${err.message}`);
-        throw err;
-      }
-      
-      throw err;
+    if (withFullTweet.length > 0) {
+      logger.info(`Attempting to translate ${withFullTweet.length} full tweets to ${language}...`);
+      translatedFullTweets = await translateSummaries(withFullTweet.map((e) => e.item.fullTweet), language);
     }
-  };
-
-  try {
-    console.log(`\n🌐 Starting Gemini translation process`);
-    console.log(`   Total items: ${summaries.length}`);
-    console.log(`   Batch size: ${geminiBatchSize}`);
-    console.log(`   Batches: ${Math.ceil(summaries.length / geminiBatchSize)}`);
     
-    const out = [];
-    for (let i = 0; i < summaries.length; i += geminiBatchSize) {
-      const chunk = summaries.slice(i, i + geminiBatchSize);
-      console.log(`\n📦 Processing batch ${Math.floor(i / geminiBatchSize) + 1}/${Math.ceil(summaries.length / geminiBatchSize)}`);
-      
-      const translated = await translateChunk(chunk);
-      out.push(...translated);
-      
-      if (i + geminiBatchSize < summaries.length && geminiMinDelayMs > 0) {
-        console.log(`   ⏱️  Waiting ${geminiMinDelayMs}ms before next batch...`);
-        await sleep(geminiMinDelayMs);
-      }
+    if (translatedSummaries === null) logger.info(`✗ Using original summaries for ${language} (translation failed)`);
+    if (withFullTweet.length > 0 && translatedFullTweets === null) {
+      logger.info(`✗ Using original full tweets for ${language} (translation failed)`);
     }
     
-    console.log(`\n✅ Translation complete: ${out.length}/${summaries.length} items translated\n`);
-    return out;
-  } catch (err) {
-    console.error(`\n❌ Translation failed: ${err.message}`);
-    console.warn('⚠️  Falling back to untranslated text\n');
-    return null;
-  }
-};
-
-const ensureLogFileDir = () => {
-  const dir = path.dirname(logFilePath);
-  if (!dir || dir === '.') return;
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-};
+    const fallbacks = targets.filter((_, i) => !translatedSummaries?.[i]).length +
+      withFullTweet.filter((_, i) => !translatedFullTweets?.[i]).length;
+    if (fallbacks > 0) metrics.translationFallbacks.inc({ language }, fallbacks);
+    
+    targets.forEach((entry, i) => {
+      const fullTweetIndex = withFullTweet.indexOf(entry);
+      entry.translations[language] = {
+        summary: translatedSummaries?.[i] || entry.item.summary,
+        fullTweet: (fullTweetIndex >= 0 && translatedFullTweets?.[fullTweetIndex]) || entry.item.fullTweet
+      };
+    });
 
-const loadProcessedIds = () => {
-  try {
-    if (!fs.existsSync(logFilePath)) return [];
-    const raw = fs.readFileSync(logFilePath, 'utf8').trim();
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    console.warn('Unable to parse log file, starting with empty log.');
-    return [];
+    const withImpact = targets.filter((e) => e.impact && e.destinations.some((d) => d.language === language && d.impact));
+    if (withImpact.length > 0) {
+      const rationales = await translateSummaries(withImpact.map((e) => e.impact.rationale), language);
+      withImpact.forEach((entry, i) => {
+        entry.translations[language].impact = { ...entry.impact, rationale: rationales?.[i] || entry.impact.rationale };
+      });
+    }
   }
 };
 
-const writeProcessedIds = (ids) => {
-  ensureLogFileDir();
-  fs.writeFileSync(logFilePath, `${JSON.stringify(ids, null, 2)}\n`, 'utf8');
-};
 
-const createMessageId = (item) => {
-  const tickersKey = Array.isArray(item.tickers) ? item.tickers.join(',') : '';
-  const raw = `${item.time}|${item.sentiment}|${item.fullTweet}|${item.summary}|${tickersKey}|${item.sector}`;
-  return crypto.createHash('sha256').update(raw).digest('hex');
+// The item as a destination should see it: translated text where available, and the
+// market-impact note if the destination wants one
+const localizeItem = (entry, sink) => {
+  const { impact, ...translated } = entry.translations[sink.language] || {};
+  const item = { ...entry.item, ...translated };
+  if (sink.impact && entry.impact) item.impact = impact || entry.impact;
+  return item;
 };
 
-const sendDiscordMessage = async (webhookUrl, content) => {
-  while (true) {
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ content })
-    });
-
-    if (response.ok) return;
-
-    if (response.status === 429) {
-      let retryAfterMs = 1000;
-      try {
-        const body = await response.json();
-        retryAfterMs = Math.ceil((Number(body.retry_after) || 1) * 1000);
-      } catch {}
-      await sleep(retryAfterMs + 250);
-      continue;
-    }
+// Bidi handling only applies when the text really is right-to-left (not an English fallback)
+const sendOptions = (entry, item, sink) => ({
+  id: entry.id,
+  rtl: isRtlLanguage(sink.language) && containsRtlText(`${item.summary} ${item.fullTweet}`)
+});
 
-    const errorText = await response.text();
-    throw new Error(`Discord webhook failed (${response.status}): ${errorText}`);
+// Post the parts of an outbox message not sent yet and record them in the store, then drop the
+// message from the outbox. Resolves to false when a part failed: the message stays queued for
+// a retry on a later run (or is dead-lettered).
+const deliverMessage = async (store, outbox, sink, message) => {
+  const messageIds = await outbox.deliver(message, sink.sendPart);
+  if (messageIds === null) return false;
+
+  // A forgotten or pruned item has no record left to add the messages to
+  if (store.has(message.itemId)) {
+    store.recordDestination(message.itemId, sink.name, messageIds);
+    store.recordPosted(message.itemId);
+    store.save();
   }
+  outbox.complete(message);
+  metrics.itemsPosted.inc({ destination: sink.name, type: sink.type });
+  return true;
 };
 
-const buildTradingViewLinks = (tickers) => {
-  if (!Array.isArray(tickers) || tickers.length === 0) return '—';
-
-  const cleaned = [];
-  const seen = new Set();
-
-  for (const t of tickers) {
-    const sym = String(t || '').trim().toUpperCase();
-    if (!sym) continue;
-    if (!/^[A-Z0-9.\-]{1,12}$/.test(sym)) continue;
-    if (seen.has(sym)) continue;
-    seen.add(sym);
-    cleaned.push(sym);
+// Post a new item to every destination picked for it. The item is stored before anything is
+// queued (postedAt is only set once a destination accepted it), so after a crash the next run leaves it to the outbox retries instead of taking it
+// for a new item. Each destination gets one outbox message, keyed by item and destination, and
+// only the parts that didn't go out are posted again.
+const postNewItem = async (store, outbox, entry) => {
+  store.recordSeen(entry.id, entry.item, entry.contentHash, entry.translations);
+  store.save();
+  
+  if (entry.destinations.length === 0) {
+    logger.info(`↷ No routing rule matched item ${entry.id.substring(0, 12)}, not posting it`);
+  }
+  
+  for (const sink of entry.destinations) {
+    const item = localizeItem(entry, sink);
+    const message = outbox.enqueue({
+      key: `${entry.id}|${sink.name}`,
+      itemId: entry.id,
+      destination: sink.name,
+      parts: sink.render(item, sendOptions(entry, item, sink))
+    });
+    if (message) await deliverMessage(store, outbox, sink, message);
   }
-
-  if (cleaned.length === 0) return '—';
-
-  return cleaned
-    .map((sym) => `[$${sym}](<https://www.tradingview.com/chart/?symbol=${encodeURIComponent(sym)}>)`)
-    .join(', ');
 };
 
-// Split long text into chunks that fit within Discord's limit
-const splitIntoChunks = (text, maxLength = 1990) => {
-  if (text.length <= maxLength) return [text];
+// The item was posted before and its content changed upstream: edit the original posts in place
+const updatePostedItem = async (store, entry) => {
+  const record = entry.existing;
+  const shortId = entry.id.substring(0, 12);
+  logger.info(`✏️  Item ${shortId} changed since it was posted, editing it in ${record.destinations.length} destination(s)`);
   
-  const chunks = [];
-  let remaining = text;
-  
-  while (remaining.length > 0) {
-    if (remaining.length <= maxLength) {
-      chunks.push(remaining);
-      break;
-    }
-    
-    // Try to find a good break point (newline, space, punctuation)
-    let splitIndex = maxLength;
-    
-    // Look for newline
-    const lastNewline = remaining.lastIndexOf('\n', maxLength);
-    if (lastNewline > maxLength * 0.7) {
-      splitIndex = lastNewline + 1;
-    } else {
-      // Look for space
-      const lastSpace = remaining.lastIndexOf(' ', maxLength);
-      if (lastSpace > maxLength * 0.7) {
-        splitIndex = lastSpace + 1;
-      }
+  for (const destination of record.destinations) {
+    const sink = entry.destinations.find((d) => d.name === destination.name);
+    if (!sink || !sink.supportsEdit || destination.messageIds.length === 0) {
+      logger.warn(`⚠️  Cannot edit item ${shortId} in "${destination.name}" (unknown or non-editable destination, or no message IDs recorded)`);
+      continue;
     }
     
-    chunks.push(remaining.substring(0, splitIndex).trim());
-    remaining = remaining.substring(splitIndex).trim();
+    const item = localizeItem(entry, sink);
+    const messageIds = await sink.edit(item, destination.messageIds, sendOptions(entry, item, sink));
+    store.setDestinationMessages(entry.id, destination.name, messageIds);
+    metrics.itemsEdited.inc({ destination: sink.name, type: sink.type });
   }
   
-  return chunks;
+  store.recordUpdated(entry.id, entry.item, entry.translations, entry.contentHash);
 };
 
-// message formatting (with source link & conditional sector and tickers)
-// Returns an array of message parts that need to be sent separately
-const formatMessage = (item) => {
-  const esc = (s) => String(s ?? '').trim();
-
-  const time = esc(item.time) || 'N/A';
-  const sentiment = esc(item.sentiment) || 'N/A';
-  const summary = esc(item.summary) || 'N/A';
-
-  const fullTweetRaw = esc(item.fullTweet);
-  const fullTweet = fullTweetRaw && fullTweetRaw !== '00' ? fullTweetRaw : '';
-
-  const sector = esc(item.sector);
-  const tickersLinks = buildTradingViewLinks(item.tickers);
-
-  const sentimentEmoji =
-    /bullish/i.test(sentiment) ? '🟢' :
-    /bearish/i.test(sentiment) ? '🔴' :
-    /neutral/i.test(sentiment) ? '⚪' : '🟦';
-
-  const lines = [];
-  
-  // Only add tickers line if it's not empty or "—"
-  if (tickersLinks && tickersLinks !== '—') {
-    lines.push(tickersLinks);
-  }
-  
-  // Only add sector line if it's not empty or "—"
-  if (sector && sector != '—') {
-    lines.push(`**Sector:** ${sector}`);
+// Record what postNewItem / updatePostedItem would send, without sending or storing anything
+const previewEntry = (preview, entry) => {
+  if (entry.destinations.length === 0) {
+    preview.addUnrouted(entry);
+    return;
   }
   
-  // Add empty line only if we added tickers or sector
-  if (lines.length > 0) {
-    lines.push('');
+  for (const sink of entry.destinations) {
+    const item = localizeItem(entry, sink);
+    const parts = sink.render(item, sendOptions(entry, item, sink));
+    preview.add(entry, sink, parts, entry.existing ? 'updated' : 'new');
   }
-  
-  // Add the rest of the message
-  lines.push(
-    `\`${time}\` (${sentimentEmoji} **${sentiment}**)`,
-    `${summary}`,
-    ``,
-    `💬 ${fullTweet}`,
-    ``,
-    `<${siteUrl}>`
-  );
-
-  const baseMessage = lines.join('\n');
-  const finalMessage = [baseMessage, tag].filter(Boolean).join('\n');
-  
-  // Split into chunks if message is too long
-  return splitIntoChunks(finalMessage, 1990);
 };
 
-const createContextOptions = () => ({
-  locale: 'en-US',
-  timezoneId: 'America/New_York',
-  viewport: { width: 1280, height: 720 },
-  userAgent,
-  extraHTTPHeaders: {
-    'Accept-Language': 'en-US,en;q=0.9',
-    'Upgrade-Insecure-Requests': '1'
-  }
-});
+// Everything one bot instance needs, built from a loaded config (see src/config.js).
+// Nothing is read from the environment and nothing runs until run() is called.
+const createBot = (config) => {
+  const {
+    sourceTypes,
+    siteUrl,
+    payloadUrl,
+    scrapeMode,
+    headless,
+    navigationTimeoutMs,
+    pageWaitTimeoutMs,
+    userAgent,
+    rssFeedUrls,
+    jsonSourceFiles,
+    destinations,
+    routingConfig,
+    maxMessages,
+    logFilePath,
+    storeRetentionMs,
+    maxItemAgeMs,
+    dryRun,
+    dryRunOutput,
+    dryRunTranslate,
+    dryRunIgnoreStore,
+    dryRunLimit,
+    postDelayMs,
+    daemon
+  } = config;
+
+  const translationCache = createTranslationCache({
+    filePath: config.translationCacheFile,
+    maxEntries: config.translationCacheMaxEntries,
+    maxAgeMs: config.translationCacheMaxAgeMs
+  });
 
-const dismissOverlaysStrict = async (page) => {
-  await page.keyboard.press('Escape').catch(() => {});
-  await page.waitForTimeout(100);
-  await page.keyboard.press('Escape').catch(() => {});
-};
+  const geminiSettings = {
+    apiKeys: config.geminiApiKeys,
+    modelName: config.geminiModelName,
+    batchSize: config.geminiBatchSize,
+    minDelayMs: config.geminiMinDelayMs,
+    baseUrl: config.geminiBaseUrl,
+    keyPool: config.geminiKeyPool
+  };
+
+  const translator = createTranslationChain({
+    providers: createTranslationProviders(config.translationProviders, {
+      gemini: geminiSettings,
+      openai: config.openai,
+      libretranslate: config.libretranslate
+    }),
+    cache: translationCache
+  });
 
-const installNavigationGuard = async (page, targetUrl) => {
-  await page.route('**/*', async (route) => {
-    const url = route.request().url();
-    if (url.includes('/terms') || url.includes('/privacy')) return route.abort();
-    return route.continue();
+  // Market-impact notes share the Gemini provider (and its key pool) with translation, or get
+  // one of their own when Gemini isn't a translation provider
+  const wantsImpact = destinations.some((d) => d.impact);
+  const gemini = translator.providers.find((p) => p.name === 'gemini') || (wantsImpact ? createGeminiProvider(geminiSettings) : null);
+  const impactAnalyzer = wantsImpact ? createImpactAnalyzer({ provider: gemini }) : null;
+
+  // Sources (with a kept-open browser in daemon mode) and the store live as long as the bot,
+  // so a daemon reuses them from one poll to the next
+  const sources = createSources(sourceTypes, {
+    tipranks: {
+      siteUrl,
+      payloadUrl,
+      scrapeMode,
+      headless,
+      navigationTimeoutMs,
+      pageWaitTimeoutMs,
+      userAgent,
+      maxMessages,
+      keepBrowserOpen: daemon
+    },
+    rssFeedUrls,
+    jsonSourceFiles,
+    userAgent,
+    timeoutMs: navigationTimeoutMs
   });
 
-  page.on('framenavigated', async (frame) => {
-    if (frame !== page.mainFrame()) return;
-    const url = frame.url();
-    if (!url.includes('/trump-dashboard')) {
+  let store = null;
+  let outbox = null;
+
+  const archive = !dryRun && config.archive.enabled ? createArchive({ dirPath: config.archive.dir }) : null;
+
+  // Archive entries as soon as they are handled (versions archived already are skipped). The
+  // archive is a record, not state: failing to write it never fails the run
+  const archiveEntries = (entries) => {
+    try {
+      archive?.append(entries);
+    } catch (err) {
+      logger.warn(`⚠️  Unable to archive ${entries.length} item(s): ${err.message}`);
+    }
+  };
+
+  const digests = !dryRun && config.digest.schedule.length > 0
+    ? createDigestScheduler({
+      filePath: config.digest.stateFile,
+      schedule: config.digest.schedule,
+      time: config.digest.time,
+      weekday: config.digest.weekday
+    })
+    : null;
+
+  // Scheduled digests that are due; a failed one is tried again after the next run
+  const sendDueDigests = async () => {
+    for (const { period, key } of digests?.due() || []) {
       try {
-        await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: navigationTimeoutMs });
-      } catch {}
+        await sendDigest(store.list(), { period, webhookUrl: config.digest.webhookUrl, top: config.digest.top, tickers: config.tickers });
+        digests.markSent(period, key);
+      } catch (err) {
+        logger.warn(`⚠️  Unable to send the ${period} digest, trying again next run: ${err.message}`);
+      }
     }
-  });
-};
+  };
 
-const scrollToRecentTweets = async (page) => {
-  const recent = page.locator('text=Recent Tweets').first();
-  if (await recent.count().catch(() => 0)) {
-    await recent.scrollIntoViewIfNeeded().catch(() => {});
-    await page.waitForTimeout(300);
-  }
-};
+  const logKeyUsage = () => {
+    for (const line of gemini?.keys.formatReport() || []) logger.info(line);
+  };
 
-const waitForReactTable = async (page) => {
-  const scroller = page.locator('.rt-table').first();
-  await scroller.waitFor({ timeout: pageWaitTimeoutMs });
+  // For /healthz
+  const status = { startedAt: Date.now(), lastRunAt: null, lastSuccessAt: null, lastError: null };
 
-  const firstRow = page.locator('.rt-tbody .rt-tr-group').first();
-  await firstRow.waitFor({ timeout: pageWaitTimeoutMs });
+  // Loaded once, then kept in memory. Throws on a corrupt store: better to stop than to repost everything
+  const loadStore = () => {
+    if (!store) {
+      store = createItemStore({
+        filePath: dryRun && dryRunIgnoreStore ? null : logFilePath,
+        retentionMs: storeRetentionMs
+      });
+    }
+    return store;
+  };
 
-  return scroller;
-};
+  const loadOutbox = () => {
+    if (!outbox) outbox = createOutbox(config.outbox);
+    return outbox;
+  };
 
-const buildPayloadIndex = (payloadItems) => {
-  const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
-  const timeIndex = new Map(); // Map: time -> array of items
-  const summaryIndex = new Map(); // Map: summary -> item
+  // Post the outbox messages whose retry is due, oldest first. Messages for a destination that
+  // is no longer configured wait until it is back (or are removed by hand).
+  const retryOutbox = async ({ signal } = {}) => {
+    for (const message of loadOutbox().due()) {
+      if (signal?.aborted) break;
+      const sink = destinations.find((d) => d.name === message.destination);
+      if (!sink) {
+        logger.warn(`⚠️  Outbox message for item ${message.itemId.substring(0, 12)} is for unknown destination "${message.destination}", leaving it queued`);
+        continue;
+      }
+      await withLogContext({ itemId: message.itemId.substring(0, 12) }, async () => {
+        logger.info(`🔁 Retrying item ${message.itemId.substring(0, 12)} to ${sink.name} (attempt ${message.attempts + 1})`);
+        await deliverMessage(store, outbox, sink, message);
+      });
+    }
+  };
 
-  for (const item of payloadItems || []) {
-    const time = clean(item?.postTime);
-    const summary = clean(item?.postSummary);
-    if (!time || !summary) continue;
-    
-    // Index by time (multiple items can have same time)
-    if (!timeIndex.has(time)) {
-      timeIndex.set(time, []);
+  // New items and items whose content changed since they were posted (edited in place),
+  // oldest first by publication time. New items published longer ago than maxItemAgeMs are
+  // left out, so a wiped store doesn't repost old news. With `since` (YYYY-MM-DD, a backfill)
+  // every item the sources return published from that day on (New York time) is taken
+  // instead of the newest maxMessages, whatever its age.
+  const collectPending = async ({ since = null } = {}) => {
+    const results = await collectItems(sources, since ? Infinity : maxMessages);
+    for (const { source, items } of results) {
+      metrics.itemsScraped.inc({ source }, items.length);
+      metrics.lastScrapeItems.set({ source }, items.length);
     }
-    timeIndex.get(time).push(item);
-    
-    // Index by summary (should be unique)
-    summaryIndex.set(summary, item);
-  }
 
-  return { timeIndex, summaryIndex, clean };
-};
+    const from = since ? marketTimeToUtc(since, 0) : null;
+    const staleBefore = !since && maxItemAgeMs ? Date.now() - maxItemAgeMs : null;
+    const ordered = [];
+    // Unchanged and stale items: nothing to post, but archived all the same
+    const passed = [];
+    let undated = 0;
+    for (const { source, items } of results) {
+      const pending = [];
+      let stale = 0;
+      // Items come newest-first
+      let candidates = dryRun && dryRunIgnoreStore && !since ? items.slice(0, dryRunLimit) : items;
+      if (since) {
+        undated += candidates.filter((item) => item.publishedAt == null).length;
+        candidates = candidates.filter((item) => item.publishedAt != null && item.publishedAt >= from);
+      }
+      for (const item of candidates) {
+        const id = createItemIdentity(item);
+        const contentHash = createContentHash(item);
+        // Hashed as received so upstream data still matches the store; routed and stored cleaned up
+        const tickers = config.tickers.normalize(item.tickers, { fromText: item.tickersFromText });
+        const entry = { id, contentHash, item: { ...item, tickers } };
+        const existing = store.findKnown(id, contentHash);
+        if (existing && existing.contentHash === contentHash) {
+          passed.push(entry);
+          continue;
+        }
+        if (!existing && staleBefore !== null && item.publishedAt != null && item.publishedAt < staleBefore) {
+          passed.push(entry);
+          stale++;
+          continue;
+        }
+        pending.push({ ...entry, existing, translations: {} });
+      }
+      if (stale > 0) {
+        metrics.staleItems.inc({ source }, stale);
+        logger.info(`⏭️  ${source}: skipped ${stale} new item(s) published more than ${maxItemAgeMs / 3600000}h ago`);
+      }
+      ordered.push(...pending.reverse());
+    }
+    ordered.sort(byPublishedAt);
+    archiveEntries(passed);
 
-const findPayloadMatch = (row, { timeIndex, summaryIndex, clean }) => {
-  const rowTime = clean(row?.time);
-  const rowSummary = clean(row?.summary);
-  if (!rowTime || !rowSummary) return null;
+    if (since) {
+      if (undated > 0) logger.warn(`⚠️  Skipped ${undated} item(s) without a publication time`);
+      logger.info(`⏪ Backfill since ${since}: ${ordered.length} item(s) not posted yet`);
+    }
 
-  // Strategy 1: Exact summary match (most reliable)
-  if (summaryIndex.has(rowSummary)) {
-    return summaryIndex.get(rowSummary);
-  }
+    for (const entry of ordered) {
+      (entry.existing ? metrics.updatedItems : metrics.newItems).inc({ source: entry.item.source });
+    }
+    return ordered;
+  };
 
-  // Strategy 2: Fuzzy summary match
-  // Sometimes the UI truncates summaries, so check if row summary is a prefix
-  for (const [fullSummary, item] of summaryIndex.entries()) {
-    if (fullSummary.startsWith(rowSummary) || rowSummary.startsWith(fullSummary)) {
-      const itemTime = clean(item?.postTime);
-      // Also verify time matches to avoid false positives
-      if (itemTime === rowTime) {
-        return item;
+  // Record pending items as handled without posting them (mark-seen)
+  const markSeen = (ordered) => {
+    for (const entry of ordered) {
+      if (entry.existing) {
+        store.recordUpdated(entry.id, entry.item, {}, entry.contentHash);
+      } else {
+        store.recordSeen(entry.id, entry.item, entry.contentHash);
       }
     }
-  }
+    if (dryRun) {
+      logger.info(`🧪 Dry run: ${ordered.length} item(s) would be marked as seen`);
+      return;
+    }
+    store.save();
+    archiveEntries(ordered);
+    logger.info(`👁️  Marked ${ordered.length} item(s) as seen without posting them (${store.size} record(s) in store)`);
+  };
 
-  // Strategy 3: Match by time only (when there's only one item at that time)
-  const itemsAtTime = timeIndex.get(rowTime);
-  if (itemsAtTime && itemsAtTime.length === 1) {
-    return itemsAtTime[0];
-  }
+  // Route, annotate, translate and post (or preview) pending entries, then save the store
+  const handleEntries = async (ordered, { signal } = {}) => {
+    // Pick destinations before translating so each item is only translated into the
+    // languages its destinations need
+    const route = createRouter(routingConfig, destinations);
+    for (const entry of ordered) {
+      entry.destinations = entry.existing
+        ? entry.existing.destinations.map((d) => destinations.find((sink) => sink.name === d.name)).filter(Boolean)
+        : route(entry.item);
+    }
 
-  // Strategy 4: Match by time with fuzzy summary comparison
-  if (itemsAtTime && itemsAtTime.length > 1) {
-    // Find the item with most similar summary
-    let bestMatch = null;
-    let bestScore = 0;
-    
-    for (const item of itemsAtTime) {
-      const itemSummary = clean(item?.postSummary);
-      if (!itemSummary) continue;
+    if (!dryRun || dryRunTranslate) {
+      // Notes first, so their rationale is translated along with the rest
+      if (impactAnalyzer) await analyzeEntries(impactAnalyzer, ordered);
+      await translateEntries(translator.translateSummaries, ordered);
+    }
+
+    if (dryRun) {
+      const preview = createPreview({ outputPath: dryRunOutput });
+      for (const entry of ordered) previewEntry(preview, entry);
+      preview.write();
       
-      // Simple similarity: count matching words
-      const rowWords = new Set(rowSummary.toLowerCase().split(/\s+/));
-      const itemWords = itemSummary.toLowerCase().split(/\s+/);
-      const matchingWords = itemWords.filter(w => rowWords.has(w)).length;
-      const score = matchingWords / Math.max(rowWords.size, itemWords.length);
+      const updatedCount = ordered.filter((e) => e.existing).length;
+      logger.info(`🧪 Dry run: ${ordered.length - updatedCount} new and ${updatedCount} updated item(s), ${preview.size} post(s) previewed${dryRunOutput ? ` in ${dryRunOutput}` : ''}.`);
+      if (dryRunTranslate) logKeyUsage();
+      return;
+    }
+
+    // Earlier failures first, so a retried message doesn't end up after newer news
+    await retryOutbox({ signal });
+
+    const handled = [];
+    for (let i = 0; i < ordered.length; i++) {
+      if (signal?.aborted) {
+        logger.info(`🛑 Stopping: ${ordered.length - i} item(s) left for the next run`);
+        break;
+      }
       
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = item;
+      const entry = ordered[i];
+      
+      await withLogContext({ itemId: entry.id.substring(0, 12) }, () =>
+        (entry.existing ? updatePostedItem(store, entry) : postNewItem(store, outbox, entry))
+      );
+      handled.push(entry);
+      // Checkpoint after every item: a crash or a cancelled job loses nothing already posted
+      store.save();
+      archiveEntries([entry]);
+      
+      // Delay between different messages
+      if (i < ordered.length - 1) {
+        await sleep(postDelayMs);
       }
     }
-    
-    // If we have a reasonable match (>50% word overlap), use it
-    if (bestMatch && bestScore > 0.5) {
-      return bestMatch;
-    }
-  }
-
-  return null;
-};
 
-const extractAllCurrentlyLoadedRows = async (page, payloadItems = []) => {
-  const rowsData = await page.evaluate(() => {
-    const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
-    const groups = Array.from(document.querySelectorAll('.rt-tbody .rt-tr-group'));
+    store.save();
+    const updatedCount = handled.filter((e) => e.existing).length;
+    logger.info(`✓ Processed ${handled.length - updatedCount} new and ${updatedCount} updated item(s) (${store.size} record(s) in store).`);
+    const queued = outbox.stats();
+    if (queued.pending > 0) logger.warn(`⚠️  ${queued.pending} message(s) waiting in the outbox for a retry`);
+    
+    const cacheStats = translationCache.stats;
+    logger.info(`🗄️  Translation cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es), ${translationCache.size} entries stored`);
+    logKeyUsage();
+  };
 
-    const extractTickersFromCell = (cell) => {
-      if (!cell) return [];
+  const runOnce = async ({ signal, since = null, markSeen: markOnly = false } = {}) => {
+    if (dryRun) logger.info('🧪 Dry run: nothing will be posted and the processed log will not be written');
+    loadStore();
 
-      const anchors = Array.from(cell.querySelectorAll('a[href^="/stocks/"], a[href^="/etf/"]'));
-      const syms = anchors
-        .map((a) => clean(a.textContent))
-        .filter(Boolean);
+    const ordered = await collectPending({ since });
+    if (markOnly) {
+      markSeen(ordered);
+      return;
+    }
+    await handleEntries(ordered, { signal });
+    await sendDueDigests();
+  };
 
-      if (syms.length > 0) return syms;
+  // Post a stored item again, by ID or ID prefix, to the named destinations or to the ones it
+  // went to before. Stored translations are reused; missing languages are translated now.
+  const replay = async (idPrefix, names = []) => {
+    const id = findStoredId(loadStore(), idPrefix);
+    const record = store.get(id);
 
-      const txt = clean(cell.textContent);
-      const matches = txt.match(/[A-Z]{1,6}(?=[\-\s]|$)/g) || [];
-      return matches;
+    const unknown = names.filter((name) => !destinations.some((d) => d.name === name));
+    if (unknown.length > 0) {
+      throw new CommandError(`Unknown destination(s) ${unknown.join(', ')} (known: ${destinations.map((d) => d.name).join(', ')})`, EXIT_CODES.notFound);
+    }
+    const sinks = names.length > 0
+      ? destinations.filter((d) => names.includes(d.name))
+      : destinations.filter((d) => record.destinations.some((posted) => posted.name === d.name));
+    if (sinks.length === 0) throw new CommandError(`Item ${id.substring(0, 12)} has no destination to replay to, pick some with --to.`);
+
+    const entry = {
+      id,
+      contentHash: record.contentHash,
+      item: { ...record.original, ...(record.source ? { source: record.source } : {}) },
+      translations: { ...record.translations },
+      destinations: sinks
     };
+    if (sinks.some((sink) => !isOriginalLanguage(sink.language) && !entry.translations[sink.language])) {
+      await translateEntries(translator.translateSummaries, [entry]);
+    }
 
-    return groups.map((group) => {
-      const row = group.querySelector('.rt-tr');
-      const cells = row ? Array.from(row.querySelectorAll('.rt-td')) : [];
+    if (dryRun) {
+      const preview = createPreview({ outputPath: dryRunOutput });
+      previewEntry(preview, entry);
+      preview.write();
+      return;
+    }
 
-      let time = '';
-      if (cells[0]) {
-        const spans = cells[0].querySelectorAll('span');
-        const t = spans[0] ? clean(spans[0].textContent) : '';
-        const d = spans[1] ? clean(spans[1].textContent) : '';
-        time = clean([t, d].filter(Boolean).join(' '));
+    // A replay is a new post on purpose: its outbox key is unique to this replay
+    const failed = [];
+    await withLogContext({ itemId: id.substring(0, 12) }, async () => {
+      for (const sink of sinks) {
+        const item = localizeItem(entry, sink);
+        const message = loadOutbox().enqueue({
+          key: `${id}|${sink.name}|replay:${Date.now()}`,
+          itemId: id,
+          destination: sink.name,
+          parts: sink.render(item, sendOptions(entry, item, sink))
+        });
+        if (await deliverMessage(store, outbox, sink, message)) {
+          logger.info(`🔁 Replayed item ${id.substring(0, 12)} to ${sink.name}`);
+        } else {
+          failed.push(sink.name);
+        }
       }
+    });
+    if (failed.length > 0) throw new Error(`Replaying item ${id.substring(0, 12)} to ${failed.join(', ')} failed, left in the outbox for a retry`);
+  };
 
-      const sentiment = cells[1] ? clean(cells[1].textContent) : '';
-
-      let summary = '';
-      if (cells[3]) {
-        const titled = cells[3].querySelector('[title]');
-        summary = clean((titled && titled.getAttribute('title')) || cells[3].textContent);
-      }
+  // signal (optional) stops the run between items: the item being sent is finished and the
+  // store saved, the rest is left for the next run. since (YYYY-MM-DD) backfills from that day;
+  // markSeen records what the sources return as handled without posting it.
+  const run = async (options) => {
+    status.lastRunAt = Date.now();
+    try {
+      await withLogContext({ runId: newRunId() }, () => runOnce(options));
+    } catch (err) {
+      status.lastError = err.message;
+      metrics.runs.inc({ result: 'failure' });
+      throw err;
+    }
+    status.lastSuccessAt = Date.now();
+    status.lastError = null;
+    metrics.runs.inc({ result: 'success' });
+    metrics.lastSuccessfulRun.set({}, Math.floor(status.lastSuccessAt / 1000));
+  };
 
-      const tickers = extractTickersFromCell(cells[4]);
+  const close = async () => {
+    for (const source of sources) {
+      await source.close?.();
+    }
+  };
 
-      const sector = cells[5] ? clean(cells[5].textContent).replace(/^—+$/, '—') : '—';
+  return { run, replay, close, translator, status: () => ({ ...status }) };
+};
 
-      return { time, sentiment, summary, tickers, sector };
-    });
+// Poll until SIGTERM/SIGINT. The first signal lets the current send finish and saves state;
+// a second one exits at once.
+const runAsDaemon = async (bot, config) => {
+  const controller = new AbortController();
+  const shutdown = (signalName) => {
+    if (controller.signal.aborted) {
+      logger.warn(`${signalName} received again, exiting immediately`);
+      process.exit(1);
+    }
+    logger.info(`${signalName} received, finishing in-flight sends before exiting...`);
+    controller.abort();
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  logger.info(`🔁 Daemon mode: polling every ${config.pollIntervalMs / 1000}s during market hours, every ${config.pollOffHoursIntervalMs / 1000}s otherwise`);
+  await runDaemon({
+    runOnce: bot.run,
+    signal: controller.signal,
+    marketHours: config.marketHours,
+    marketIntervalMs: config.pollIntervalMs,
+    offHoursIntervalMs: config.pollOffHoursIntervalMs,
+    maxBackoffMs: config.pollMaxBackoffMs
   });
+};
 
-  console.log(`Extracting full tweets for ${rowsData.length} rows from payload...`);
-  
-  if (rowsData.length > 0) {
-    console.log(`\n📊 Sample row from page:`);
-    console.log(`   Time: "${rowsData[0].time}"`);
-    console.log(`   Sentiment: "${rowsData[0].sentiment}"`);
-    console.log(`   Summary: "${rowsData[0].summary?.substring(0, 80)}..."`);
-  }
-  
-  const indices = buildPayloadIndex(payloadItems);
-  
-  console.log(`\n📑 Payload index summary:`);
-  console.log(`   Time index size: ${indices.timeIndex.size} unique times`);
-  console.log(`   Summary index size: ${indices.summaryIndex.size} unique summaries`);
-  if (indices.timeIndex.size > 0) {
-    const firstTime = Array.from(indices.timeIndex.keys())[0];
-    console.log(`   First indexed time: "${firstTime}"`);
-    console.log(`   Items at that time: ${indices.timeIndex.get(firstTime).length}`);
+const USAGE = [
+  'Usage: node bot.js [command] [options]',
+  '',
+  '  run [--dry-run]                      Post new and changed items once, or poll with DAEMON=true (the default)',
+  '  backfill --since DATE [--dry-run]    Post every item published from DATE (YYYY-MM-DD) on, oldest first',
+  '  replay ID [--to NAME]... [--dry-run] Post a stored item again, to its destinations or the ones named',
+  '  forget ID...                         Drop items from the store so the next run posts them again',
+  '  mark-seen [--since DATE]             Record what the sources return now as seen, without posting it',
+  '  state stats                          Show what the store, the archive and the outbox hold',
+  '  validate-config                      Check the configuration and show what it sets up',
+  '  digest daily|weekly [--dry-run]      Build a digest from the store now',
+  '  archive search|export [options]      Look items up in the archive',
+  '',
+  'IDs can be shortened to their first characters, as shown in the logs.',
+  'Exit codes: 0 ok, 1 failed, 2 usage error, 3 invalid configuration, 4 not found, 5 corrupt store.'
+].join('\n');
+
+const DRY_RUN_OPTION = { 'dry-run': { type: 'boolean' } };
+
+// --dry-run is DRY_RUN=true for one command
+const withDryRun = (config, values) => (values['dry-run'] ? { ...config, dryRun: true } : config);
+
+const parseDayFlag = (value, usage) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || !Number.isFinite(Date.parse(value))) {
+    throw new CommandError(`--since must be a date (YYYY-MM-DD).\n${usage}`);
   }
-  
-  let payloadMatchCount = 0;
-  let noMatchCount = 0;
+  return value;
+};
 
-  for (let i = 0; i < rowsData.length; i++) {
-    const payloadMatch = findPayloadMatch(rowsData[i], indices);
-    
-    if (payloadMatch?.postContent) {
-      rowsData[i].fullTweet = indices.clean(payloadMatch.postContent);
-      payloadMatchCount++;
-      console.log(`Row ${i}: ✓ Matched (${rowsData[i].fullTweet.length} chars)`);
-      console.log(`  Full tweet: "${rowsData[i].fullTweet}"`);
-    } else {
-      rowsData[i].fullTweet = '';
-      noMatchCount++;
-      console.log(`Row ${i}: ✗ No payload match found`);
-      console.log(`  Time: "${rowsData[i].time}", Summary: "${rowsData[i].summary.substring(0, 50)}..."`);
-    }
-  }
-  
-  console.log(`Full tweet extraction complete:`);
-  console.log(`  - Matched: ${payloadMatchCount}/${rowsData.length}`);
-  console.log(`  - No match: ${noMatchCount}/${rowsData.length}`);
-  
-  if (noMatchCount > 0) {
-    console.warn(`⚠️  ${noMatchCount} row(s) could not be matched to payload data`);
+const withBot = async (config, action) => {
+  const bot = createBot(config);
+  try {
+    return await action(bot);
+  } finally {
+    await bot.close();
   }
-  
-  return rowsData;
 };
 
-const fetchTrumpDashboardPayload = async (page) => {
-  console.log('\n📥 Fetching trump-dashboard payload.json...');
-  console.log(`   URL: https://tr-cdn.tipranks.com/research/prod/trump-dashboard/payload.json`);
-  
+// `node bot.js [run] [--dry-run]`: one run, or polling in daemon mode
+const runRunCommand = async (config, args) => {
+  const { values } = parseCommandArgs(args, { options: DRY_RUN_OPTION, usage: 'Usage: node bot.js run [--dry-run]' });
+  const settings = withDryRun(config, values);
+
+  logger.info(`Translation: ${settings.translationProviders.join(' → ')}${settings.translationProviders.includes('gemini') ? ` (${settings.geminiApiKeys.length} Gemini API key(s))` : ''}`);
+  const impactDestinations = settings.destinations.filter((d) => d.impact).map((d) => d.name);
+  if (impactDestinations.length > 0) logger.info(`🤖 Market-impact notes for: ${impactDestinations.join(', ')}`);
+  const bot = createBot(settings);
+
+  const metricsServer = settings.metricsPort === null
+    ? null
+    : await startMetricsServer({
+      port: settings.metricsPort,
+      host: settings.metricsHost,
+      registry,
+      health: () => evaluateHealth(bot.status(), { maxAgeMs: settings.healthMaxAgeMs })
+    });
+
   try {
-    const response = await page.request.get(
-      'https://tr-cdn.tipranks.com/research/prod/trump-dashboard/payload.json',
-      { timeout: navigationTimeoutMs }
-    );
-
-    console.log(`   Response status: ${response.status()}`);
-    const headers = response.headers();
-    console.log(`   Content-Type: ${headers['content-type'] || 'not set'}`);
-    console.log(`   Content-Length: ${headers['content-length'] || 'not set'}`);
-
-    if (!response.ok()) {
-      console.error(`   ❌ Payload request failed with HTTP ${response.status()}`);
-      const bodyText = await response.text().catch(() => 'Could not read response body');
-      console.error(`   Response body (first 500 chars): ${bodyText.substring(0, 500)}`);
-      return [];
+    if (settings.daemon) {
+      await runAsDaemon(bot, settings);
+    } else {
+      await bot.run();
     }
+  } finally {
+    await bot.close();
+    await metricsServer?.close();
+  }
+};
 
-    const bodyText = await response.text();
-    console.log(`   ✅ Response received: ${bodyText.length} characters`);
-    console.log(`   Response preview (first 400 chars):\n${bodyText.substring(0, 400)}\n`);
+// `node bot.js backfill --since 2025-01-01`: everything the sources still return from that day
+// on (all of payload.json, not only the newest MAX_NEWS_MESSAGES), oldest first, through the
+// usual pipeline. Items already posted are skipped as in any run.
+const runBackfillCommand = async (config, args) => {
+  const usage = 'Usage: node bot.js backfill --since YYYY-MM-DD [--dry-run]';
+  const { values } = parseCommandArgs(args, { options: { since: { type: 'string' }, ...DRY_RUN_OPTION }, usage });
+  const since = parseDayFlag(values.since, usage);
+  await withBot(withDryRun(config, values), (bot) => bot.run({ since }));
+};
 
-    let data;
-    try {
-      data = JSON.parse(bodyText);
-    } catch (parseErr) {
-      console.error(`   ❌ Failed to parse JSON:`, parseErr.message);
-      console.error(`   Raw body: ${bodyText.substring(0, 200)}`);
-      return [];
-    }
+// `node bot.js replay <id> [--to name]...`: post a stored item again
+const runReplayCommand = async (config, args) => {
+  const usage = 'Usage: node bot.js replay ID [--to DESTINATION]... [--dry-run]';
+  const { values, positionals } = parseCommandArgs(args, {
+    options: { to: { type: 'string', multiple: true }, ...DRY_RUN_OPTION },
+    positionals: true,
+    usage
+  });
+  if (positionals.length !== 1) throw new CommandError(usage);
+  await withBot(withDryRun(config, values), (bot) => bot.replay(positionals[0], values.to || []));
+};
 
-    console.log(`   Parsed JSON successfully`);
-    console.log(`   JSON root keys:`, Object.keys(data));
-    
-    // Try multiple possible paths for the data
-    let items = [];
-    
-    // New structure: TrumpDashboard.data.list
-    if (data?.TrumpDashboard?.data?.list && Array.isArray(data.TrumpDashboard.data.list)) {
-      items = data.TrumpDashboard.data.list;
-      console.log(`   ✅ Found data at: TrumpDashboard.data.list`);
-    }
-    // Old structure: trumpDashboardList
-    else if (data?.trumpDashboardList && Array.isArray(data.trumpDashboardList)) {
-      items = data.trumpDashboardList;
-      console.log(`   ✅ Found data at: trumpDashboardList`);
-    }
-    else {
-      console.warn(`   ⚠️  Could not find data at expected paths`);
-      console.warn(`   Available paths checked: TrumpDashboard.data.list, trumpDashboardList`);
-      console.warn(`   Full JSON structure:`, JSON.stringify(data, null, 2).substring(0, 500));
-      return [];
-    }
-    
-    console.log(`   trumpDashboardList found: ${items.length} items`);
-    
-    if (items.length === 0) {
-      console.warn(`   ⚠️  trumpDashboardList is empty or missing`);
-      console.warn(`   Full JSON structure:`, JSON.stringify(data, null, 2).substring(0, 500));
-    } else {
-      console.log(`\n   Sample of first item:`);
-      const first = items[0];
-      console.log(`      postDate: "${first?.postDate}"`);
-      console.log(`      postTime: "${first?.postTime}"`);
-      console.log(`      postSummary: "${first?.postSummary?.substring(0, 80)}..."`);
-      console.log(`      postContent: "${first?.postContent?.substring(0, 80)}..."`);
-      console.log(`      sectors: "${first?.sectors}"`);
-      console.log(`      stocks: ${first?.stocks?.length || 0} stock(s)`);
-    }
-    
-    console.log(`\n   ✅ Successfully loaded ${items.length} payload item(s)\n`);
-    return items;
-  } catch (err) {
-    console.error(`\n   ❌ Exception while fetching payload:`, err.message);
-    console.error(`   Error type:`, err.constructor.name);
-    console.error(`   Stack trace:`, err.stack);
-    return [];
+// `node bot.js forget <id>...`: drop items from the store, so they count as new again
+const runForgetCommand = async (config, args) => {
+  const usage = 'Usage: node bot.js forget ID...';
+  const { positionals } = parseCommandArgs(args, { positionals: true, usage });
+  if (positionals.length === 0) throw new CommandError(usage);
+
+  const store = createItemStore({ filePath: config.logFilePath, retentionMs: config.storeRetentionMs });
+  // Every ID is checked before anything is removed
+  const ids = [...new Set(positionals.map((prefix) => findStoredId(store, prefix)))];
+  if (config.dryRun) {
+    logger.info(`🧪 Dry run: would forget ${ids.map((id) => id.substring(0, 12)).join(', ')}`);
+    return;
   }
+  for (const id of ids) store.remove(id);
+  store.save();
+  logger.info(`🗑️  Forgot ${ids.length} item(s); the next run posts them again if a source still returns them`);
 };
 
-const getRowCount = async (page) => {
-  return page.locator('.rt-tbody .rt-tr-group').count();
+// `node bot.js mark-seen [--since 2025-01-01]`: take what the sources return now (the newest
+// MAX_NEWS_MESSAGES, or everything from a day on) as already handled. For a new deployment
+// that shouldn't flood its channels with the backlog.
+const runMarkSeenCommand = async (config, args) => {
+  const usage = 'Usage: node bot.js mark-seen [--since YYYY-MM-DD] [--dry-run]';
+  const { values } = parseCommandArgs(args, { options: { since: { type: 'string' }, ...DRY_RUN_OPTION }, usage });
+  const since = values.since === undefined ? null : parseDayFlag(values.since, usage);
+  await withBot(withDryRun(config, values), (bot) => bot.run({ since, markSeen: true }));
 };
 
-const clickShowMoreUntil = async (page, targetCount) => {
-  // click show more until enough rows loaded or button gone
-  let prevCount = await getRowCount(page);
-  for (let i = 0; i < 30; i++) {
-    const btn = page.locator('button[data-id="show_more"]').first();
-    const visible = await btn.isVisible().catch(() => false);
-    if (!visible) break;
-
-    // ensure it is on screen and clickable
-    await btn.scrollIntoViewIfNeeded().catch(() => {});
-    await page.waitForTimeout(200);
-
-    // click and wait for row count to increase
-    await btn.click({ timeout: 3000 }).catch(() => {});
-    await page.waitForTimeout(300);
-
-    let grew = false;
-    for (let w = 0; w < 20; w++) {
-      await page.waitForTimeout(250);
-      const now = await getRowCount(page);
-      if (now > prevCount) {
-        prevCount = now;
-        grew = true;
-        break;
-      }
-    }
+const formatBytes = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 
-    const nowCount = await getRowCount(page);
-    if (nowCount >= targetCount) break;
+const formatTimestamp = (ms) => `${new Date(ms).toISOString().slice(0, 16).replace('T', ' ')}Z`;
 
-    // if it didn't grow, stop to avoid infinite loop
-    if (!grew) break;
-  }
+const formatCounts = (values) => {
+  const counts = values.reduce((acc, value) => acc.set(value, (acc.get(value) || 0) + 1), new Map());
+  return [...counts].sort(([a, x], [b, y]) => y - x || a.localeCompare(b)).map(([name, count]) => `${name} ${count}`).join(', ') || '—';
 };
 
-const run = async () => {
-  const processedIds = new Set(loadProcessedIds());
+// `node bot.js state stats`: what the store, the archive, the outbox and the translation cache hold
+const runStateCommand = async (config, args) => {
+  const usage = 'Usage: node bot.js state stats';
+  const { positionals } = parseCommandArgs(args, { positionals: true, usage });
+  if (positionals.length !== 1 || positionals[0] !== 'stats') throw new CommandError(usage);
+
+  const store = createItemStore({ filePath: config.logFilePath, retentionMs: config.storeRetentionMs });
+  const records = store.list();
+  const posted = records.filter((r) => r.postedAt);
+  const seen = records.map((r) => r.firstSeenAt).filter(Boolean);
+  const storeSize = fs.existsSync(config.logFilePath) ? formatBytes(fs.statSync(config.logFilePath).size) : 'not written yet';
+
+  const lines = [
+    `Store: ${config.logFilePath} (${storeSize}), ${records.length} record(s), kept ${config.storeRetentionMs / 86400000} day(s)`,
+    `  Posted: ${posted.length}, seen without posting: ${records.length - posted.length}, edited after posting: ${records.filter((r) => r.updatedAt).length}`,
+    ...(seen.length > 0 ? [`  First seen: ${formatTimestamp(Math.min(...seen))} – ${formatTimestamp(Math.max(...seen))}`] : []),
+    `  By source: ${formatCounts(records.map((r) => r.source || 'unknown'))}`,
+    `  By destination: ${formatCounts(records.flatMap((r) => r.destinations.map((d) => d.name)))}`
+  ];
+
+  if (config.archive.enabled || fs.existsSync(config.archive.dir)) {
+    const archive = createArchive({ dirPath: config.archive.dir }).stats();
+    lines.push(`Archive: ${config.archive.dir} (${formatBytes(archive.bytes)}), ${archive.records} record(s) in ${archive.months} month(s)${config.archive.enabled ? '' : ', archiving off'}`);
+  } else {
+    lines.push('Archive: off');
+  }
 
-  const browser = await chromium.launch({
-    headless,
-    args: ['--disable-blink-features=AutomationControlled', '--headless=new']
+  const outbox = createOutbox(config.outbox).stats();
+  lines.push(`Outbox: ${config.outbox.filePath}, ${outbox.pending} message(s) waiting for a retry, ${outbox.deadLetters} dead-lettered`);
+
+  const cache = createTranslationCache({
+    filePath: config.translationCacheFile,
+    maxEntries: config.translationCacheMaxEntries,
+    maxAgeMs: config.translationCacheMaxAgeMs
   });
+  lines.push(`Translation cache: ${config.translationCacheFile}, ${cache.size} entries`);
 
-  const context = await browser.newContext(createContextOptions());
+  return `${lines.join('\n')}\n`;
+};
 
-  await context.addInitScript(() => {
-    Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-  });
+// `node bot.js validate-config`: loading the config (before any command runs) is the check;
+// this prints what it sets up. An invalid config exits with EXIT_CODES.config.
+const runValidateConfigCommand = async (config, args) => {
+  parseCommandArgs(args, { usage: 'Usage: node bot.js validate-config' });
+
+  const destination = (d) => `${d.name} (${[d.type, d.language, ...(d.impact ? ['impact notes'] : [])].join(', ')})`;
+  const lines = [
+    `✓ Configuration is valid${config.configFile ? ` (${config.configFile})` : ''}`,
+    `  Sources: ${config.sourceTypes.join(', ')}`,
+    `  Destinations: ${config.destinations.map(destination).join(', ')}`,
+    `  Routing: ${config.routingConfig?.strategy || 'round-robin'}`,
+    `  Translation: ${config.translationProviders.join(' → ')}`,
+    `  Store: ${config.logFilePath}`,
+    `  Mode: ${[config.daemon ? 'daemon' : 'single run', ...(config.dryRun ? ['dry run'] : [])].join(', ')}`
+  ];
+  return `${lines.join('\n')}\n`;
+};
 
-  const page = await context.newPage();
+// `node bot.js digest daily|weekly [--dry-run]`: build a digest from the item store now.
+// A dry run (or DRY_RUN) prints the webhook body instead of posting it.
+const runDigestCommand = async (config, args) => {
+  const usage = `Usage: node bot.js digest <${Object.keys(DIGEST_PERIODS).join('|')}> [--dry-run]`;
+  const { values, positionals } = parseCommandArgs(args, { options: DRY_RUN_OPTION, positionals: true, usage });
+  const [period] = positionals;
+  if (positionals.length !== 1 || !DIGEST_PERIODS[period]) throw new CommandError(usage);
 
-  try {
-    await installNavigationGuard(page, siteUrl);
+  const store = createItemStore({ filePath: config.logFilePath, retentionMs: config.storeRetentionMs });
+  const options = { period, top: config.digest.top, tickers: config.tickers };
 
-    const response = await page.goto(siteUrl, {
-      waitUntil: 'domcontentloaded',
-      timeout: navigationTimeoutMs
-    });
+  if (values['dry-run'] || config.dryRun) {
+    const body = formatDigestEmbed(buildDigest(store.list(), options), { tickers: config.tickers });
+    return `${JSON.stringify(body, null, 2)}\n`;
+  }
+  if (!config.digest.webhookUrl) throw new ConfigError('DIGEST_WEBHOOK_URL (digestWebhookUrl) is required to send a digest.');
+  await sendDigest(store.list(), { ...options, webhookUrl: config.digest.webhookUrl });
+};
 
-    const status = response?.status();
-    if (status && status >= 400) throw new Error(`Site responded with HTTP ${status}.`);
+const ARCHIVE_USAGE = [
+  'Usage: node bot.js archive search [filters] [--limit N]',
+  '       node bot.js archive export --format csv|jsonl [--output FILE] [filters]',
+  'Filters: --from DATE --to DATE (publication date, YYYY-MM-DD, UTC, inclusive) --ticker SYMBOL (repeatable)',
+  '         --sector TEXT --sentiment bullish|bearish|neutral|other --text WORDS --source NAME'
+].join('\n');
+
+const ARCHIVE_OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  ticker: { type: 'string', multiple: true },
+  sector: { type: 'string' },
+  sentiment: { type: 'string' },
+  text: { type: 'string' },
+  source: { type: 'string' },
+  limit: { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string' }
+};
 
-    await page.waitForLoadState('networkidle').catch(() => {});
-    
-    // Dismiss overlays
-    for (let i = 0; i < 3; i++) {
-      await dismissOverlaysStrict(page);
-      await page.waitForTimeout(300);
+// `node bot.js archive search|export ...`: look items up in the archive. Search prints one line
+// per item, export writes CSV or JSONL to stdout or --output.
+const runArchiveCommand = async (config, [subcommand, ...args]) => {
+  if (!['search', 'export'].includes(subcommand)) throw new CommandError(ARCHIVE_USAGE);
+  const { values } = parseCommandArgs(args, { options: ARCHIVE_OPTIONS, usage: ARCHIVE_USAGE });
+
+  const query = {
+    tickers: values.ticker || [],
+    sector: values.sector || '',
+    text: values.text || '',
+    source: values.source || '',
+    limit: parseCountFlag(values.limit, 'limit', 0)
+  };
+  try {
+    if (values.from !== undefined) query.from = parseArchiveDate(values.from);
+    if (values.to !== undefined) query.to = parseArchiveDate(values.to, { end: true });
+  } catch (err) {
+    throw new CommandError(err.message);
+  }
+  if (values.sentiment !== undefined) {
+    query.sentiment = values.sentiment.toLowerCase();
+    if (!['bullish', 'bearish', 'neutral', 'other'].includes(query.sentiment)) {
+      throw new CommandError(`Invalid --sentiment "${values.sentiment}" (expected bullish, bearish, neutral or other).`);
     }
+  }
 
-    await scrollToRecentTweets(page);
-    await waitForReactTable(page);
-
-    // Load enough rows by clicking Show More
-    await clickShowMoreUntil(page, maxMessages);
+  const archive = createArchive({ dirPath: config.archive.dir });
 
-    console.log('\n🔍 Attempting to fetch payload.json...');
-    const payloadItems = await fetchTrumpDashboardPayload(page);
-    console.log(`📦 Payload fetch complete: ${payloadItems.length} items returned\n`);
-    
-    const items = await extractAllCurrentlyLoadedRows(page, payloadItems);
-    const sliced = items.slice(0, maxMessages);
+  if (subcommand === 'search') {
+    if (values.format !== undefined || values.output !== undefined) throw new CommandError(`--format and --output are for export.\n${ARCHIVE_USAGE}`);
+    const records = archive.search(query);
+    logger.debug(`🗄️  ${records.length} archived item(s) found`);
+    return records.map((record) => `${formatArchiveLine(record)}\n`).join('');
+  }
 
-    const newItems = [];
-    for (const item of sliced) {
-      const id = createMessageId(item);
-      if (!processedIds.has(id)) newItems.push({ id, item });
-    }
+  if (!EXPORT_FORMATS.includes(values.format)) throw new CommandError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}.\n${ARCHIVE_USAGE}`);
+  const records = archive.search(query);
+  const contents = values.format === 'csv' ? formatCsv(records) : formatJsonl(records);
+  if (!values.output) return contents;
+  fs.writeFileSync(values.output, contents, 'utf8');
+  logger.info(`🗄️  Exported ${records.length} archived item(s) to ${values.output}`);
+};
 
-    // Send oldest-first, rotate webhooks per message in THIS run
-    const ordered = newItems.reverse();
+// Subcommands of `node bot.js <command> ...`; without one, the bot runs. Each is
+// (config, args) => output, where output (if any) is what the command prints to stdout.
+const COMMANDS = {
+  run: runRunCommand,
+  backfill: runBackfillCommand,
+  replay: runReplayCommand,
+  forget: runForgetCommand,
+  'mark-seen': runMarkSeenCommand,
+  state: runStateCommand,
+  'validate-config': runValidateConfigCommand,
+  digest: runDigestCommand,
+  archive: runArchiveCommand
+};
 
-    // Translate summaries and full tweets separately
-    if (ordered.length > 0) {
-      console.log(`Attempting to translate content for ${ordered.length} items...`);
-      
-      // Translate summaries (all rows have summaries)
-      const summaries = ordered.map((e) => e.item.summary);
-      const translatedSummaries = await translateSummariesWithGemini(summaries);
-      
-      // Translate full tweets (only for rows that have them)
-      const fullTweets = ordered.map((e) => e.item.fullTweet).filter(Boolean);
-      let translatedFullTweets = null;
-      
-      if (fullTweets.length > 0) {
-        console.log(`Attempting to translate ${fullTweets.length} full tweets...`);
-        translatedFullTweets = await translateSummariesWithGemini(fullTweets);
-      }
-      
-      // Apply translations ONLY if translation succeeded
-      if (translatedSummaries !== null) {
-        console.log('✓ Successfully translated summaries');
-        for (let i = 0; i < ordered.length; i++) {
-          ordered[i].item.summary = translatedSummaries[i] || ordered[i].item.summary;
-        }
-      } else {
-        console.log('✗ Using original summaries (translation failed)');
-      }
-      
-      if (translatedFullTweets !== null && fullTweets.length > 0) {
-        console.log('✓ Successfully translated full tweets');
-        let fullTweetIndex = 0;
-        for (let i = 0; i < ordered.length; i++) {
-          if (ordered[i].item.fullTweet) {
-            ordered[i].item.fullTweet = translatedFullTweets[fullTweetIndex] || ordered[i].item.fullTweet;
-            fullTweetIndex++;
-          }
-        }
-      } else if (fullTweets.length > 0) {
-        console.log('✗ Using original full tweets (translation failed)');
-      }
-    }
+// Resolves with the process exit code (see src/cli.js) instead of exiting, so it can be tested
+const main = async ({ argv = process.argv.slice(2), env = process.env, stdout = process.stdout } = {}) => {
+  const [command = 'run', ...args] = argv;
+  if (['help', '--help', '-h'].includes(command)) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+  const runCommand = COMMANDS[command];
+  if (!runCommand) {
+    logger.error(`Unknown command "${command}"\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
 
-    for (let i = 0; i < ordered.length; i++) {
-      const entry = ordered[i];
-      const webhookUrl = webhookUrls[i % webhookUrls.length];
-      
-      // Format message returns an array of chunks if message is too long
-      const messageChunks = formatMessage(entry.item);
-      
-      // Send all chunks for this message
-      for (let chunkIndex = 0; chunkIndex < messageChunks.length; chunkIndex++) {
-        const chunk = messageChunks[chunkIndex];
-        
-        // Add part indicator if message was split
-        const chunkContent = messageChunks.length > 1 
-          ? `**[Part ${chunkIndex + 1}/${messageChunks.length}]**\n${chunk}`
-          : chunk;
-        
-        await sendDiscordMessage(webhookUrl, chunkContent);
-        
-        // Small delay between chunks of the same message
-        if (chunkIndex < messageChunks.length - 1) {
-          await sleep(300);
-        }
-      }
-      
-      processedIds.add(entry.id);
-      
-      // Delay between different messages
-      if (i < ordered.length - 1) {
-        await sleep(450);
-      }
+  try {
+    const config = loadConfig(env);
+    configureLogger({ level: config.logLevel, format: config.logFormat, secrets: config.secrets });
+    const output = await runCommand(config, args);
+    if (output) stdout.write(output);
+    return EXIT_CODES.ok;
+  } catch (err) {
+    const exitCode = exitCodeFor(err);
+    if (exitCode === EXIT_CODES.failure) {
+      logger.error(`Bot failed: ${err.message}`, { error: err });
+    } else {
+      logger.error(err.message);
     }
-
-    writeProcessedIds(Array.from(processedIds));
-    console.log(`✓ Processed ${newItems.length} new item(s).`);
-  } finally {
-    await context.close();
-    await browser.close();
+    return exitCode;
   }
 };
 
-run().catch((error) => {
-  console.error('Bot failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+  dotenv.config();
+  main().then(
+    // Nothing is left running after a successful command; on failure, don't wait for what is
+    (exitCode) => {
+      if (exitCode !== EXIT_CODES.ok) process.exit(exitCode);
+    },
+    (error) => {
+      logger.error(`Bot failed: ${error.message}`, { error });
+      process.exit(EXIT_CODES.failure);
+    }
+  );
+}
+
+module.exports = { createContentHash, createItemIdentity, analyzeEntries, translateEntries, createBot, main };
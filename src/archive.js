@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { sentimentKey, getSentimentEmoji } = require('./format');
+const { parseTicker } = require('./tickers');
+const { writeFileAtomic } = require('./store');
+const { logger } = require('./logger');
+
+// Append-only archive of every item the bot handled: all normalized fields plus the upstream
+// record as received (a TipRanks payload record, a feed entry as XML text, a JSON source
+// object), one JSON line per item version, in a file per month (UTC) of when it was archived:
+//
+//   2025-01.jsonl   {"archivedAt":1736..., "id", "contentHash", "source", "item":{...}, "impact":{...}, "raw":{...}}
+//   index.json      { "version": 3, "months": { "2025-01": { records, bytes, first, last,
+//                     tickers: { "NVDA": 4 }, sectors: { "Technology": 9 }, sentiments: { "bullish": 7 } } },
+//                     "latest": { "<id>": "<contentHash of its newest archived version>" } }
+//
+// Searches go by when an item was published (when it was archived for items without a
+// publication time), which can fall in an earlier month than its file: first and last in the
+// index cover those times, so a search skips the months outside its date range or without the
+// ticker, sector or sentiment asked for, and only files that can match are read. A month whose file size no
+// longer matches the index (or that is missing from it) is scanned again, so the index can be
+// deleted at any time. Nothing is ever rewritten: corrected items get a new line, and a version
+// already archived (by latest) is not added again, so an item can be offered on every run.
+
+const ARCHIVE_VERSION = 3;
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const MONTH_FILE = /^(\d{4}-\d{2})\.jsonl$/;
+const DAY_MS = 24 * 3600000;
+
+const monthOf = (ms) => new Date(ms).toISOString().slice(0, 7);
+
+const sectorsOf = (sector) => String(sector || '').split(',').map((s) => s.trim()).filter((s) => s && s !== '—');
+
+const tickersOf = (record) => [...new Set((record.item?.tickers || []).map((t) => parseTicker(t)?.symbol).filter(Boolean))];
+
+// When the item was published, or else archived
+const itemTime = (record) => record.item?.publishedAt ?? record.archivedAt;
+
+const emptyMonth = () => ({ records: 0, bytes: 0, first: null, last: null, tickers: {}, sectors: {}, sentiments: {} });
+
+const addToMonth = (month, record) => {
+  const bump = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+  month.records++;
+  const at = itemTime(record);
+  month.first = month.first === null ? at : Math.min(month.first, at);
+  month.last = month.last === null ? at : Math.max(month.last, at);
+  for (const ticker of tickersOf(record)) bump(month.tickers, ticker);
+  for (const sector of sectorsOf(record.item?.sector)) bump(month.sectors, sector);
+  bump(month.sentiments, sentimentKey(record.item?.sentiment));
+};
+
+// entry is a handled run entry: { id, contentHash, item, impact }
+const toRecord = ({ id, contentHash, item, impact }, archivedAt) => ({
+  archivedAt,
+  id,
+  contentHash,
+  source: item.source || 'tipranks',
+  item: {
+    time: item.time ?? '',
+    publishedAt: item.publishedAt ?? null,
+    sentiment: item.sentiment ?? '',
+    summary: item.summary ?? '',
+    fullTweet: item.fullTweet ?? '',
+    tickers: Array.isArray(item.tickers) ? item.tickers : [],
+    sector: item.sector ?? '',
+    sourceUrl: item.sourceUrl ?? '',
+    externalId: item.externalId ?? ''
+  },
+  ...(impact ? { impact } : {}),
+  raw: item.raw ?? null
+});
+
+// "2025-01-31" is that day in UTC (the whole day when it ends a range); full timestamps as given
+const parseArchiveDate = (value, { end = false } = {}) => {
+  const text = String(value ?? '').trim();
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const ms = Date.parse(dayOnly ? `${text}T00:00:00Z` : text);
+  if (!text || !Number.isFinite(ms)) throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD or an ISO timestamp).`);
+  return dayOnly && end ? ms + DAY_MS : ms;
+};
+
+const endsWithNewline = (filePath) => {
+  const { size } = fs.statSync(filePath);
+  if (size === 0) return true;
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] === 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const createArchive = ({ dirPath, now = Date.now }) => {
+  const indexPath = path.join(dirPath, 'index.json');
+  const monthPath = (month) => path.join(dirPath, `${month}.jsonl`);
+  let index = null;
+
+  // A half-written last line (a crash mid-append) is skipped, not fatal
+  const readMonth = (month) => {
+    const records = [];
+    let skipped = 0;
+    for (const line of fs.readFileSync(monthPath(month), 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        skipped++;
+      }
+    }
+    if (skipped > 0) logger.warn(`⚠️  Skipped ${skipped} unreadable line(s) in archive ${monthPath(month)}`);
+    return records;
+  };
+
+  const scanMonth = (month) => {
+    const summary = emptyMonth();
+    for (const record of readMonth(month)) addToMonth(summary, record);
+    summary.bytes = fs.statSync(monthPath(month)).size;
+    return summary;
+  };
+
+  const saveIndex = () => {
+    writeFileAtomic(indexPath, `${JSON.stringify({ version: ARCHIVE_VERSION, ...index }, null, 2)}\n`);
+  };
+
+  const loadIndex = () => {
+    if (index) return index;
+
+    let saved = {};
+    let savedLatest = null;
+    try {
+      // An index from another version summarizes the months differently: rebuild it
+      const parsed = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : null;
+      if (parsed?.version === ARCHIVE_VERSION) {
+        saved = parsed.months || {};
+        savedLatest = parsed.latest || null;
+      }
+    } catch (err) {
+      logger.warn(`⚠️  Unable to read archive index ${indexPath} (${err.message}), rebuilding it.`);
+    }
+
+    const files = fs.existsSync(dirPath) ? fs.readdirSync(dirPath).filter((f) => MONTH_FILE.test(f)) : [];
+    const months = {};
+    let rescanned = 0;
+    for (const file of files) {
+      const month = file.match(MONTH_FILE)[1];
+      if (saved[month] && saved[month].bytes === fs.statSync(monthPath(month)).size) {
+        months[month] = saved[month];
+      } else {
+        months[month] = scanMonth(month);
+        rescanned++;
+      }
+    }
+
+    // Any month read again can change which version of an item is the newest
+    let latest = savedLatest;
+    if (!latest || rescanned > 0) {
+      latest = {};
+      for (const month of Object.keys(months).sort()) {
+        for (const record of readMonth(month)) latest[record.id] = record.contentHash;
+      }
+    }
+
+    index = { months, latest };
+    if (rescanned > 0 || !savedLatest || Object.keys(saved).length !== files.length) {
+      // Not info: search and export output goes to stdout
+      if (rescanned > 0) logger.debug(`🗄️  Indexed ${rescanned} archive month(s)`);
+      saveIndex();
+    }
+    return index;
+  };
+
+  // Add one line per handled entry ({ id, contentHash, item, impact }) whose version isn't the
+  // newest one archived already. Returns the number of lines added.
+  const append = (entries) => {
+    const { months, latest } = loadIndex();
+    const fresh = entries.filter((entry, i) =>
+      latest[entry.id] !== entry.contentHash && entries.findIndex((e) => e.id === entry.id && e.contentHash === entry.contentHash) === i);
+    if (fresh.length === 0) return 0;
+
+    const archivedAt = now();
+    const month = monthOf(archivedAt);
+    const filePath = monthPath(month);
+    const records = fresh.map((entry) => toRecord(entry, archivedAt));
+
+    fs.mkdirSync(dirPath, { recursive: true });
+    // Never glue a record onto a half-written line
+    const separator = fs.existsSync(filePath) && !endsWithNewline(filePath) ? '\n' : '';
+    fs.appendFileSync(filePath, `${separator}${records.map((r) => `${JSON.stringify(r)}\n`).join('')}`, 'utf8');
+
+    const summary = months[month] || (months[month] = emptyMonth());
+    for (const record of records) {
+      addToMonth(summary, record);
+      latest[record.id] = record.contentHash;
+    }
+    summary.bytes = fs.statSync(filePath).size;
+    saveIndex();
+    return records.length;
+  };
+
+  // Item versions published (or else archived) in [from, to) matching every filter given, oldest
+  // first. Each item appears once, as its newest matching version; limit keeps the newest N.
+  //   tickers: any of these symbols; sector: case-insensitive substring; sentiment: bullish,
+  //   bearish, neutral or other; text: every word in the summary or full tweet
+  const search = ({ from = -Infinity, to = Infinity, tickers = [], sector = '', sentiment = '', text = '', source = '', limit = 0 } = {}) => {
+    const { months } = loadIndex();
+    const symbols = tickers.map((t) => parseTicker(t)?.symbol).filter(Boolean);
+    const sectorNeedle = sector.trim().toLowerCase();
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const candidates = Object.keys(months).sort().filter((month) => {
+      const summary = months[month];
+      if (summary.records === 0 || summary.last < from || summary.first >= to) return false;
+      if (symbols.length > 0 && !symbols.some((s) => summary.tickers[s])) return false;
+      if (sectorNeedle && !Object.keys(summary.sectors).some((s) => s.toLowerCase().includes(sectorNeedle))) return false;
+      if (sentiment && !summary.sentiments[sentiment]) return false;
+      return true;
+    });
+
+    const matches = (record) => {
+      if (itemTime(record) < from || itemTime(record) >= to) return false;
+      if (source && record.source !== source) return false;
+      if (symbols.length > 0 && !tickersOf(record).some((t) => symbols.includes(t))) return false;
+      if (sectorNeedle && !sectorsOf(record.item?.sector).some((s) => s.toLowerCase().includes(sectorNeedle))) return false;
+      if (sentiment && sentimentKey(record.item?.sentiment) !== sentiment) return false;
+      const haystack = `${record.item?.summary || ''}\n${record.item?.fullTweet || ''}`.toLowerCase();
+      return words.every((word) => haystack.includes(word));
+    };
+
+    const newest = new Map();
+    for (const month of candidates) {
+      for (const record of readMonth(month)) {
+        if (!matches(record)) continue;
+        newest.delete(record.id);
+        newest.set(record.id, record);
+      }
+    }
+
+    const results = [...newest.values()].sort((a, b) => itemTime(a) - itemTime(b));
+    return limit > 0 ? results.slice(-limit) : results;
+  };
+
+  const stats = () => {
+    const { months } = loadIndex();
+    const summaries = Object.values(months);
+    return {
+      months: summaries.length,
+      records: summaries.reduce((sum, m) => sum + m.records, 0),
+      bytes: summaries.reduce((sum, m) => sum + m.bytes, 0)
+    };
+  };
+
+  return { append, search, stats };
+};
+
+// One line per search result, dated like the search: "2025-01-06 15:30Z 🟢 Chips rally $NVDA $AMD [Technology] (tipranks)"
+const formatArchiveLine = (record) => {
+  const { item } = record;
+  const at = new Date(itemTime(record)).toISOString().slice(0, 16).replace('T', ' ');
+  const symbols = tickersOf(record).map((s) => ` $${s}`).join('');
+  const sector = sectorsOf(item.sector).length > 0 ? ` [${item.sector}]` : '';
+  return `${at}Z ${getSentimentEmoji(item.sentiment)} ${String(item.summary).replace(/\s+/g, ' ')}${symbols}${sector} (${record.source})`;
+};
+
+const CSV_COLUMNS = [
+  ['archived_at', (r) => new Date(r.archivedAt).toISOString()],
+  ['id', (r) => r.id],
+  ['source', (r) => r.source],
+  ['time', (r) => r.item.time],
+  ['published_at', (r) => (r.item.publishedAt != null ? new Date(r.item.publishedAt).toISOString() : '')],
+  ['sentiment', (r) => r.item.sentiment],
+  ['summary', (r) => r.item.summary],
+  ['full_tweet', (r) => r.item.fullTweet],
+  ['tickers', (r) => r.item.tickers.join(' ')],
+  ['sector', (r) => r.item.sector],
+  ['source_url', (r) => r.item.sourceUrl],
+  ['external_id', (r) => r.item.externalId],
+  ['impact_direction', (r) => r.impact?.direction ?? ''],
+  ['impact_rationale', (r) => r.impact?.rationale ?? '']
+];
+
+// RFC 4180: quoted when needed, quotes doubled, CRLF line ends
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsv = (records) =>
+  [CSV_COLUMNS.map(([name]) => name), ...records.map((r) => CSV_COLUMNS.map(([, value]) => value(r)))]
+    .map((row) => `${row.map(csvCell).join(',')}\r\n`)
+    .join('');
+
+// Full records, raw upstream data included
+const formatJsonl = (records) => records.map((r) => `${JSON.stringify(r)}\n`).join('');
+
+module.exports = { EXPORT_FORMATS, parseArchiveDate, createArchive, formatArchiveLine, formatCsv, formatJsonl };
@@ -0,0 +1,57 @@
+const { parseArgs } = require('util');
+const { ConfigError } = require('./config');
+const { StoreCorruptError } = require('./store');
+const { OutboxCorruptError } = require('./outbox');
+
+// Shared plumbing of the `node bot.js <command>` subcommands. Exit codes are stable so
+// scripts and the GitHub workflow can branch on them:
+//
+//   0  success
+//   1  the command failed (a source, a destination or a provider gave up)
+//   2  usage error: unknown command, bad flag or argument
+//   3  invalid configuration
+//   4  the item or destination asked for doesn't exist
+//   5  the processed-item store or the outbox is corrupt and needs fixing by hand
+
+const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+  config: 3,
+  notFound: 4,
+  corruptState: 5
+};
+
+class CommandError extends Error {
+  constructor(message, exitCode = EXIT_CODES.usage) {
+    super(message);
+    this.name = 'CommandError';
+    this.exitCode = exitCode;
+  }
+}
+
+const exitCodeFor = (err) => {
+  if (err instanceof CommandError) return err.exitCode;
+  if (err instanceof ConfigError) return EXIT_CODES.config;
+  if (err instanceof StoreCorruptError || err instanceof OutboxCorruptError) return EXIT_CODES.corruptState;
+  return EXIT_CODES.failure;
+};
+
+// util.parseArgs, with its errors turned into usage errors that show the command's usage
+const parseCommandArgs = (args, { options = {}, positionals = false, usage }) => {
+  try {
+    return parseArgs({ args, options, allowPositionals: positionals });
+  } catch (err) {
+    throw new CommandError(`${err.message}\n${usage}`);
+  }
+};
+
+// A positive integer flag, or the fallback when it wasn't given
+const parseCountFlag = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) throw new CommandError(`Invalid --${name} "${value}" (expected a positive integer).`);
+  return count;
+};
+
+module.exports = { EXIT_CODES, CommandError, exitCodeFor, parseCommandArgs, parseCountFlag };
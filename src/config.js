@@ -0,0 +1,268 @@
+const path = require('path');
+const { createSink } = require('./sinks');
+const { parseRoutingConfig, loadRoutingConfig } = require('./routing');
+const { parseMarketHours } = require('./daemon');
+const { loadSymbolFile, createTickerResolver } = require('./tickers');
+const { parseDigestTime } = require('./digest');
+const { SettingsError, readSettingsFromEnv, readSettingsFile } = require('./configSchema');
+
+// Builds the bot's runtime config from a JSON config file (CONFIG_FILE) or, without one, from
+// environment variables. Throws ConfigError on anything missing or invalid instead of exiting,
+// so the bot can be loaded (e.g. by tests) without an .env.
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Discord destinations without a name are called webhookN after their position among the
+// Discord destinations (as DISCORD_WEBHOOK_URL_N does), the others are named after their type
+const createDestinations = (settings, tickers) => {
+  let discordCount = 0;
+  const destinations = settings.destinations.map(({ type, name, language, ...options }) => {
+    const defaultName = type === 'discord' ? `webhook${++discordCount}` : type;
+    return createSink(type, {
+      ...options,
+      name: name || defaultName,
+      // "original" posts the untranslated text; custom JSON endpoints get it by default
+      language: language || (type === 'json' ? 'original' : settings.translateTo),
+      siteUrl: settings.siteUrl,
+      tag: settings.discordTag,
+      tickers
+    });
+  });
+
+  const names = destinations.map((d) => d.name);
+  const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+  if (duplicates.length > 0) {
+    throw new ConfigError(`Duplicate destination name(s) ${[...new Set(duplicates)].join(', ')}: routing needs every destination to have its own name.`);
+  }
+  return destinations;
+};
+
+const loadConfig = (env = process.env, { configFile = env.CONFIG_FILE } = {}) => {
+  let settings;
+  try {
+    settings = configFile ? readSettingsFile(configFile, env) : readSettingsFromEnv(env);
+  } catch (err) {
+    if (!(err instanceof SettingsError)) throw err;
+    throw new ConfigError(configFile ? `Invalid config file ${configFile}: ${err.message}` : `Invalid .env value(s): ${err.message}`);
+  }
+
+  const envNames = {
+    siteUrl: 'SITE_URL',
+    rssFeedUrls: 'RSS_FEED_URLS',
+    jsonSourceFiles: 'JSON_SOURCE_FILES',
+    logFile: 'LOG_FILE',
+    destinations: 'DISCORD_WEBHOOK_URL_1 (or another destination)',
+    geminiApiKeys: 'GEMINI_API_KEY_1 (at least one Gemini API key is required)',
+    openaiBaseUrl: 'OPENAI_BASE_URL',
+    openaiModel: 'OPENAI_MODEL',
+    libretranslateUrl: 'LIBRETRANSLATE_URL',
+    digestWebhookUrl: 'DIGEST_WEBHOOK_URL'
+  };
+
+  const { sources, translationProviders: providers } = settings;
+  const missing = [
+    ...(sources.includes('tipranks') && !settings.siteUrl ? ['siteUrl'] : []),
+    ...(sources.includes('rss') && settings.rssFeedUrls.length === 0 ? ['rssFeedUrls'] : []),
+    ...(sources.includes('json') && settings.jsonSourceFiles.length === 0 ? ['jsonSourceFiles'] : []),
+    ...(settings.destinations.length === 0 ? ['destinations'] : []),
+    ...(!settings.logFile ? ['logFile'] : []),
+    // Each translation provider in the chain needs its own settings; market-impact notes need Gemini
+    ...((providers.includes('gemini') || settings.destinations.some((d) => d.impact)) && settings.geminiApiKeys.length === 0
+      ? ['geminiApiKeys']
+      : []),
+    ...(providers.includes('openai') && !settings.openaiBaseUrl ? ['openaiBaseUrl'] : []),
+    ...(providers.includes('openai') && !settings.openaiModel ? ['openaiModel'] : []),
+    ...(providers.includes('libretranslate') && !settings.libretranslateUrl ? ['libretranslateUrl'] : []),
+    ...(settings.digestSchedule.length > 0 && !settings.digestWebhookUrl ? ['digestWebhookUrl'] : [])
+  ];
+  if (missing.length > 0) {
+    throw new ConfigError(configFile
+      ? `Missing required setting(s) in ${configFile}: ${missing.join(', ')}`
+      : `Missing required .env values: ${missing.map((key) => envNames[key]).join(', ')}`);
+  }
+
+  // How tickers are shown in posts: symbol metadata, stop-list and link targets
+  let tickers;
+  try {
+    tickers = createTickerResolver({
+      symbols: settings.tickerSymbolsFile ? loadSymbolFile(settings.tickerSymbolsFile) : {},
+      stopList: settings.tickerStopList,
+      dropUnknown: settings.tickerDropUnknown,
+      links: settings.tickerLinks
+    });
+  } catch (err) {
+    throw new ConfigError(`Invalid ticker configuration: ${err.message}`);
+  }
+
+  let destinations;
+  try {
+    destinations = createDestinations(settings, tickers);
+  } catch (err) {
+    if (err instanceof ConfigError) throw err;
+    throw new ConfigError(`Invalid sink configuration: ${err.message}`);
+  }
+
+  // Routing rules refer to destinations by name
+  let routingConfig;
+  try {
+    routingConfig = parseRoutingConfig(
+      settings.routingRulesFile ? loadRoutingConfig({ filePath: settings.routingRulesFile }) : settings.routingRules,
+      destinations.map((d) => d.name)
+    );
+  } catch (err) {
+    throw new ConfigError(`Invalid routing configuration: ${err.message}`);
+  }
+
+  if (settings.daemon && settings.dryRun) {
+    throw new ConfigError(`${configFile ? 'dryRun and daemon' : 'DRY_RUN and DAEMON'} cannot be combined (a dry run previews a single run).`);
+  }
+
+  let marketHours;
+  try {
+    marketHours = parseMarketHours(settings.marketHours);
+  } catch (err) {
+    throw new ConfigError(`Invalid ${configFile ? 'marketHours' : 'MARKET_HOURS'}: ${err.message}`);
+  }
+
+  let digestTime;
+  try {
+    digestTime = parseDigestTime(settings.digestTime);
+  } catch (err) {
+    throw new ConfigError(`Invalid ${configFile ? 'digestTime' : 'DIGEST_TIME'}: ${err.message}`);
+  }
+
+  const { logFile, maxNewsMessages: maxMessages } = settings;
+
+  return {
+    configFile: configFile || null,
+    sourceTypes: sources,
+    siteUrl: settings.siteUrl,
+    tag: settings.discordTag,
+    translateTo: settings.translateTo,
+    destinations,
+    routingConfig,
+    maxMessages,
+    // New items published longer ago are skipped; null: no limit
+    maxItemAgeMs: settings.maxItemAgeHours > 0 ? settings.maxItemAgeHours * 3600000 : null,
+    logFilePath: logFile,
+    storeRetentionMs: settings.storeRetentionDays * 24 * 3600000,
+    // Ticker display (see src/tickers.js), also used by digests
+    tickers,
+
+    // Every handled item, kept for good in monthly JSONL files (see src/archive.js)
+    archive: {
+      enabled: settings.archive,
+      dir: settings.archiveDir || path.join(path.dirname(logFile), 'archive')
+    },
+
+    // Messages waiting to be posted, with retries and a dead-letter list (see src/outbox.js)
+    outbox: {
+      filePath: settings.outboxFile || path.join(path.dirname(logFile), 'outbox.json'),
+      maxAttempts: settings.outboxMaxAttempts,
+      retryDelayMs: settings.outboxRetryDelayMs
+    },
+
+    // Daily/weekly digests, sent to a Discord webhook on a New York time schedule
+    digest: {
+      webhookUrl: settings.digestWebhookUrl || '',
+      schedule: settings.digestSchedule,
+      time: digestTime,
+      weekday: settings.digestWeekday,
+      top: settings.digestTop,
+      stateFile: settings.digestStateFile || path.join(path.dirname(logFile), 'digests.json')
+    },
+
+    // Dry run: scrape, dedup, route and (optionally) translate as usual, but print what would be
+    // posted instead of posting it. Webhooks and the processed log are never touched.
+    dryRun: settings.dryRun,
+    dryRunOutput: settings.dryRunOutput,
+    dryRunTranslate: settings.dryRunTranslate,
+    // Preview as if the log were empty, limited to the newest N items per source
+    dryRunIgnoreStore: settings.dryRunIgnoreStore,
+    dryRunLimit: settings.dryRunLimit || maxMessages,
+
+    headless: settings.headless,
+    navigationTimeoutMs: settings.navTimeoutMs,
+    pageWaitTimeoutMs: settings.pageWaitTimeoutMs,
+    // "browser" scrapes the dashboard with Playwright, "payload" builds items straight
+    // from payload.json over plain HTTP and only launches the browser as a fallback
+    scrapeMode: settings.scrapeMode,
+    payloadUrl: settings.tipranksPayloadUrl,
+    userAgent: settings.userAgent,
+    rssFeedUrls: settings.rssFeedUrls,
+    jsonSourceFiles: settings.jsonSourceFiles,
+
+    // Delay between posting two items
+    postDelayMs: settings.postDelayMs,
+
+    // Daemon mode: keep running and poll, more often while the US market is open (New York time)
+    daemon: settings.daemon,
+    marketHours,
+    pollIntervalMs: settings.pollIntervalMs,
+    pollOffHoursIntervalMs: settings.pollIntervalOffHoursMs,
+    pollMaxBackoffMs: settings.pollMaxBackoffMs,
+
+    // Optional /healthz and /metrics server (off unless a metrics port is set)
+    metricsPort: settings.metricsPort ?? null,
+    metricsHost: settings.metricsHost,
+    // /healthz turns unhealthy when no run has succeeded for this long
+    healthMaxAgeMs: settings.healthMaxAgeMs,
+
+    logLevel: settings.logLevel,
+    logFormat: settings.logFormat,
+    // Values the logger must never print
+    secrets: [
+      ...settings.geminiApiKeys,
+      settings.openaiApiKey,
+      settings.libretranslateApiKey,
+      settings.digestWebhookUrl,
+      ...settings.destinations.flatMap((d) => [d.url, d.botToken])
+    ].filter(Boolean),
+
+    // Translation providers, tried in order until one translates a batch
+    translationProviders: providers,
+
+    // Gemini translation settings
+    geminiApiKeys: settings.geminiApiKeys,
+    geminiModelName: settings.geminiModel,
+    geminiBatchSize: settings.geminiBatchSize,
+    geminiMinDelayMs: settings.geminiMinDelayMs,
+    // Alternative API endpoint (a proxy, or a local stand-in in tests)
+    geminiBaseUrl: settings.geminiBaseUrl,
+    // Per-key quota accounting, saved between runs (next to the processed log by default)
+    geminiKeyPool: {
+      filePath: settings.geminiKeyPoolFile || path.join(path.dirname(logFile), 'gemini-keys.json'),
+      limits: { rpm: settings.geminiRpm, rpd: settings.geminiRpd, tpm: settings.geminiTpm },
+      whenExhausted: settings.geminiWhenExhausted,
+      maxWaitMs: settings.geminiMaxWaitMs
+    },
+
+    // Any OpenAI-compatible chat completions API (e.g. a local LLM server)
+    openai: {
+      baseUrl: settings.openaiBaseUrl,
+      apiKey: settings.openaiApiKey,
+      model: settings.openaiModel,
+      batchSize: settings.translationBatchSize ?? settings.geminiBatchSize,
+      timeoutMs: settings.translationTimeoutMs
+    },
+    // LibreTranslate-style HTTP API
+    libretranslate: {
+      url: settings.libretranslateUrl,
+      apiKey: settings.libretranslateApiKey,
+      batchSize: settings.translationBatchSize ?? settings.geminiBatchSize,
+      timeoutMs: settings.translationTimeoutMs
+    },
+
+    // Translation cache (kept next to the processed log by default so CI commits it too)
+    translationCacheFile: settings.translationCacheFile || path.join(path.dirname(logFile), 'translation-cache.json'),
+    translationCacheMaxEntries: settings.translationCacheMaxEntries,
+    translationCacheMaxAgeMs: settings.translationCacheMaxAgeDays * 24 * 3600000
+  };
+};
+
+module.exports = { ConfigError, loadConfig };
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const { SOURCE_TYPES } = require('./sources');
+const { SINK_TYPES } = require('./sinks');
+const { LEVELS, LOG_FORMATS } = require('./logger');
+const { TRANSLATOR_TYPES } = require('./translators');
+const { EXHAUSTED_POLICIES } = require('./translators/keyPool');
+const { DEFAULT_STOP_LIST, TICKER_LINK_TARGETS } = require('./tickers');
+const { DIGEST_PERIODS, WEEKDAYS } = require('./digest');
+
+// Schema of the bot's settings, shared by the two ways of providing them:
+// - a JSON config file (CONFIG_FILE), keyed by the names below, where "${VAR}" and
+//   "${VAR:-default}" in any string are replaced with environment variables (for secrets);
+// - plain environment variables (the original setup), one per setting as named by `env`.
+// Both produce the same validated settings object; config.js turns it into the runtime config.
+
+const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36';
+
+const SETTINGS = {
+  sources: { type: 'list', values: SOURCE_TYPES, env: 'NEWS_SOURCES', default: ['tipranks'] },
+  siteUrl: { type: 'string', env: 'SITE_URL' },
+  tipranksPayloadUrl: { type: 'string', env: 'TIPRANKS_PAYLOAD_URL' },
+  scrapeMode: { type: 'enum', values: ['browser', 'payload'], env: 'SCRAPE_MODE', default: 'browser' },
+  headless: { type: 'boolean', env: 'HEADLESS', default: true },
+  navTimeoutMs: { type: 'number', min: 1, env: 'NAV_TIMEOUT_MS', default: 60000 },
+  pageWaitTimeoutMs: { type: 'number', min: 1, env: 'PAGE_WAIT_TIMEOUT_MS', default: 45000 },
+  userAgent: { type: 'string', env: 'USER_AGENT', default: DEFAULT_USER_AGENT },
+  rssFeedUrls: { type: 'list', env: 'RSS_FEED_URLS', default: [] },
+  jsonSourceFiles: { type: 'list', env: 'JSON_SOURCE_FILES', default: [] },
+  maxNewsMessages: { type: 'number', min: 1, env: 'MAX_NEWS_MESSAGES', default: 10 },
+  maxItemAgeHours: { type: 'number', min: 0, env: 'MAX_ITEM_AGE_HOURS', default: 72 },
+
+  destinations: { type: 'destinations', default: [] },
+  discordTag: { type: 'string', env: 'DISCORD_TAG', default: '' },
+  translateTo: { type: 'string', env: 'TRANSLATE_TO', default: 'Hebrew' },
+  routingRules: { type: 'object', env: 'ROUTING_RULES' },
+  routingRulesFile: { type: 'string', env: 'ROUTING_RULES_FILE' },
+  postDelayMs: { type: 'number', min: 0, env: 'POST_DELAY_MS', default: 450 },
+
+  tickerSymbolsFile: { type: 'string', env: 'TICKER_SYMBOLS_FILE' },
+  tickerStopList: { type: 'list', env: 'TICKER_STOP_LIST', default: DEFAULT_STOP_LIST },
+  tickerDropUnknown: { type: 'boolean', env: 'TICKER_DROP_UNKNOWN', default: false },
+  tickerLinks: { type: 'list', values: TICKER_LINK_TARGETS, env: 'TICKER_LINKS', default: ['tradingview'] },
+
+  logFile: { type: 'string', env: 'LOG_FILE' },
+  storeRetentionDays: { type: 'number', min: 1, env: 'STORE_RETENTION_DAYS', default: 90 },
+  archive: { type: 'boolean', env: 'ARCHIVE', default: true },
+  archiveDir: { type: 'string', env: 'ARCHIVE_DIR' },
+  outboxFile: { type: 'string', env: 'OUTBOX_FILE' },
+  outboxMaxAttempts: { type: 'number', integer: true, min: 1, env: 'OUTBOX_MAX_ATTEMPTS', default: 5 },
+  outboxRetryDelayMs: { type: 'number', min: 0, env: 'OUTBOX_RETRY_DELAY_MS', default: 60000 },
+
+  digestWebhookUrl: { type: 'string', env: 'DIGEST_WEBHOOK_URL' },
+  digestSchedule: { type: 'list', values: Object.keys(DIGEST_PERIODS), env: 'DIGEST_SCHEDULE', default: [] },
+  digestTime: { type: 'string', env: 'DIGEST_TIME', default: '17:00' },
+  digestWeekday: { type: 'enum', values: WEEKDAYS, env: 'DIGEST_WEEKDAY', default: 'fri' },
+  digestTop: { type: 'number', integer: true, min: 1, env: 'DIGEST_TOP', default: 5 },
+  digestStateFile: { type: 'string', env: 'DIGEST_STATE_FILE' },
+
+  dryRun: { type: 'boolean', env: 'DRY_RUN', default: false },
+  dryRunOutput: { type: 'string', env: 'DRY_RUN_OUTPUT', default: '' },
+  dryRunTranslate: { type: 'boolean', env: 'DRY_RUN_TRANSLATE', default: true },
+  dryRunIgnoreStore: { type: 'boolean', env: 'DRY_RUN_IGNORE_STORE', default: false },
+  dryRunLimit: { type: 'number', min: 1, env: 'DRY_RUN_LIMIT' },
+
+  daemon: { type: 'boolean', env: 'DAEMON', default: false },
+  marketHours: { type: 'string', env: 'MARKET_HOURS', default: '09:30-16:00' },
+  pollIntervalMs: { type: 'number', min: 1000, env: 'POLL_INTERVAL_MS', default: 60000 },
+  pollIntervalOffHoursMs: { type: 'number', min: 1000, env: 'POLL_INTERVAL_OFF_HOURS_MS', default: 600000 },
+  pollMaxBackoffMs: { type: 'number', min: 1000, env: 'POLL_MAX_BACKOFF_MS', default: 1800000 },
+
+  metricsPort: { type: 'number', integer: true, min: 0, max: 65535, env: 'METRICS_PORT' },
+  metricsHost: { type: 'string', env: 'METRICS_HOST', default: '0.0.0.0' },
+  healthMaxAgeMs: { type: 'number', min: 1000, env: 'HEALTH_MAX_AGE_MS', default: 3600000 },
+
+  logLevel: { type: 'enum', values: Object.keys(LEVELS), env: 'LOG_LEVEL', default: 'info' },
+  logFormat: { type: 'enum', values: LOG_FORMATS, env: 'LOG_FORMAT', default: 'pretty' },
+
+  translationProviders: { type: 'list', values: TRANSLATOR_TYPES, env: 'TRANSLATION_PROVIDERS', default: ['gemini'] },
+  translationTimeoutMs: { type: 'number', min: 1000, env: 'TRANSLATION_TIMEOUT_MS', default: 120000 },
+  translationBatchSize: { type: 'number', integer: true, min: 1, env: 'TRANSLATION_BATCH_SIZE' },
+
+  geminiApiKeys: { type: 'list', default: [] },
+  geminiModel: { type: 'string', env: 'GEMINI_MODEL', default: 'gemini-2.5-flash-lite' },
+  geminiBatchSize: { type: 'number', integer: true, min: 1, env: 'GEMINI_BATCH_SIZE', default: 12 },
+  geminiMinDelayMs: { type: 'number', min: 0, env: 'GEMINI_MIN_DELAY_MS', default: 5000 },
+  geminiBaseUrl: { type: 'string', env: 'GEMINI_BASE_URL', default: '' },
+  geminiRpm: { type: 'number', integer: true, min: 0, env: 'GEMINI_RPM', default: 0 },
+  geminiRpd: { type: 'number', integer: true, min: 0, env: 'GEMINI_RPD', default: 0 },
+  geminiTpm: { type: 'number', integer: true, min: 0, env: 'GEMINI_TPM', default: 0 },
+  geminiWhenExhausted: { type: 'enum', values: EXHAUSTED_POLICIES, env: 'GEMINI_WHEN_EXHAUSTED', default: 'wait' },
+  geminiMaxWaitMs: { type: 'number', min: 0, env: 'GEMINI_MAX_WAIT_MS', default: 60000 },
+  geminiKeyPoolFile: { type: 'string', env: 'GEMINI_KEY_POOL_FILE' },
+
+  openaiBaseUrl: { type: 'string', env: 'OPENAI_BASE_URL' },
+  openaiApiKey: { type: 'string', env: 'OPENAI_API_KEY', default: '' },
+  openaiModel: { type: 'string', env: 'OPENAI_MODEL' },
+
+  libretranslateUrl: { type: 'string', env: 'LIBRETRANSLATE_URL' },
+  libretranslateApiKey: { type: 'string', env: 'LIBRETRANSLATE_API_KEY', default: '' },
+
+  translationCacheFile: { type: 'string', env: 'TRANSLATION_CACHE_FILE' },
+  translationCacheMaxEntries: { type: 'number', integer: true, min: 1, env: 'TRANSLATION_CACHE_MAX_ENTRIES', default: 5000 },
+  translationCacheMaxAgeDays: { type: 'number', min: 1, env: 'TRANSLATION_CACHE_MAX_AGE_DAYS', default: 30 }
+};
+
+// Fields of one entry in `destinations`, per sink type
+const DESTINATION_FIELDS = {
+  discord: {
+    url: { type: 'string', required: true },
+    format: { type: 'enum', values: ['embed', 'text'], default: 'embed' }
+  },
+  telegram: {
+    botToken: { type: 'string', required: true },
+    chatId: { type: 'string', required: true },
+    parseMode: { type: 'enum', values: ['HTML', 'MarkdownV2'], default: 'HTML' },
+    apiUrl: { type: 'string' }
+  },
+  slack: {
+    url: { type: 'string', required: true }
+  },
+  json: {
+    url: { type: 'string', required: true }
+  }
+};
+const COMMON_DESTINATION_FIELDS = {
+  type: { type: 'enum', values: SINK_TYPES, required: true },
+  name: { type: 'string' },
+  language: { type: 'string' },
+  // Add an AI market-impact note to each post (see src/impact.js)
+  impact: { type: 'boolean', default: false }
+};
+
+class SettingsError extends Error {}
+
+// Levenshtein distance, to suggest the setting a typo was meant to be
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+const suggest = (key, known) => {
+  const [best] = known
+    .map((name) => ({ name, distance: editDistance(key.toLowerCase(), name.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  return best && best.distance <= Math.max(2, Math.floor(key.length / 3)) ? ` (did you mean "${best.name}"?)` : '';
+};
+
+const checkUnknownKeys = (object, known, where) => {
+  const unknown = Object.keys(object).filter((key) => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new SettingsError(unknown.map((key) => `${where(key)}: unknown setting${suggest(key, known)}`).join('; '));
+  }
+};
+
+// Turn a raw value (a string from the environment, or any JSON value from the file) into
+// the field's type. Strings are accepted everywhere so interpolated values work.
+const coerce = (field, value, label) => {
+  const fail = (expected) => {
+    throw new SettingsError(`${label}: expected ${expected}, got ${JSON.stringify(value)}`);
+  };
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value === 'number') return String(value);
+      if (typeof value !== 'string') fail('a string');
+      return value.trim();
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) fail('a number');
+      if (field.integer && !Number.isInteger(n)) fail('a whole number');
+      if (field.min !== undefined && n < field.min) fail(`a number >= ${field.min}`);
+      if (field.max !== undefined && n > field.max) fail(`a number <= ${field.max}`);
+      return n;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', '1'].includes(String(value).trim().toLowerCase())) return true;
+      if (['false', '0'].includes(String(value).trim().toLowerCase())) return false;
+      return fail('true or false');
+    case 'enum': {
+      const match = field.values.find((v) => v.toLowerCase() === String(value).trim().toLowerCase());
+      if (typeof value !== 'string' || !match) fail(`one of ${field.values.join(', ')}`);
+      return match;
+    }
+    case 'list': {
+      const list = typeof value === 'string'
+        ? value.split(/[,\n]/).map((s) => s.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(list) || !list.every((v) => typeof v === 'string')) fail('a list of strings');
+      const items = list.map((v) => v.trim()).filter(Boolean);
+      if (field.values) {
+        const unknown = items.filter((v) => !field.values.includes(v.toLowerCase()));
+        if (unknown.length > 0) fail(`a list of: ${field.values.join(', ')}`);
+        return items.map((v) => v.toLowerCase());
+      }
+      return items;
+    }
+    case 'object':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch (err) {
+          throw new SettingsError(`${label}: invalid JSON (${err.message})`);
+        }
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) fail('an object');
+      return value;
+    default:
+      throw new Error(`Unknown setting type "${field.type}"`);
+  }
+};
+
+// Validate one destination and fill in its defaults. `label(field)` names a field in errors.
+const validateDestination = (raw, label) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new SettingsError(`${label('')}: expected an object with a "type"`);
+  }
+  if (raw.type === undefined) throw new SettingsError(`${label('type')}: required (one of ${SINK_TYPES.join(', ')})`);
+
+  const type = coerce(COMMON_DESTINATION_FIELDS.type, raw.type, label('type'));
+  const fields = { ...COMMON_DESTINATION_FIELDS, ...DESTINATION_FIELDS[type] };
+  checkUnknownKeys(raw, Object.keys(fields), label);
+
+  const destination = {};
+  for (const [key, field] of Object.entries(fields)) {
+    const value = raw[key];
+    if (value === undefined || value === '') {
+      if (field.required) throw new SettingsError(`${label(key)}: required for ${type} destinations`);
+      if (field.default !== undefined) destination[key] = field.default;
+      continue;
+    }
+    destination[key] = coerce(field, value, label(key));
+  }
+  return destination;
+};
+
+// Validate raw settings and fill in defaults. `label(key)` names a setting in errors and
+// `destinationLabel(index, field)` a field of one destination.
+const validateSettings = (raw, label, destinationLabel) => {
+  const settings = {};
+  for (const [key, field] of Object.entries(SETTINGS)) {
+    const value = raw[key];
+    if (value === undefined || value === null || value === '') {
+      if (field.default !== undefined) settings[key] = field.default;
+      continue;
+    }
+    if (field.type !== 'destinations') {
+      settings[key] = coerce(field, value, label(key));
+      continue;
+    }
+    if (!Array.isArray(value)) throw new SettingsError(`${label(key)}: expected a list of destinations`);
+    settings[key] = value.map((d, i) => validateDestination(d, (field) => destinationLabel(i, field)));
+  }
+  return settings;
+};
+
+// Numbered variables (PREFIX_1, PREFIX_2, ...) in numeric order. Gaps are allowed.
+const numberedEnv = (env, prefix) =>
+  Object.keys(env)
+    .map((name) => ({ name, match: name.match(new RegExp(`^${prefix}_(\\d+)$`)) }))
+    .filter(({ name, match }) => match && String(env[name] || '').trim())
+    .map(({ name, match }) => ({ n: Number(match[1]), value: String(env[name]).trim() }))
+    .sort((a, b) => a.n - b.n);
+
+// The original environment-variable setup
+const readSettingsFromEnv = (env) => {
+  const raw = {};
+  for (const [key, field] of Object.entries(SETTINGS)) {
+    if (field.env && env[field.env] !== undefined && String(env[field.env]).trim() !== '') raw[key] = String(env[field.env]);
+  }
+
+  raw.geminiApiKeys = numberedEnv(env, 'GEMINI_API_KEY').map(({ value }) => value);
+
+  // Variable names per destination field, so errors name the variable to fix
+  const destinationEnvNames = [];
+  const fromEnv = (type, names, defaults = {}) => {
+    destinationEnvNames.push(names);
+    const destination = { type, ...defaults };
+    for (const [field, name] of Object.entries(names)) {
+      if (env[name] !== undefined && String(env[name]).trim() !== '') destination[field] = String(env[name]);
+    }
+    return destination;
+  };
+
+  raw.destinations = numberedEnv(env, 'DISCORD_WEBHOOK_URL').map(({ n }) => fromEnv('discord', {
+    url: `DISCORD_WEBHOOK_URL_${n}`,
+    format: `DISCORD_WEBHOOK_FORMAT_${n}`,
+    name: `DISCORD_WEBHOOK_NAME_${n}`,
+    language: `DISCORD_WEBHOOK_LANGUAGE_${n}`,
+    impact: `DISCORD_WEBHOOK_IMPACT_${n}`
+  }, { name: `webhook${n}` }));
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    raw.destinations.push(fromEnv('telegram', {
+      botToken: 'TELEGRAM_BOT_TOKEN',
+      chatId: 'TELEGRAM_CHAT_ID',
+      name: 'TELEGRAM_NAME',
+      parseMode: 'TELEGRAM_PARSE_MODE',
+      language: 'TELEGRAM_LANGUAGE',
+      impact: 'TELEGRAM_IMPACT',
+      apiUrl: 'TELEGRAM_API_URL'
+    }));
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    raw.destinations.push(fromEnv('slack', { url: 'SLACK_WEBHOOK_URL', name: 'SLACK_NAME', language: 'SLACK_LANGUAGE', impact: 'SLACK_IMPACT' }));
+  }
+  if (env.JSON_WEBHOOK_URL) {
+    raw.destinations.push(fromEnv('json', { url: 'JSON_WEBHOOK_URL', name: 'JSON_WEBHOOK_NAME', language: 'JSON_WEBHOOK_LANGUAGE', impact: 'JSON_WEBHOOK_IMPACT' }));
+  }
+  return validateSettings(
+    raw,
+    (key) => SETTINGS[key].env || key,
+    (i, field) => destinationEnvNames[i][field] || Object.values(destinationEnvNames[i])[0]
+  );
+};
+
+// Replace "${VAR}" / "${VAR:-default}" in every string of the parsed file. Unset and empty
+// variables without a default are an error, so a missing secret is caught at startup.
+const interpolate = (value, env, where) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback) => {
+      const resolved = env[name] !== undefined && env[name] !== '' ? env[name] : fallback;
+      if (resolved === undefined) throw new SettingsError(`${where}: environment variable ${name} is not set`);
+      return resolved;
+    });
+  }
+  if (Array.isArray(value)) return value.map((v, i) => interpolate(v, env, `${where}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, env, where ? `${where}.${k}` : k)]));
+  }
+  return value;
+};
+
+const readSettingsFile = (filePath, env) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new SettingsError(err.code === 'ENOENT' ? 'file not found' : `invalid JSON (${err.message})`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new SettingsError('expected a JSON object of settings');
+  }
+
+  checkUnknownKeys(parsed, Object.keys(SETTINGS), (key) => key);
+  return validateSettings(
+    interpolate(parsed, env, ''),
+    (key) => key,
+    (i, field) => `destinations[${i}]${field ? `.${field}` : ''}`
+  );
+};
+
+module.exports = { SETTINGS, DESTINATION_FIELDS, SettingsError, readSettingsFromEnv, readSettingsFile };
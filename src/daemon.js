@@ -0,0 +1,115 @@
+// Long-running mode: poll on an interval that is shorter while the US market is open,
+// back off exponentially after failed runs, and stop cleanly when the signal aborts.
+
+const { logger } = require('./logger');
+
+const MARKET_TIME_ZONE = 'America/New_York';
+
+// "09:30-16:00" -> { open: 570, close: 960 } in minutes after midnight
+const parseMarketHours = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid market hours "${value}" (expected "HH:MM-HH:MM").`);
+  const [open, close] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m));
+  if (open >= close || close > 24 * 60) throw new Error(`Invalid market hours "${value}" (open must be before close).`);
+  return { open, close };
+};
+
+// Date ("2025-01-06"), weekday and minutes after midnight in New York, whatever the host's time zone
+const marketClock = (date) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: MARKET_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// UTC timestamp (ms) of a New York wall-clock time: a date ("2025-01-06") and minutes after midnight
+const marketTimeToUtc = (date, minutes) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day) + minutes * 60000;
+  let utc = wall;
+  // Correct by the New York offset at the guess, twice so daylight saving changes settle
+  for (let i = 0; i < 2; i++) {
+    const clock = marketClock(new Date(utc));
+    utc += wall - (Date.parse(`${clock.date}T00:00:00Z`) + clock.minutes * 60000);
+  }
+  return utc;
+};
+
+// Market holidays are not taken into account; on those days the bot just polls a bit more often
+const isMarketOpen = (date, hours) => {
+  const { weekday, minutes } = marketClock(date);
+  if (weekday === 'Sat' || weekday === 'Sun') return false;
+  return minutes >= hours.open && minutes < hours.close;
+};
+
+// Delay before the next run: the regular interval, doubled for every consecutive failure
+const nextPollDelayMs = ({ now, failures, marketHours, marketIntervalMs, offHoursIntervalMs, maxBackoffMs }) => {
+  const base = isMarketOpen(now, marketHours) ? marketIntervalMs : offHoursIntervalMs;
+  if (failures === 0) return base;
+  return Math.min(maxBackoffMs, base * 2 ** failures);
+};
+
+// Resolves after ms, or as soon as the signal aborts
+const interruptibleSleep = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// runOnce receives the signal so it can stop between items; the run in progress is always
+// allowed to finish its current sends and save its state.
+const runDaemon = async ({
+  runOnce,
+  signal,
+  marketHours,
+  marketIntervalMs,
+  offHoursIntervalMs,
+  maxBackoffMs,
+  now = () => new Date(),
+  sleep = interruptibleSleep
+}) => {
+  let failures = 0;
+
+  while (!signal.aborted) {
+    try {
+      await runOnce({ signal });
+      failures = 0;
+    } catch (err) {
+      failures++;
+      logger.error(`❌ Run failed (${failures} in a row): ${err.message}`);
+    }
+
+    if (signal.aborted) break;
+
+    const delayMs = nextPollDelayMs({ now: now(), failures, marketHours, marketIntervalMs, offHoursIntervalMs, maxBackoffMs });
+    logger.info(`💤 Next check in ${Math.round(delayMs / 1000)}s${failures > 0 ? ` (backing off after ${failures} failure(s))` : ''}`);
+    await sleep(delayMs, signal);
+  }
+
+  logger.info('👋 Daemon stopped');
+};
+
+module.exports = { MARKET_TIME_ZONE, marketClock, marketTimeToUtc, parseMarketHours, isMarketOpen, nextPollDelayMs, interruptibleSleep, runDaemon };
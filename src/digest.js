@@ -0,0 +1,243 @@
+const fs = require('fs');
+const { buildTickerLinks, sentimentKey, getSentimentEmoji } = require('./format');
+const { EMBED_LIMITS, truncate } = require('./embed');
+const { MARKET_TIME_ZONE, marketClock } = require('./daemon');
+const { writeFileAtomic } = require('./store');
+const { defaultTickerResolver } = require('./tickers');
+const { sendDiscordMessage } = require('./sinks/discord');
+const { logger } = require('./logger');
+
+// Daily and weekly digests of the items the bot posted, built from the item store: counts by
+// sentiment, the most-mentioned tickers and sectors, a timeline of the biggest posts, each
+// compared with the period before. Sent as a Discord embed, on demand (`node bot.js digest
+// daily`) or on a schedule checked after every run. The schedule is in New York time, and
+// what was last sent is kept in a small state file so a digest goes out once per period:
+//
+// { "version": 1, "sent": { "daily": "2025-01-06", "weekly": "2025-01-03" } }
+
+const DAY_MS = 24 * 3600000;
+
+const DIGEST_PERIODS = {
+  daily: { title: 'Daily digest', ms: DAY_MS, previous: 'the previous day' },
+  weekly: { title: 'Weekly digest', ms: 7 * DAY_MS, previous: 'the previous week' }
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const SENTIMENTS = [
+  { key: 'bullish', label: 'Bullish' },
+  { key: 'bearish', label: 'Bearish' },
+  { key: 'neutral', label: 'Neutral' },
+  { key: 'other', label: 'Other' }
+];
+
+// "17:00" -> 1020 minutes after midnight
+const parseDigestTime = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes >= 24 * 60) throw new Error(`Invalid digest time "${value}" (expected "HH:MM").`);
+  return minutes;
+};
+
+const sectorsOf = (sector) => String(sector || '').split(',').map((s) => s.trim()).filter((s) => s && s !== '—');
+
+const countBy = (values) => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+
+// The biggest posts are the ones touching the most tickers and sectors, with a clear direction
+const itemWeight = ({ original, tickers }) =>
+  tickers.length * 2 + sectorsOf(original.sector).length + (['bullish', 'bearish'].includes(sentimentKey(original.sentiment)) ? 1 : 0);
+
+// Aggregates the records posted in [end - period, end), and the period before for comparison
+const buildDigest = (records, { period, end = Date.now(), top = 5, tickers = defaultTickerResolver }) => {
+  const { ms } = DIGEST_PERIODS[period];
+
+  const postedBetween = (from, to) =>
+    records
+      .filter((r) => r.original && r.postedAt >= from && r.postedAt < to)
+      .map((r) => ({ postedAt: r.postedAt, original: r.original, tickers: tickers.resolve(r.original.tickers) }));
+
+  const current = postedBetween(end - ms, end);
+  const previous = postedBetween(end - 2 * ms, end - ms);
+
+  const tally = (entries) => ({
+    sentiment: countBy(entries.map((e) => sentimentKey(e.original.sentiment))),
+    tickers: countBy(entries.flatMap((e) => e.tickers.map((t) => t.symbol))),
+    sectors: countBy(entries.flatMap((e) => sectorsOf(e.original.sector)))
+  });
+  const now = tally(current);
+  const before = tally(previous);
+
+  const topOf = (counts, previousCounts) =>
+    [...counts]
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .slice(0, top)
+      .map(([name, count]) => ({ name, count, previous: previousCounts.get(name) || 0 }));
+
+  return {
+    period,
+    start: end - ms,
+    end,
+    count: current.length,
+    previousCount: previous.length,
+    sentiment: SENTIMENTS.map(({ key }) => ({ sentiment: key, count: now.sentiment.get(key) || 0, previous: before.sentiment.get(key) || 0 })),
+    tickers: topOf(now.tickers, before.tickers),
+    sectors: topOf(now.sectors, before.sectors),
+    // The biggest posts, in the order they were posted
+    timeline: [...current]
+      .sort((a, b) => itemWeight(b) - itemWeight(a) || a.postedAt - b.postedAt)
+      .slice(0, top)
+      .sort((a, b) => a.postedAt - b.postedAt)
+      .map((e) => ({
+        postedAt: e.postedAt,
+        sentiment: e.original.sentiment,
+        summary: e.original.summary,
+        tickers: e.tickers.map((t) => t.symbol),
+        sourceUrl: e.original.sourceUrl || ''
+      }))
+  };
+};
+
+const formatChange = (count, previous) => {
+  const change = count - previous;
+  return change > 0 ? `+${change}` : change < 0 ? `${change}` : '±0';
+};
+
+const formatNewYorkTime = (ms, options) =>
+  new Intl.DateTimeFormat('en-US', { timeZone: MARKET_TIME_ZONE, ...options }).format(new Date(ms));
+
+// As many whole lines as fit in one embed field
+const fieldValue = (lines) => {
+  let value = '';
+  for (const line of lines) {
+    const next = value ? `${value}\n${line}` : line;
+    if (next.length > EMBED_LIMITS.fieldValue) break;
+    value = next;
+  }
+  return value || '—';
+};
+
+// Webhook body with one embed for the digest
+const formatDigestEmbed = (digest, { tickers = defaultTickerResolver } = {}) => {
+  const { title, previous } = DIGEST_PERIODS[digest.period];
+  const dateOptions = { month: 'short', day: 'numeric', year: 'numeric' };
+  const range = digest.period === 'daily'
+    ? formatNewYorkTime(digest.end, dateOptions)
+    : `${formatNewYorkTime(digest.start, { month: 'short', day: 'numeric' })} – ${formatNewYorkTime(digest.end, dateOptions)}`;
+
+  const embed = {
+    title: `📊 ${title}: ${range}`,
+    description: digest.count === 0
+      ? `No items were posted (${digest.previousCount} in ${previous}).`
+      : `**${digest.count}** item(s) posted, ${formatChange(digest.count, digest.previousCount)} vs ${previous}.`,
+    color: 0x3498db,
+    timestamp: new Date(digest.end).toISOString(),
+    fields: []
+  };
+
+  if (digest.count > 0) {
+    embed.fields.push({
+      name: 'Sentiment',
+      value: fieldValue(
+        digest.sentiment
+          .filter((s) => s.count > 0 || s.previous > 0)
+          .map((s) => `${getSentimentEmoji(s.sentiment)} ${SENTIMENTS.find((x) => x.key === s.sentiment).label}: ${s.count} (${formatChange(s.count, s.previous)})`)
+      ),
+      inline: true
+    });
+
+    if (digest.tickers.length > 0) {
+      embed.fields.push({
+        name: 'Top tickers',
+        value: fieldValue(digest.tickers.map((t) => {
+          const [link] = buildTickerLinks([t.name], { resolver: tickers, suppressEmbeds: false });
+          return `${link ? link.text : `$${t.name}`}: ${t.count} (${formatChange(t.count, t.previous)})`;
+        })),
+        inline: true
+      });
+    }
+
+    if (digest.sectors.length > 0) {
+      embed.fields.push({
+        name: 'Top sectors',
+        value: fieldValue(digest.sectors.map((s) => `${s.name}: ${s.count} (${formatChange(s.count, s.previous)})`)),
+        inline: true
+      });
+    }
+
+    const timeOptions = digest.period === 'daily'
+      ? { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+      : { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    embed.fields.push({
+      name: 'Biggest posts',
+      value: fieldValue(digest.timeline.map((item) => {
+        const summary = truncate(String(item.summary || '').replace(/[[\]]/g, ''), 140);
+        const text = item.sourceUrl ? `[${summary}](${item.sourceUrl})` : summary;
+        const symbols = item.tickers.length > 0 ? ` ${item.tickers.map((s) => `$${s}`).join(' ')}` : '';
+        return `\`${formatNewYorkTime(item.postedAt, timeOptions)}\` ${getSentimentEmoji(item.sentiment)} ${text}${symbols}`;
+      })),
+      inline: false
+    });
+  }
+
+  return { embeds: [embed] };
+};
+
+// Key of the most recent scheduled time of a digest at or before `now`: its New York date.
+// time is in minutes after midnight, weekday one of WEEKDAYS (weekly digests only).
+const lastScheduledDate = (period, now, { time, weekday }) => {
+  const clock = marketClock(now);
+  let daysBack = clock.minutes >= time ? 0 : 1;
+  if (period === 'weekly') {
+    daysBack = (WEEKDAYS.indexOf(clock.weekday.toLowerCase()) - WEEKDAYS.indexOf(weekday) + 7) % 7;
+    if (daysBack === 0 && clock.minutes < time) daysBack = 7;
+  }
+  // Count the days back from local noon, so daylight saving changes can't skip a date
+  const noon = now.getTime() - (clock.minutes - 12 * 60) * 60000;
+  return marketClock(new Date(noon - daysBack * DAY_MS)).date;
+};
+
+const readDigestState = (filePath) => {
+  try {
+    if (!fs.existsSync(filePath)) return {};
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return parsed?.sent && typeof parsed.sent === 'object' ? parsed.sent : {};
+  } catch (err) {
+    logger.warn(`⚠️  Unable to read digest state ${filePath} (${err.message}), starting empty.`);
+    return {};
+  }
+};
+
+const createDigestScheduler = ({ filePath, schedule, time, weekday }) => {
+  const sent = readDigestState(filePath);
+
+  // Digests whose scheduled time has passed since they were last sent
+  const due = (now = new Date()) =>
+    schedule
+      .map((period) => ({ period, key: lastScheduledDate(period, now, { time, weekday }) }))
+      .filter(({ period, key }) => sent[period] !== key);
+
+  const markSent = (period, key) => {
+    sent[period] = key;
+    writeFileAtomic(filePath, `${JSON.stringify({ version: 1, sent }, null, 2)}\n`);
+  };
+
+  return { due, markSent };
+};
+
+const sendDigest = async (records, { period, webhookUrl, top, tickers, end = Date.now() }) => {
+  const digest = buildDigest(records, { period, end, top, tickers });
+  await sendDiscordMessage(webhookUrl, formatDigestEmbed(digest, { tickers }));
+  logger.info(`📊 Sent the ${period} digest (${digest.count} item(s))`);
+  return digest;
+};
+
+module.exports = {
+  DIGEST_PERIODS,
+  WEEKDAYS,
+  parseDigestTime,
+  buildDigest,
+  formatDigestEmbed,
+  lastScheduledDate,
+  createDigestScheduler,
+  sendDigest
+};
@@ -0,0 +1,170 @@
+const {
+  buildTickerLinks,
+  joinTickerLinks,
+  splitIntoChunks,
+  getSentimentEmoji,
+  discordTimestamp,
+  isolateTickerTokens,
+  rtlLines,
+  IMPACT_TITLE,
+  describeImpact,
+  describeImpactTargets
+} = require('./format');
+
+// Discord embed limits (https://discord.com/developers/docs/resources/message#embed-object-embed-limits)
+const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  fieldName: 256,
+  fieldValue: 1024,
+  fields: 25,
+  footer: 2048,
+  total: 6000
+};
+
+const SENTIMENT_COLORS = {
+  bullish: 0x2ecc71,
+  bearish: 0xe74c3c,
+  neutral: 0x95a5a6,
+  other: 0x3498db
+};
+
+const getSentimentColor = (sentiment) =>
+  /bullish/i.test(sentiment) ? SENTIMENT_COLORS.bullish :
+  /bearish/i.test(sentiment) ? SENTIMENT_COLORS.bearish :
+  /neutral/i.test(sentiment) ? SENTIMENT_COLORS.neutral : SENTIMENT_COLORS.other;
+
+const truncate = (text, max) => {
+  const s = String(text ?? '');
+  return s.length <= max ? s : `${s.substring(0, max - 1).trimEnd()}…`;
+};
+
+// Best-effort ISO timestamp from a display string, for items without a publication time
+const toIsoTimestamp = (time) => {
+  const ms = Date.parse(String(time || ''));
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+};
+
+const embedLength = (embed) =>
+  (embed.title || '').length +
+  (embed.description || '').length +
+  (embed.footer?.text || '').length +
+  (embed.fields || []).reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+
+// Drop or shorten trailing full-tweet fields until the embed fits the 6000 char total; then the
+// description, the footer and the other fields from the last, in that order
+const fitToTotalLimit = (embed) => {
+  while (embedLength(embed) > EMBED_LIMITS.total) {
+    const overflow = embedLength(embed) - EMBED_LIMITS.total;
+    const tweetFields = embed.fields.filter((f) => f.isTweet);
+    const last = tweetFields[tweetFields.length - 1];
+
+    if (last && last.value.length - overflow >= 20) {
+      last.value = truncate(last.value, last.value.length - overflow);
+    } else if (last) {
+      embed.fields.splice(embed.fields.indexOf(last), 1);
+    } else if ((embed.description || '').length > 1) {
+      embed.description = truncate(embed.description, Math.max(1, embed.description.length - overflow));
+    } else if ((embed.footer?.text || '').length > 1) {
+      embed.footer.text = truncate(embed.footer.text, Math.max(1, embed.footer.text.length - overflow));
+    } else if (embed.fields.length > 0) {
+      embed.fields.pop();
+    } else {
+      break;
+    }
+  }
+  for (const field of embed.fields) delete field.isTweet;
+  return embed;
+};
+
+// Build a webhook body with a single rich embed for an item.
+// The tag goes into `content` so role/user mentions still ping.
+// rtl adds bidi handling for right-to-left languages, as in formatMessage.
+const buildEmbedMessage = (item, { siteUrl = '', tag = '', rtl = false, tickers } = {}) => {
+  const esc = (s) => String(s ?? '').trim();
+  const bidi = (s) => (rtl ? rtlLines(isolateTickerTokens(s)) : s);
+
+  const time = esc(item.time);
+  const sentiment = esc(item.sentiment) || 'N/A';
+  const summary = bidi(esc(item.summary) || 'N/A');
+
+  const fullTweetRaw = esc(item.fullTweet);
+  const fullTweet = fullTweetRaw && fullTweetRaw !== '00' ? bidi(fullTweetRaw) : '';
+
+  const sector = esc(item.sector);
+  const tickerLinks = buildTickerLinks(item.tickers, { resolver: tickers, suppressEmbeds: false, rtl });
+  const sourceUrl = esc(item.sourceUrl || siteUrl);
+
+  const embed = {
+    title: truncate(`${getSentimentEmoji(sentiment)} ${sentiment}`, EMBED_LIMITS.title),
+    description: truncate(summary, EMBED_LIMITS.description),
+    color: getSentimentColor(sentiment),
+    fields: []
+  };
+
+  if (sourceUrl) embed.url = sourceUrl;
+
+  // A known publication time is shown by Discord in each reader's time zone; the display
+  // string is only a fallback
+  if (item.publishedAt != null) {
+    embed.timestamp = new Date(item.publishedAt).toISOString();
+  } else {
+    const timestamp = toIsoTimestamp(time);
+    if (timestamp) embed.timestamp = timestamp;
+    if (time) embed.footer = { text: truncate(time, EMBED_LIMITS.footer) };
+  }
+
+  if (tickerLinks.length > 0) {
+    // Links never get cut in half: drop whole tickers that don't fit
+    let fitting = [];
+    for (const link of tickerLinks) {
+      if (joinTickerLinks([...fitting, link]).length > EMBED_LIMITS.fieldValue) break;
+      fitting = [...fitting, link];
+    }
+    if (fitting.length > 0) embed.fields.push({ name: 'Tickers', value: joinTickerLinks(fitting), inline: true });
+  }
+
+  if (sector && sector !== '—') {
+    embed.fields.push({ name: 'Sector', value: truncate(sector, EMBED_LIMITS.fieldValue), inline: true });
+  }
+
+  if (item.publishedAt != null) {
+    const posted = `${discordTimestamp(item.publishedAt, 'F')}\n${discordTimestamp(item.publishedAt, 'R')}`;
+    embed.fields.push({ name: 'Posted', value: posted, inline: true });
+  }
+
+  // Market-impact note (destinations configured for it), after the full tweet. When the embed is
+  // too long the tweet is shortened, never the note
+  const impactField = item.impact
+    ? {
+      name: IMPACT_TITLE,
+      value: truncate(
+        [describeImpact(item.impact), bidi(describeImpactTargets(item.impact)), `💡 ${bidi(item.impact.rationale)}`].filter(Boolean).join('\n'),
+        EMBED_LIMITS.fieldValue
+      ),
+      inline: false
+    }
+    : null;
+
+  if (fullTweet) {
+    const parts = splitIntoChunks(fullTweet, EMBED_LIMITS.fieldValue);
+    const room = EMBED_LIMITS.fields - embed.fields.length - (impactField ? 1 : 0);
+    parts.slice(0, room).forEach((part, i) => {
+      embed.fields.push({ name: i === 0 ? '💬 Full tweet' : '\u200b', value: part, inline: false, isTweet: true });
+    });
+  }
+
+  if (impactField) embed.fields.push(impactField);
+
+  const body = { embeds: [fitToTotalLimit(embed)] };
+  if (esc(tag)) body.content = esc(tag);
+  return body;
+};
+
+module.exports = {
+  EMBED_LIMITS,
+  truncate,
+  getSentimentColor,
+  fitToTotalLimit,
+  buildEmbedMessage
+};
@@ -0,0 +1,214 @@
+const { defaultTickerResolver } = require('./tickers');
+const { marketClock } = require('./daemon');
+
+// Right-to-left languages need bidi isolation around Latin tokens like $SYM
+const RTL_LANGUAGES = /^(hebrew|he|iw|arabic|ar|persian|farsi|fa|urdu|ur|yiddish|yi)$/i;
+
+// Destinations with one of these languages get the untranslated text
+const ORIGINAL_LANGUAGES = /^(original|none|english|en)$/i;
+
+const isRtlLanguage = (language) => RTL_LANGUAGES.test(String(language || '').trim());
+
+// Hebrew, Arabic (incl. presentation forms), Syriac, Thaana...
+const containsRtlText = (text) => /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/.test(String(text ?? ''));
+
+const isOriginalLanguage = (language) => !String(language || '').trim() || ORIGINAL_LANGUAGES.test(String(language).trim());
+
+// Unicode bidi controls: LEFT-TO-RIGHT ISOLATE ... POP DIRECTIONAL ISOLATE, RIGHT-TO-LEFT MARK
+const LRI = '\u2066';
+const PDI = '\u2069';
+const RLM = '\u200f';
+
+const isolateLtr = (text) => `${LRI}${text}${PDI}`;
+
+// Keep $SYM tokens from being reordered inside RTL text
+const isolateTickerTokens = (text) => String(text ?? '').replace(/\$[A-Z][A-Z0-9.\-]{0,11}\b/g, (token) => isolateLtr(token));
+
+// Prefix every line with a right-to-left mark so lines that open with a Latin token
+// (a ticker, a time) still lay out right-to-left
+const rtlLines = (text) => String(text ?? '').split('\n').map((line) => (line ? `${RLM}${line}` : line)).join('\n');
+
+// One entry per resolved ticker: "$AAPL" linked to the first link target, then the company
+// name and links to the other targets when there are any. `link(label, url)` and `escape(text)`
+// produce the destination's markup (Markdown by default, where suppressEmbeds wraps URLs in
+// <...> so plain-text messages don't unfurl a preview per ticker). rtl isolates the Latin labels so
+// they keep their order inside right-to-left text.
+const buildTickerLinks = (tickers, {
+  resolver = defaultTickerResolver,
+  suppressEmbeds = true,
+  rtl = false,
+  link = (label, url) => `[${label}](${suppressEmbeds ? `<${url}>` : url})`,
+  escape = (text) => text
+} = {}) => {
+  const ltr = (text) => (rtl ? isolateLtr(text) : text);
+
+  return resolver.resolve(tickers).map(({ symbol, name, links: [main, ...others] }) => {
+    let text = link(ltr(`$${symbol}`), main.url);
+    if (name) text += ` ${escape(ltr(name))}`;
+    if (others.length > 0) text += ` (${others.map((l) => link(l.label, l.url)).join(', ')})`;
+    return { text, detailed: Boolean(name) || others.length > 0 };
+  });
+};
+
+// Bare links fit on one line; with names or several links it is one ticker per line
+const joinTickerLinks = (links) => links.map((l) => l.text).join(links.some((l) => l.detailed) ? '\n' : ', ');
+
+// Split long text into chunks that fit within Discord's limit
+const splitIntoChunks = (text, maxLength = 1990) => {
+  if (text.length <= maxLength) return [text];
+  
+  const chunks = [];
+  let remaining = text;
+  
+  while (remaining.length > 0) {
+    if (remaining.length <= maxLength) {
+      chunks.push(remaining);
+      break;
+    }
+    
+    // Try to find a good break point (newline, space, punctuation)
+    let splitIndex = maxLength;
+    
+    // Look for newline
+    const lastNewline = remaining.lastIndexOf('\n', maxLength);
+    if (lastNewline > maxLength * 0.7) {
+      splitIndex = lastNewline + 1;
+    } else {
+      // Look for space
+      const lastSpace = remaining.lastIndexOf(' ', maxLength);
+      if (lastSpace > maxLength * 0.7) {
+        splitIndex = lastSpace + 1;
+      }
+    }
+    
+    chunks.push(remaining.substring(0, splitIndex).trim());
+    remaining = remaining.substring(splitIndex).trim();
+  }
+  
+  return chunks;
+};
+
+// Discord timestamp tag for a UTC timestamp (ms): each reader sees it in their own time zone.
+// style F is the full date and time, R the relative "2 hours ago".
+const discordTimestamp = (ms, style) => `<t:${Math.floor(ms / 1000)}:${style}>`;
+
+// A UTC timestamp (ms) in New York time and UTC, for destinations without timestamp tags:
+// "2025-01-02 11:15 ET (16:15 UTC)"
+const formatMarketTime = (ms) => {
+  const { date, minutes } = marketClock(new Date(ms));
+  const hhmm = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  return `${date} ${hhmm} ET (${new Date(ms).toISOString().slice(11, 16)} UTC)`;
+};
+
+// bullish, bearish, neutral or other, whatever the case or wording around it
+const sentimentKey = (sentiment) =>
+  /bullish/i.test(sentiment) ? 'bullish' :
+  /bearish/i.test(sentiment) ? 'bearish' :
+  /neutral/i.test(sentiment) ? 'neutral' : 'other';
+
+const getSentimentEmoji = (sentiment) =>
+  /bullish/i.test(sentiment) ? '🟢' :
+  /bearish/i.test(sentiment) ? '🔴' :
+  /neutral/i.test(sentiment) ? '⚪' : '🟦';
+
+// Market-impact notes (see src/impact.js), shared by every destination's formatter
+const IMPACT_TITLE = '🤖 AI market impact';
+
+// "🟢 Bullish, high confidence"
+const describeImpact = ({ direction, confidence }) => {
+  const emoji = direction === 'mixed' ? '🟡' : getSentimentEmoji(direction);
+  const label = `${direction.charAt(0).toUpperCase()}${direction.slice(1)}`;
+  return `${emoji} ${label}${confidence ? `, ${confidence} confidence` : ''}`;
+};
+
+// "$XOM $CVX · Energy, Utilities", empty when the note names neither
+const describeImpactTargets = ({ tickers = [], sectors = [] }) =>
+  [tickers.map((t) => `$${t}`).join(' '), sectors.join(', ')].filter(Boolean).join(' · ');
+
+// message formatting (with source link & conditional sector and tickers)
+// Returns an array of message parts that need to be sent separately
+// rtl adds the bidi handling right-to-left languages (Hebrew, Arabic...) need
+const formatMessage = (item, { siteUrl = '', tag = '', rtl = false, tickers } = {}) => {
+  const esc = (s) => String(s ?? '').trim();
+  const bidi = (s) => (rtl ? isolateTickerTokens(s) : s);
+
+  const time = esc(item.time) || 'N/A';
+  const sentiment = esc(item.sentiment) || 'N/A';
+  const summary = bidi(esc(item.summary) || 'N/A');
+
+  const fullTweetRaw = esc(item.fullTweet);
+  const fullTweet = fullTweetRaw && fullTweetRaw !== '00' ? bidi(fullTweetRaw) : '';
+
+  const sector = esc(item.sector);
+  const tickersLinks = joinTickerLinks(buildTickerLinks(item.tickers, { resolver: tickers, rtl }));
+
+  const sentimentEmoji = getSentimentEmoji(sentiment);
+
+  const lines = [];
+  
+  // Only add the tickers line(s) if there are any
+  if (tickersLinks) {
+    lines.push(tickersLinks);
+  }
+  
+  // Only add sector line if it's not empty or "—"
+  if (sector && sector != '—') {
+    lines.push(`**Sector:** ${sector}`);
+  }
+  
+  // Add empty line only if we added tickers or sector
+  if (lines.length > 0) {
+    lines.push('');
+  }
+  
+  // Add the rest of the message
+  // The publication time in the reader's time zone when known, else the source's display string
+  const when = item.publishedAt != null
+    ? `${discordTimestamp(item.publishedAt, 'F')} · ${discordTimestamp(item.publishedAt, 'R')}`
+    : `\`${time}\``;
+  lines.push(
+    `${when} (${sentimentEmoji} **${sentiment}**)`,
+    `${summary}`,
+    ``,
+    `💬 ${fullTweet}`
+  );
+
+  // Only destinations configured for it get a market-impact note
+  if (item.impact) {
+    const targets = describeImpactTargets(item.impact);
+    lines.push(``, `**${IMPACT_TITLE}:** ${describeImpact(item.impact)}`);
+    if (targets) lines.push(bidi(targets));
+    lines.push(`💡 ${bidi(item.impact.rationale)}`);
+  }
+
+  const sourceUrl = esc(item.sourceUrl || siteUrl);
+  if (sourceUrl) {
+    lines.push(``, `<${sourceUrl}>`);
+  }
+
+  const baseMessage = rtl ? rtlLines(lines.join('\n')) : lines.join('\n');
+  const finalMessage = [baseMessage, tag].filter(Boolean).join('\n');
+  
+  // Split into chunks if message is too long
+  return splitIntoChunks(finalMessage, 1990);
+};
+
+module.exports = {
+  isRtlLanguage,
+  containsRtlText,
+  isOriginalLanguage,
+  isolateLtr,
+  isolateTickerTokens,
+  rtlLines,
+  buildTickerLinks,
+  joinTickerLinks,
+  splitIntoChunks,
+  sentimentKey,
+  getSentimentEmoji,
+  discordTimestamp,
+  formatMarketTime,
+  IMPACT_TITLE,
+  describeImpact,
+  describeImpactTargets,
+  formatMessage
+};
@@ -0,0 +1,160 @@
+const { TranslationOutputError, parseJson } = require('./translators/prompt');
+const { parseTicker } = require('./tickers');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+// Market-impact notes: an optional stage that asks Gemini what each item means for the market,
+// for the destinations configured with `impact`. One note per item:
+//
+// { direction: "bullish" | "bearish" | "neutral" | "mixed", confidence: "low" | "medium" | "high",
+//   tickers: ["XOM", ...], sectors: ["Energy", ...], rationale: "One sentence." }
+//
+// Items go through the Gemini provider's key pool in batches of its batch size, pausing between
+// batches as translation does, and an unusable answer is split in half like a translation batch.
+// A note is an extra: an item whose analysis fails is posted without one.
+
+const IMPACT_DIRECTIONS = ['bullish', 'bearish', 'neutral', 'mixed'];
+const IMPACT_CONFIDENCES = ['low', 'medium', 'high'];
+
+const MAX_TICKERS = 5;
+const MAX_SECTORS = 3;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const itemId = (index) => `i${index + 1}`;
+
+// JSON schema of the answer (Gemini structured output)
+const IMPACT_SCHEMA = {
+  type: 'object',
+  properties: {
+    impacts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          tickers: { type: 'array', items: { type: 'string' } },
+          sectors: { type: 'array', items: { type: 'string' } },
+          direction: { type: 'string', format: 'enum', enum: IMPACT_DIRECTIONS },
+          confidence: { type: 'string', format: 'enum', enum: IMPACT_CONFIDENCES },
+          rationale: { type: 'string' }
+        },
+        required: ['id', 'tickers', 'sectors', 'direction', 'confidence', 'rationale']
+      }
+    }
+  },
+  required: ['impacts']
+};
+
+const buildImpactPrompt = (items) => {
+  const payload = items.map((item, i) => ({
+    id: itemId(i),
+    summary: String(item.summary ?? ''),
+    fullTweet: String(item.fullTweet ?? ''),
+    sentiment: String(item.sentiment ?? ''),
+    tickers: Array.isArray(item.tickers) ? item.tickers : [],
+    sector: String(item.sector ?? '')
+  }));
+  return (
+    `Assess the likely short-term market impact of each of the following news items for US-listed stocks.\n` +
+    `Return ONLY valid JSON in this exact shape: {"impacts":[{"id":"...","tickers":["..."],"sectors":["..."],` +
+    `"direction":"${IMPACT_DIRECTIONS.join('|')}","confidence":"${IMPACT_CONFIDENCES.join('|')}","rationale":"..."}, ...]}\n` +
+    `Return one entry per input item, with the item's id unchanged. tickers: up to ${MAX_TICKERS} ticker symbols most affected ` +
+    `(may be empty). sectors: up to ${MAX_SECTORS} sectors. rationale: one short sentence in English.\n\n` +
+    `Input JSON:\n${JSON.stringify({ items: payload }, null, 0)}`
+  );
+};
+
+const normalizeImpact = (entry) => {
+  const direction = String(entry?.direction ?? '').trim().toLowerCase();
+  const rationale = String(entry?.rationale ?? '').trim();
+  if (!IMPACT_DIRECTIONS.includes(direction) || !rationale) return null;
+
+  const confidence = String(entry?.confidence ?? '').trim().toLowerCase();
+  const strings = (value) => (Array.isArray(value) ? value.map((v) => String(v ?? '').trim()).filter(Boolean) : []);
+  const tickers = [...new Set(strings(entry.tickers).map((t) => parseTicker(t)?.symbol).filter(Boolean))];
+
+  return {
+    direction,
+    confidence: IMPACT_CONFIDENCES.includes(confidence) ? confidence : null,
+    tickers: tickers.slice(0, MAX_TICKERS),
+    sectors: [...new Set(strings(entry.sectors))].slice(0, MAX_SECTORS),
+    rationale
+  };
+};
+
+// Notes in input order, null for items left out or answered with something unusable
+const parseImpacts = (text, expectedCount) => {
+  const parsed = parseJson(text);
+  if (!Array.isArray(parsed?.impacts)) throw new TranslationOutputError('Model returned no impacts array.');
+
+  const byId = new Map();
+  for (const entry of parsed.impacts) {
+    const impact = normalizeImpact(entry);
+    if (entry?.id != null && impact) byId.set(String(entry.id), impact);
+  }
+
+  const impacts = Array.from({ length: expectedCount }, (_, i) => byId.get(itemId(i)) ?? null);
+  if (impacts.every((impact) => impact === null)) throw new TranslationOutputError('Model returned no usable impact notes.');
+  return impacts;
+};
+
+// provider is the Gemini provider (see src/translators/gemini.js)
+const createImpactAnalyzer = ({ provider }) => {
+  const analyzeBatch = async (items) => {
+    try {
+      return await provider.generateJson({
+        prompt: buildImpactPrompt(items),
+        schema: IMPACT_SCHEMA,
+        parse: (text) => parseImpacts(text, items.length),
+        description: `Assessing the market impact of ${items.length} item(s)`,
+        temperature: 0.2
+      });
+    } catch (err) {
+      if (!(err instanceof TranslationOutputError)) throw err;
+      if (items.length === 1) {
+        logger.warn(`⚠️  No market-impact note for "${String(items[0].summary).substring(0, 60)}...": ${err.message}`);
+        return [null];
+      }
+      const half = Math.ceil(items.length / 2);
+      logger.debug(`   ✂️  Unusable impact answer (${err.message}), splitting into batches of ${half} and ${items.length - half}`);
+      const impacts = [];
+      for (const batch of [items.slice(0, half), items.slice(half)]) {
+        if (provider.minDelayMs > 0) await sleep(provider.minDelayMs);
+        impacts.push(...(await analyzeBatch(batch)));
+      }
+      return impacts;
+    }
+  };
+
+  // One note per item, null where the analysis failed. Never throws: when Gemini itself fails,
+  // the remaining items go out without a note.
+  const analyze = async (items) => {
+    const impacts = items.map(() => null);
+    if (items.length === 0) return impacts;
+
+    logger.info(`🤖 Assessing the market impact of ${items.length} item(s)...`);
+    for (let i = 0; i < items.length; i += provider.batchSize) {
+      if (i > 0 && provider.minDelayMs > 0) await sleep(provider.minDelayMs);
+      try {
+        const batch = await analyzeBatch(items.slice(i, i + provider.batchSize));
+        batch.forEach((impact, j) => {
+          impacts[i + j] = impact;
+        });
+      } catch (err) {
+        logger.warn(`⚠️  Market-impact analysis failed, ${items.length - i} item(s) go out without a note: ${err.message}`);
+        break;
+      }
+    }
+
+    const added = impacts.filter(Boolean).length;
+    metrics.impactNotes.inc({ result: 'added' }, added);
+    metrics.impactNotes.inc({ result: 'failed' }, items.length - added);
+    logger.info(`🤖 Market-impact notes: ${added}/${items.length} item(s)`);
+    return impacts;
+  };
+
+  return { analyze };
+};
+
+module.exports = { IMPACT_DIRECTIONS, IMPACT_CONFIDENCES, IMPACT_SCHEMA, buildImpactPrompt, parseImpacts, createImpactAnalyzer };
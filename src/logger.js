@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Leveled logger shared by all modules.
+// - LOG_LEVEL: debug | info (default) | warn | error
+// - LOG_FORMAT: pretty (default, for humans) | json (one object per line, for machines)
+// Every line carries the correlation IDs of the context it runs in (runId, itemId), set with
+// withLogContext, and is scrubbed of webhook URLs, bot tokens and API keys before it is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['pretty', 'json'];
+
+const REDACTED = '[REDACTED]';
+
+// Secrets that look the same wherever they come from, so they are caught even when only
+// part of a URL ends up in an error message
+const SECRET_PATTERNS = [
+  // Discord webhooks: keep the webhook ID (useful to tell them apart), hide the token
+  [/(discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\/\d+\/)[\w-]+/gi, `$1${REDACTED}`],
+  [/(hooks\.slack\.com\/services\/)[\w/]+/gi, `$1${REDACTED}`],
+  // Telegram bot tokens, in API URLs or on their own
+  [/\b(bot)?\d{6,}:[\w-]{30,}/g, (_, prefix) => `${prefix || ''}${REDACTED}`],
+  // Google API keys
+  [/AIza[\w-]{35}/g, REDACTED],
+  [/([?&](?:key|token|api_key)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+const context = new AsyncLocalStorage();
+
+const settings = {
+  level: LEVELS.info,
+  format: 'pretty',
+  secrets: [],
+  write: (line, level) => (level >= LEVELS.warn ? console.error(line) : console.log(line))
+};
+
+const redact = (text) => {
+  let out = String(text);
+  // Configured secrets first (exact values such as a custom JSON webhook URL), longest first
+  for (const secret of settings.secrets) {
+    out = out.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    out = out.replace(pattern, replacement);
+  }
+  return out;
+};
+
+// Errors become { message, stack }; the stack is only kept at debug level
+const serializeField = (value) => {
+  if (value instanceof Error) {
+    return settings.level <= LEVELS.debug ? { message: value.message, stack: value.stack } : { message: value.message };
+  }
+  return value;
+};
+
+const formatPretty = (time, level, message, ids, fields) => {
+  const tags = Object.entries(ids).map(([k, v]) => `${k}=${v}`).join(' ');
+  const extra = Object.entries(fields)
+    .map(([k, v]) => {
+      if (v instanceof Error) return logger.isDebugEnabled() ? `\n${v.stack}` : ` ${k}="${v.message}"`;
+      return ` ${k}=${v && typeof v === 'object' ? JSON.stringify(v) : v}`;
+    })
+    .join('');
+  const prefix = `${time.substring(11, 23)} ${level.toUpperCase().padEnd(5)}${tags ? ` [${tags}]` : ''}`;
+  // Blank lines around messages were spacing for plain console output; drop them
+  const body = String(message).replace(/^\n+|\n+$/g, '');
+  return `${prefix} ${body}${extra}`;
+};
+
+const log = (level, message, fields = {}) => {
+  if (LEVELS[level] < settings.level) return;
+
+  const time = new Date().toISOString();
+  const ids = { ...(context.getStore() || {}) };
+
+  const line = settings.format === 'json'
+    ? JSON.stringify({
+      time,
+      level,
+      ...ids,
+      msg: String(message).trim(),
+      ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, serializeField(v)]))
+    })
+    : formatPretty(time, level, message, ids, fields);
+
+  settings.write(redact(line), LEVELS[level]);
+};
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+  isDebugEnabled: () => settings.level <= LEVELS.debug
+};
+
+const configureLogger = ({ level, format, secrets, write } = {}) => {
+  if (level !== undefined) {
+    if (!LEVELS[level]) throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')}).`);
+    settings.level = LEVELS[level];
+  }
+  if (format !== undefined) {
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected "pretty" or "json").`);
+    settings.format = format;
+  }
+  if (secrets !== undefined) {
+    settings.secrets = [...new Set(secrets.map((s) => String(s || '').trim()).filter((s) => s.length >= 8))]
+      .sort((a, b) => b.length - a.length);
+  }
+  if (write !== undefined) settings.write = write;
+};
+
+// Run fn with extra correlation IDs on every line it logs (nested contexts add to the outer one)
+const withLogContext = (ids, fn) => context.run({ ...(context.getStore() || {}), ...ids }, fn);
+
+const newRunId = () => crypto.randomBytes(4).toString('hex');
+
+module.exports = { LEVELS, LOG_FORMATS, logger, configureLogger, withLogContext, newRunId, redact };
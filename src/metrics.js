@@ -0,0 +1,89 @@
+// Minimal Prometheus metrics (counters and gauges with labels) in the text exposition format.
+// The shared `metrics` instance is what the bot's modules record into and what /metrics serves.
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelKey = (labels) =>
+  Object.keys(labels)
+    .sort()
+    .map((name) => `${name}="${escapeLabelValue(labels[name])}"`)
+    .join(',');
+
+const createMetricsRegistry = () => {
+  const families = [];
+
+  const define = (type, name, help, labelNames) => {
+    const values = new Map(); // labelKey -> value
+
+    const checkLabels = (labels) => {
+      const unknown = Object.keys(labels).filter((l) => !labelNames.includes(l));
+      if (unknown.length > 0) throw new Error(`Metric ${name} has no label(s) ${unknown.join(', ')}`);
+    };
+
+    families.push({ type, name, help, values });
+
+    return {
+      inc: (labels = {}, by = 1) => {
+        checkLabels(labels);
+        const key = labelKey(labels);
+        values.set(key, (values.get(key) || 0) + by);
+      },
+      set: (labels, value) => {
+        checkLabels(labels);
+        values.set(labelKey(labels), value);
+      },
+      get: (labels = {}) => values.get(labelKey(labels)) || 0,
+      reset: () => values.clear()
+    };
+  };
+
+  return {
+    counter: (name, help, labelNames = []) => define('counter', name, help, labelNames),
+    gauge: (name, help, labelNames = []) => define('gauge', name, help, labelNames),
+
+    render: () => {
+      const lines = [];
+      for (const { type, name, help, values } of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [key, value] of values) {
+          lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+};
+
+const registry = createMetricsRegistry();
+
+const metrics = {
+  runs: registry.counter('trumpnews_runs_total', 'Completed runs by result', ['result']),
+  lastSuccessfulRun: registry.gauge('trumpnews_last_successful_run_timestamp_seconds', 'Unix time the last successful run finished'),
+
+  itemsScraped: registry.counter('trumpnews_items_scraped_total', 'Items read from each source', ['source']),
+  lastScrapeItems: registry.gauge('trumpnews_last_scrape_items', 'Items read from each source in the latest run', ['source']),
+  newItems: registry.counter('trumpnews_new_items_total', 'Items not seen before', ['source']),
+  updatedItems: registry.counter('trumpnews_updated_items_total', 'Posted items whose content changed upstream', ['source']),
+  staleItems: registry.counter('trumpnews_stale_items_total', 'New items not posted because they were published longer ago than MAX_ITEM_AGE_HOURS', ['source']),
+
+  payloadRows: registry.counter('trumpnews_payload_rows_total', 'Dashboard rows matched (or not) to a payload record', ['result']),
+  payloadMatchRatio: registry.gauge('trumpnews_payload_match_ratio', 'Share of dashboard rows matched to a payload record in the latest browser scrape'),
+
+  translationRequests: registry.counter('trumpnews_translation_requests_total', 'Gemini calls (translation and market-impact notes) by API key and result', ['key', 'result']),
+  translationBatches: registry.counter('trumpnews_translation_batches_total', 'Translation batches by provider and result (failed batches go to the next provider)', ['provider', 'result']),
+  translationFallbacks: registry.counter('trumpnews_translation_fallbacks_total', 'Texts posted untranslated because translation failed', ['language']),
+  impactNotes: registry.counter('trumpnews_impact_notes_total', 'Items given a market-impact note (added) or posted without one (failed)', ['result']),
+  rateLimitedKey: registry.gauge('trumpnews_gemini_key_rate_limited', 'Whether a Gemini API key is cooling down after a rate limit (1) or usable (0)', ['key']),
+  rateLimitedKeys: registry.gauge('trumpnews_gemini_rate_limited_keys', 'Number of Gemini API keys cooling down after a rate limit'),
+  geminiKeyRequestsToday: registry.gauge('trumpnews_gemini_key_requests_today', 'Requests made with a Gemini API key since the daily quota reset (midnight Pacific)', ['key']),
+
+  httpRateLimited: registry.counter('trumpnews_http_rate_limited_total', 'HTTP 429 responses from destinations', ['request']),
+  httpRetries: registry.counter('trumpnews_http_retries_total', 'Retried destination requests by reason', ['request', 'reason']),
+
+  itemsPosted: registry.counter('trumpnews_items_posted_total', 'Items posted per destination', ['destination', 'type']),
+  itemsEdited: registry.counter('trumpnews_items_edited_total', 'Posted items edited in place per destination', ['destination', 'type']),
+  outboxFailures: registry.counter('trumpnews_outbox_failures_total', 'Failed attempts to post a queued message, per destination', ['destination']),
+  outboxMessages: registry.gauge('trumpnews_outbox_messages', 'Messages in the outbox waiting for a retry (pending) or given up on (dead)', ['state'])
+};
+
+module.exports = { createMetricsRegistry, registry, metrics };
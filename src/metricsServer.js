@@ -0,0 +1,58 @@
+const http = require('http');
+const { logger } = require('./logger');
+
+// Optional HTTP server for monitoring: GET /healthz (JSON, 503 when unhealthy) and
+// GET /metrics (Prometheus text format).
+
+// Healthy while the last successful run is recent enough. Before the first run finishes,
+// the process start time counts, so a fresh start isn't reported as down.
+const evaluateHealth = ({ startedAt, lastRunAt, lastSuccessAt, lastError }, { maxAgeMs, now = Date.now() }) => {
+  const reference = lastSuccessAt || startedAt;
+  const healthy = now - reference <= maxAgeMs;
+  return {
+    status: healthy ? 'ok' : 'stale',
+    startedAt: new Date(startedAt).toISOString(),
+    lastRunAt: lastRunAt ? new Date(lastRunAt).toISOString() : null,
+    lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+    lastError: lastError || null
+  };
+};
+
+const startMetricsServer = async ({ port, host = '0.0.0.0', registry, health }) => {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      return res.end();
+    }
+
+    if (pathname === '/healthz') {
+      const body = health();
+      res.writeHead(body.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(body));
+    }
+
+    if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      return res.end(registry.render());
+    }
+
+    res.writeHead(404);
+    return res.end();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  logger.info(`📈 Metrics on http://${host}:${server.address().port}/metrics (health: /healthz)`);
+
+  return {
+    port: server.address().port,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+module.exports = { evaluateHealth, startMetricsServer };
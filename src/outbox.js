@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./store');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+// Outbox of rendered messages waiting to be posted, kept on disk so a crash or a cancelled job
+// never posts a message part twice and never loses one:
+//
+// { "version": 1,
+//   "messages": [{ key, itemId, destination, createdAt, attempts, nextAttemptAt, lastError,
+//                  parts: [{ body, messageId, sentAt }] }],
+//   "deadLetters": [{ ...message, failedAt }] }
+//
+// A message is queued before its first part is posted and each part is marked sent (and the
+// file written) as soon as the destination accepts it, so the next run picks up at the first
+// unsent part. A message that fails stays queued and is retried on later runs, waiting twice as
+// long after each failure; after maxAttempts failures it moves to the dead-letter list, where it
+// stays until removed by hand. A message leaves the outbox once the item store has recorded it.
+
+const OUTBOX_VERSION = 1;
+const MAX_RETRY_DELAY_MS = 6 * 3600000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class OutboxCorruptError extends Error {
+  constructor(filePath, reason) {
+    super(`Outbox ${filePath} is corrupt (${reason}). Fix or restore it before running again.`);
+    this.name = 'OutboxCorruptError';
+  }
+}
+
+// An outbox that exists but can't be parsed is an error, like the store: starting from empty
+// would drop the unsent parts of queued messages, and their items are already in the store, so
+// no later run would post them
+const readOutboxFile = (filePath) => {
+  const empty = { messages: [], deadLetters: [] };
+  if (!filePath || !fs.existsSync(filePath)) return empty;
+
+  const raw = fs.readFileSync(filePath, 'utf8').trim();
+  if (!raw) return empty;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new OutboxCorruptError(filePath, err.message);
+  }
+  if (!Array.isArray(parsed?.messages) || !Array.isArray(parsed.deadLetters)) {
+    throw new OutboxCorruptError(filePath, `expected { "version": ${OUTBOX_VERSION}, "messages": [...], "deadLetters": [...] }`);
+  }
+  return { messages: parsed.messages, deadLetters: parsed.deadLetters };
+};
+
+// Without a filePath the outbox lives in memory only
+const createOutbox = ({ filePath, maxAttempts = 5, retryDelayMs = 60000, partDelayMs = 300, now = Date.now }) => {
+  const { messages, deadLetters } = readOutboxFile(filePath);
+
+  const save = () => {
+    metrics.outboxMessages.set({ state: 'pending' }, messages.length);
+    metrics.outboxMessages.set({ state: 'dead' }, deadLetters.length);
+    if (filePath) writeFileAtomic(filePath, `${JSON.stringify({ version: OUTBOX_VERSION, messages, deadLetters }, null, 2)}\n`);
+  };
+
+  const find = (key) => messages.find((m) => m.key === key) || null;
+
+  // Queue the rendered parts of one message. key names what it is (an item posted to a
+  // destination); a message already queued under that key is returned as it stands, so an item
+  // handled again after a crash resumes its parts instead of posting them a second time.
+  // null when the message was given up on before.
+  const enqueue = ({ key, itemId, destination, parts }) => {
+    const queued = find(key);
+    if (queued) return queued;
+    if (deadLetters.some((m) => m.key === key)) {
+      logger.warn(`⚠️  Not posting item ${itemId.substring(0, 12)} to ${destination} again: it is in the outbox dead-letter list`);
+      return null;
+    }
+
+    const message = {
+      key,
+      itemId,
+      destination,
+      createdAt: now(),
+      attempts: 0,
+      nextAttemptAt: now(),
+      lastError: null,
+      parts: parts.map((body) => ({ body, messageId: null, sentAt: null }))
+    };
+    messages.push(message);
+    save();
+    return message;
+  };
+
+  const fail = (message, err) => {
+    message.attempts++;
+    message.lastError = err.message;
+    metrics.outboxFailures.inc({ destination: message.destination });
+
+    const shortId = message.itemId.substring(0, 12);
+    const sent = message.parts.filter((p) => p.sentAt).length;
+    if (message.attempts >= maxAttempts) {
+      messages.splice(messages.indexOf(message), 1);
+      deadLetters.push({ ...message, failedAt: now() });
+      logger.error(`💀 Gave up posting item ${shortId} to ${message.destination} after ${message.attempts} attempt(s), moved to the dead-letter list: ${err.message}`);
+    } else {
+      const delayMs = Math.min(MAX_RETRY_DELAY_MS, retryDelayMs * 2 ** (message.attempts - 1));
+      message.nextAttemptAt = now() + delayMs;
+      logger.warn(`⚠️  Posting item ${shortId} to ${message.destination} failed after ${sent}/${message.parts.length} part(s), retry ${message.attempts}/${maxAttempts - 1} in ${Math.round(delayMs / 1000)}s: ${err.message}`);
+    }
+    save();
+  };
+
+  // Post the parts not sent yet, in order, through sendPart(body) -> message ID or null.
+  // Resolves to the message IDs of all parts once every part is sent, or null when one failed
+  // (the message is then scheduled for a retry or dead-lettered).
+  const deliver = async (message, sendPart) => {
+    let posted = 0;
+    try {
+      for (const part of message.parts) {
+        if (part.sentAt) continue;
+        if (posted > 0) await sleep(partDelayMs);
+        part.messageId = await sendPart(part.body);
+        part.sentAt = now();
+        posted++;
+        save();
+      }
+    } catch (err) {
+      fail(message, err);
+      return null;
+    }
+    return message.parts.map((p) => p.messageId).filter(Boolean);
+  };
+
+  // The store has recorded a fully sent message: drop it
+  const complete = (message) => {
+    const index = messages.indexOf(message);
+    if (index < 0) return;
+    messages.splice(index, 1);
+    save();
+  };
+
+  // Messages whose retry is due, oldest first
+  const due = () => messages.filter((m) => m.nextAttemptAt <= now());
+
+  const stats = () => ({ pending: messages.length, deadLetters: deadLetters.length });
+
+  return { enqueue, deliver, complete, due, stats };
+};
+
+module.exports = { OUTBOX_VERSION, OutboxCorruptError, createOutbox };
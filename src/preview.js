@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Dry-run output: every message part that would have been posted, with its destination and item ID.
+// Written as readable text, or as a JSON array when the output file ends in .json.
+
+const describePart = (part) => {
+  if (typeof part === 'string') return part;
+  // Plain Discord text messages read best as their content; anything else as JSON
+  if (part && typeof part.content === 'string' && !part.embeds) return part.content;
+  return JSON.stringify(part, null, 2);
+};
+
+const formatPreviewText = (records) => {
+  const lines = [];
+  for (const record of records) {
+    const parts = record.parts.length;
+    lines.push(
+      `━━━ ${record.status.toUpperCase()} item ${record.id} → ${record.destination} ` +
+      `(${record.type}, ${record.language || 'original'}, ${parts} part${parts === 1 ? '' : 's'})`
+    );
+    record.parts.forEach((part, i) => {
+      if (parts > 1) lines.push(`--- part ${i + 1}/${parts}`);
+      lines.push(describePart(part));
+    });
+    lines.push('');
+  }
+  return lines.join('\n');
+};
+
+const createPreview = ({ outputPath } = {}) => {
+  const records = [];
+
+  return {
+    add: (entry, sink, parts, status) => {
+      records.push({
+        id: entry.id,
+        status,
+        source: entry.item.source || null,
+        destination: sink.name,
+        type: sink.type,
+        language: sink.language || null,
+        parts
+      });
+    },
+
+    // Items no routing rule matched still show up, with no destination
+    addUnrouted: (entry) => {
+      records.push({ id: entry.id, status: 'unrouted', source: entry.item.source || null, destination: '(none)', type: '-', language: null, parts: [] });
+    },
+
+    write: () => {
+      if (!outputPath) {
+        process.stdout.write(`${formatPreviewText(records)}\n`);
+        return;
+      }
+      const body = path.extname(outputPath).toLowerCase() === '.json'
+        ? `${JSON.stringify(records, null, 2)}\n`
+        : `${formatPreviewText(records)}\n`;
+      fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+      fs.writeFileSync(outputPath, body);
+    },
+
+    get size() {
+      return records.length;
+    }
+  };
+};
+
+module.exports = { formatPreviewText, createPreview };
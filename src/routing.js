@@ -0,0 +1,139 @@
+const fs = require('fs');
+
+// Declarative routing of items to destinations (webhooks).
+//
+// {
+//   "strategy": "rules",                 // or "round-robin" (the default without a config)
+//   "rules": [
+//     { "name": "energy bears", "match": { "sentiment": "bearish", "sector": "energy" }, "to": ["energy"] },
+//     { "name": "macro", "match": { "text": "tariff|china" }, "to": ["macro"], "stop": true }
+//   ],
+//   "default": ["general"]               // or "round-robin"; used when no rule matched
+// }
+//
+// All conditions of a rule must match. Every matching rule adds its destinations (fan-out)
+// until a matching rule with "stop": true is reached.
+
+const MATCH_KEYS = ['tickers', 'sector', 'sentiment', 'summary', 'fullTweet', 'text'];
+const RULE_KEYS = ['name', 'match', 'to', 'stop'];
+const CONFIG_KEYS = ['strategy', 'rules', 'default'];
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map((v) => String(v ?? '').trim()).filter(Boolean);
+
+const compileRegex = (pattern, where) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`${where}: invalid regex "${pattern}" (${err.message})`);
+  }
+};
+
+const checkDestinations = (names, destinationNames, where) => {
+  if (names.length === 0) throw new Error(`${where}: "to" must name at least one destination`);
+  const unknown = names.filter((name) => !destinationNames.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown destination(s) ${unknown.join(', ')} (known: ${destinationNames.join(', ')})`);
+  }
+};
+
+const compileMatch = (match, where) => {
+  const unknownKeys = Object.keys(match || {}).filter((key) => !MATCH_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`${where}: unknown match key(s) ${unknownKeys.join(', ')} (expected: ${MATCH_KEYS.join(', ')})`);
+  }
+
+  const tests = [];
+  const m = match || {};
+
+  if (m.tickers !== undefined) {
+    const wanted = new Set(toList(m.tickers).map((t) => t.toUpperCase()));
+    // Stored tickers may carry their exchange ("LSE:VOD"); rules name the symbol
+    tests.push((item) => (item.tickers || []).some((t) => wanted.has(String(t).toUpperCase().split(':').pop())));
+  }
+  if (m.sector !== undefined) {
+    const wanted = toList(m.sector).map((s) => s.toLowerCase());
+    tests.push((item) => wanted.some((s) => String(item.sector || '').toLowerCase().includes(s)));
+  }
+  if (m.sentiment !== undefined) {
+    const wanted = toList(m.sentiment).map((s) => s.toLowerCase());
+    tests.push((item) => wanted.includes(String(item.sentiment || '').trim().toLowerCase()));
+  }
+  if (m.summary !== undefined) {
+    const re = compileRegex(m.summary, where);
+    tests.push((item) => re.test(String(item.summary || '')));
+  }
+  if (m.fullTweet !== undefined) {
+    const re = compileRegex(m.fullTweet, where);
+    tests.push((item) => re.test(String(item.fullTweet || '')));
+  }
+  if (m.text !== undefined) {
+    const re = compileRegex(m.text, where);
+    tests.push((item) => re.test(String(item.summary || '')) || re.test(String(item.fullTweet || '')));
+  }
+
+  return (item) => tests.every((test) => test(item));
+};
+
+// Validate a raw routing config against the known destination names and compile it
+const parseRoutingConfig = (raw, destinationNames) => {
+  const config = raw || {};
+  const unknownKeys = Object.keys(config).filter((key) => !CONFIG_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Routing config: unknown key(s) ${unknownKeys.join(', ')} (expected: ${CONFIG_KEYS.join(', ')})`);
+  }
+
+  const strategy = config.strategy || (config.rules ? 'rules' : 'round-robin');
+  if (!['rules', 'round-robin'].includes(strategy)) {
+    throw new Error(`Routing config: unknown strategy "${strategy}" (expected "rules" or "round-robin")`);
+  }
+
+  const rules = (config.rules || []).map((rule, i) => {
+    const where = `Routing rule #${i + 1}${rule?.name ? ` (${rule.name})` : ''}`;
+    const unknownRuleKeys = Object.keys(rule || {}).filter((key) => !RULE_KEYS.includes(key));
+    if (unknownRuleKeys.length > 0) {
+      throw new Error(`${where}: unknown key(s) ${unknownRuleKeys.join(', ')} (expected: ${RULE_KEYS.join(', ')})`);
+    }
+    const to = toList(rule.to);
+    checkDestinations(to, destinationNames, where);
+    return { name: rule.name || `rule ${i + 1}`, matches: compileMatch(rule.match, where), to, stop: Boolean(rule.stop) };
+  });
+
+  let fallback = config.default ?? (strategy === 'round-robin' ? 'round-robin' : []);
+  if (fallback !== 'round-robin') {
+    fallback = toList(fallback);
+    if (fallback.length > 0) checkDestinations(fallback, destinationNames, 'Routing default');
+  }
+
+  return { strategy, rules, fallback };
+};
+
+const loadRoutingConfig = ({ json, filePath }) => {
+  if (filePath) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (json) return JSON.parse(json);
+  return null;
+};
+
+// Returns route(item) -> destinations[]. Round-robin state lives in the router instance.
+const createRouter = (config, destinations) => {
+  const byName = new Map(destinations.map((d) => [d.name, d]));
+  let rotation = 0;
+
+  const nextInRotation = () => destinations[rotation++ % destinations.length];
+
+  return (item) => {
+    if (config.strategy === 'round-robin') return [nextInRotation()];
+
+    const names = [];
+    for (const rule of config.rules) {
+      if (!rule.matches(item)) continue;
+      for (const name of rule.to) if (!names.includes(name)) names.push(name);
+      if (rule.stop) break;
+    }
+
+    if (names.length > 0) return names.map((name) => byName.get(name));
+    if (config.fallback === 'round-robin') return [nextInRotation()];
+    return config.fallback.map((name) => byName.get(name));
+  };
+};
+
+module.exports = { parseRoutingConfig, loadRoutingConfig, createRouter };
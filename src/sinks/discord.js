@@ -0,0 +1,137 @@
+const { formatMessage } = require('../format');
+const { buildEmbedMessage } = require('../embed');
+const { sleep, requestWithRetry } = require('./http');
+const { logger } = require('../logger');
+
+// Discord reports the wait in the JSON body, in seconds
+const discordRetryAfterMs = async (response) => {
+  try {
+    const body = await response.json();
+    return Math.ceil((Number(body.retry_after) || 1) * 1000);
+  } catch {
+    return 1000;
+  }
+};
+
+const discordRequest = async (method, url, body) => {
+  const response = await requestWithRetry(
+    `Discord webhook ${method}`,
+    url,
+    {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    },
+    { rateLimitDelayMs: discordRetryAfterMs }
+  );
+  return response.status === 204 ? null : response.json().catch(() => null);
+};
+
+// body is a webhook execute payload: { content } and/or { embeds }.
+// Posts with ?wait=true so Discord returns the created message; resolves to its ID.
+const sendDiscordMessage = async (webhookUrl, body) => {
+  const url = new URL(webhookUrl);
+  url.searchParams.set('wait', 'true');
+
+  const message = await discordRequest('POST', url, body);
+  return message?.id ? String(message.id) : null;
+};
+
+const webhookMessageUrl = (webhookUrl, messageId) => {
+  const url = new URL(webhookUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/messages/${messageId}`;
+  return url;
+};
+
+// Edit a message previously posted through the webhook. content/embeds not in body are kept,
+// so switching formats clears the other one explicitly.
+const editDiscordMessage = async (webhookUrl, messageId, body) => {
+  await discordRequest('PATCH', webhookMessageUrl(webhookUrl, messageId), {
+    content: null,
+    embeds: [],
+    ...body
+  });
+};
+
+const deleteDiscordMessage = async (webhookUrl, messageId) => {
+  await discordRequest('DELETE', webhookMessageUrl(webhookUrl, messageId));
+};
+
+// Render an item into the webhook bodies to post, in order.
+// Plain text may be split into several labeled parts; an embed always fits in one message.
+const renderDiscordMessages = (item, { format, siteUrl, tag, rtl, tickers }) => {
+  const options = { siteUrl, tag, rtl, tickers };
+  if (format === 'embed') return [buildEmbedMessage(item, options)];
+
+  const messageChunks = formatMessage(item, options);
+  return messageChunks.map((chunk, chunkIndex) => ({
+    content: messageChunks.length > 1
+      ? `**[Part ${chunkIndex + 1}/${messageChunks.length}]**\n${chunk}`
+      : chunk
+  }));
+};
+
+// Discord webhook sink. format is "embed" or "text".
+// tickers is the ticker resolver (see src/tickers.js).
+const createDiscordSink = ({ name, url, format = 'embed', language, impact = false, siteUrl = '', tag = '', tickers }) => {
+  const render = (item, { rtl }) => renderDiscordMessages(item, { format, siteUrl, tag, rtl, tickers });
+
+  return {
+    name,
+    type: 'discord',
+    language,
+    impact,
+    supportsEdit: true,
+
+    render,
+
+    sendPart: (message) => sendDiscordMessage(url, message),
+
+    // Edit the messages posted earlier in place. Extra parts are posted, surplus old parts deleted.
+    edit: async (item, previousIds, options = {}) => {
+      const messages = render(item, options);
+      const partCount = Math.max(messages.length, previousIds.length);
+      const messageIds = [];
+
+      for (let partIndex = 0; partIndex < partCount; partIndex++) {
+        const existingId = previousIds[partIndex];
+        const message = messages[partIndex];
+
+        try {
+          if (existingId && message) {
+            await editDiscordMessage(url, existingId, message);
+            messageIds.push(existingId);
+          } else if (message) {
+            const messageId = await sendDiscordMessage(url, message);
+            if (messageId) messageIds.push(messageId);
+          } else {
+            await deleteDiscordMessage(url, existingId);
+          }
+        } catch (err) {
+          // Someone deleted the message in Discord: post the updated part as a new message
+          // (a surplus part is gone already)
+          if (err.status !== 404) throw err;
+          logger.warn(`⚠️  Message ${existingId} no longer exists in "${name}"${message ? ', posting it again' : ''}`);
+          if (message) {
+            const messageId = await sendDiscordMessage(url, message);
+            if (messageId) messageIds.push(messageId);
+          }
+        }
+
+        if (partIndex < partCount - 1) {
+          await sleep(300);
+        }
+      }
+
+      return messageIds;
+    }
+  };
+};
+
+module.exports = {
+  sendDiscordMessage,
+  editDiscordMessage,
+  deleteDiscordMessage,
+  renderDiscordMessages,
+  createDiscordSink
+};
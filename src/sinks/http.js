@@ -0,0 +1,73 @@
+const { metrics } = require('../metrics');
+const { logger } = require('../logger');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Error for a non-retryable HTTP failure; keeps the status so callers can react to 404 etc.
+class SinkHttpError extends Error {
+  constructor(label, status, bodyText) {
+    super(`${label} failed (${status}): ${bodyText}`);
+    this.name = 'SinkHttpError';
+    this.status = status;
+  }
+}
+
+// Retry-After header in seconds (or an HTTP date), as Slack and most JSON endpoints send it
+const retryAfterHeaderMs = (response) => {
+  const header = response.headers.get('retry-after');
+  if (!header) return 1000;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.ceil(seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : 1000;
+};
+
+// Send a request, waiting and retrying while the endpoint rate-limits (429) and retrying
+// 5xx responses a few times with exponential backoff. Each sink supplies its own
+// rateLimitDelayMs(response) because every API reports the wait differently.
+// timeoutMs limits each attempt on its own, so the waits between attempts don't eat into it.
+const requestWithRetry = async (
+  label,
+  url,
+  init,
+  { rateLimitDelayMs = retryAfterHeaderMs, maxServerRetries = 3, maxRateLimitRetries = Infinity, timeoutMs } = {}
+) => {
+  let serverRetries = 0;
+  let rateLimitRetries = 0;
+
+  while (true) {
+    const response = await fetch(url, timeoutMs ? { ...init, signal: AbortSignal.timeout(timeoutMs) } : init);
+    if (response.ok) return response;
+
+    if (response.status === 429 && rateLimitRetries < maxRateLimitRetries) {
+      rateLimitRetries++;
+      const waitMs = await rateLimitDelayMs(response);
+      logger.warn(`   ⏳ ${label} rate-limited, retrying in ${waitMs}ms`);
+      metrics.httpRateLimited.inc({ request: label });
+      metrics.httpRetries.inc({ request: label, reason: 'rate_limit' });
+      await sleep(waitMs + 250);
+      continue;
+    }
+
+    if (response.status >= 500 && serverRetries < maxServerRetries) {
+      const waitMs = 1000 * 2 ** serverRetries;
+      serverRetries++;
+      logger.warn(`   ⚠️  ${label} returned HTTP ${response.status}, retry ${serverRetries}/${maxServerRetries} in ${waitMs}ms`);
+      metrics.httpRetries.inc({ request: label, reason: 'server_error' });
+      await sleep(waitMs);
+      continue;
+    }
+
+    throw new SinkHttpError(label, response.status, await response.text().catch(() => ''));
+  }
+};
+
+const postJson = (label, url, body, options) =>
+  requestWithRetry(
+    label,
+    url,
+    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) },
+    options
+  );
+
+module.exports = { sleep, SinkHttpError, retryAfterHeaderMs, requestWithRetry, postJson };
@@ -0,0 +1,34 @@
+const { createDiscordSink } = require('./discord');
+const { createTelegramSink } = require('./telegram');
+const { createSlackSink } = require('./slack');
+const { createJsonSink } = require('./json');
+
+// A sink delivers items to one destination:
+//
+// { name, type, language, impact, supportsEdit,
+//   render: (item, { id, rtl }) => messages[],          // the parts to post for an item, in order
+//   sendPart: async (message) => messageId | null,       // post one of them
+//   edit: async (item, previousMessageIds, { id, rtl }) => messageIds[] }   // when supportsEdit
+//
+// `item` is already translated into the sink's language and, for sinks configured with `impact`,
+// carries a market-impact note (item.impact, see src/impact.js). Each sink owns its formatter,
+// length-splitting rules and rate-limit handling. Rendered parts go through the outbox (see
+// src/outbox.js), which posts them one at a time with sendPart so that none is posted twice.
+// Message IDs are recorded in the store so a later content change can edit the posts in place.
+
+const SINK_FACTORIES = {
+  discord: createDiscordSink,
+  telegram: createTelegramSink,
+  slack: createSlackSink,
+  json: createJsonSink
+};
+
+const SINK_TYPES = Object.keys(SINK_FACTORIES);
+
+const createSink = (type, options) => {
+  const factory = SINK_FACTORIES[type];
+  if (!factory) throw new Error(`Unknown sink type "${type}" (expected one of: ${SINK_TYPES.join(', ')}).`);
+  return factory(options);
+};
+
+module.exports = { SINK_TYPES, createSink };
@@ -0,0 +1,45 @@
+const { postJson } = require('./http');
+
+// Generic JSON webhook sink: POSTs the normalized item, for custom consumers.
+// The same item ID is sent again with "event": "updated" when its content changes.
+
+const buildJsonPayload = (item, { id, event = 'created', language } = {}) => ({
+  event,
+  id,
+  source: item.source || null,
+  language: language || null,
+  time: item.time ?? '',
+  publishedAt: item.publishedAt != null ? new Date(item.publishedAt).toISOString() : null,
+  sentiment: item.sentiment ?? '',
+  summary: item.summary ?? '',
+  fullTweet: item.fullTweet ?? '',
+  tickers: Array.isArray(item.tickers) ? item.tickers : [],
+  sector: item.sector ?? '',
+  sourceUrl: item.sourceUrl ?? '',
+  // Market-impact note, for destinations configured with one (see src/impact.js)
+  impact: item.impact ?? null
+});
+
+// The receiver knows posts by item ID, so that is what gets recorded as the "message ID"
+const createJsonSink = ({ name, url, language, impact = false }) => {
+  const post = async (payload) => {
+    await postJson('JSON webhook', url, payload);
+    return payload.id ? [payload.id] : [];
+  };
+
+  return {
+    name,
+    type: 'json',
+    language,
+    impact,
+    supportsEdit: true,
+
+    render: (item, { id } = {}) => [buildJsonPayload(item, { id, language })],
+
+    sendPart: async (payload) => (await post(payload))[0] ?? null,
+
+    edit: (item, previousIds, { id } = {}) => post(buildJsonPayload(item, { id, language, event: 'updated' }))
+  };
+};
+
+module.exports = { buildJsonPayload, createJsonSink };
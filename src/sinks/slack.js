@@ -0,0 +1,100 @@
+const {
+  buildTickerLinks,
+  joinTickerLinks,
+  splitIntoChunks,
+  getSentimentEmoji,
+  IMPACT_TITLE,
+  describeImpact,
+  describeImpactTargets
+} = require('../format');
+const { postJson } = require('./http');
+
+// Slack incoming-webhook sink (mrkdwn text + Block Kit sections).
+// Incoming webhooks return no message ID, so posted messages can't be edited later.
+
+const SLACK_SECTION_MAX = 3000;
+const SLACK_MAX_BLOCKS = 50;
+
+// Slack only needs &, < and > escaped in mrkdwn
+const escapeMrkdwn = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const slackLink = (url, label) => `<${String(url).replace(/[<>|]/g, encodeURIComponent)}|${escapeMrkdwn(label)}>`;
+
+// Returns webhook bodies; long tweets are spread over several sections and, beyond the
+// block limit, several messages
+const formatSlackMessages = (item, { siteUrl = '', tag = '', tickers } = {}) => {
+  const esc = (s) => String(s ?? '').trim();
+
+  const sentiment = esc(item.sentiment) || 'N/A';
+  const time = esc(item.time) || 'N/A';
+  const summary = esc(item.summary) || 'N/A';
+  const fullTweetRaw = esc(item.fullTweet);
+  const fullTweet = fullTweetRaw && fullTweetRaw !== '00' ? fullTweetRaw : '';
+  const sector = esc(item.sector);
+  const sourceUrl = esc(item.sourceUrl || siteUrl);
+  const tickerLinks = buildTickerLinks(item.tickers, { resolver: tickers, link: (label, url) => slackLink(url, label), escape: escapeMrkdwn });
+
+  const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
+
+  // Slack shows a date token in each reader's time zone, the display string where it can't
+  const when = item.publishedAt != null
+    ? `<!date^${Math.floor(item.publishedAt / 1000)}^{date_short_pretty} {time}|${escapeMrkdwn(time)}>`
+    : `\`${escapeMrkdwn(time)}\``;
+  const headline = `${getSentimentEmoji(sentiment)} *${escapeMrkdwn(sentiment)}*  ${when}`;
+  const blocks = [section(headline)];
+
+  const meta = [];
+  if (tickerLinks.length > 0) meta.push(joinTickerLinks(tickerLinks));
+  if (sector && sector !== '—') meta.push(`*Sector:* ${escapeMrkdwn(sector)}`);
+  if (meta.length > 0) blocks.push(section(meta.join('\n').substring(0, SLACK_SECTION_MAX)));
+
+  for (const part of splitIntoChunks(escapeMrkdwn(summary), SLACK_SECTION_MAX)) blocks.push(section(part));
+
+  if (fullTweet) {
+    // Leave room for the ">" quote markers added to each line
+    splitIntoChunks(escapeMrkdwn(fullTweet), SLACK_SECTION_MAX - 200).forEach((part, i) => {
+      blocks.push(section(`${i === 0 ? '💬 ' : ''}${part.split('\n').map((l) => `>${l}`).join('\n')}`));
+    });
+  }
+
+  if (item.impact) {
+    const targets = describeImpactTargets(item.impact);
+    blocks.push(section([
+      `*${escapeMrkdwn(IMPACT_TITLE)}:* ${escapeMrkdwn(describeImpact(item.impact))}`,
+      ...(targets ? [escapeMrkdwn(targets)] : []),
+      `💡 ${escapeMrkdwn(item.impact.rationale)}`
+    ].join('\n').substring(0, SLACK_SECTION_MAX)));
+  }
+
+  const context = [];
+  if (sourceUrl) context.push(slackLink(sourceUrl, 'Source'));
+  if (esc(tag)) context.push(escapeMrkdwn(esc(tag)));
+  if (context.length > 0) blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: context.join('  ') }] });
+
+  // Fallback text for notifications and clients without blocks
+  const text = `${getSentimentEmoji(sentiment)} ${sentiment}: ${summary}`.substring(0, SLACK_SECTION_MAX);
+
+  const messages = [];
+  for (let i = 0; i < blocks.length; i += SLACK_MAX_BLOCKS) {
+    messages.push({ text, blocks: blocks.slice(i, i + SLACK_MAX_BLOCKS) });
+  }
+  return messages;
+};
+
+const createSlackSink = ({ name, url, language, impact = false, siteUrl = '', tag = '', tickers }) => ({
+  name,
+  type: 'slack',
+  language,
+  impact,
+  supportsEdit: false,
+
+  render: (item) => formatSlackMessages(item, { siteUrl, tag, tickers }),
+
+  // Incoming webhooks don't return the message, so there is no ID to record
+  sendPart: async (message) => {
+    await postJson('Slack webhook', url, message);
+    return null;
+  }
+});
+
+module.exports = { escapeMrkdwn, formatSlackMessages, createSlackSink };
@@ -0,0 +1,183 @@
+const {
+  buildTickerLinks,
+  joinTickerLinks,
+  splitIntoChunks,
+  getSentimentEmoji,
+  formatMarketTime,
+  isolateTickerTokens,
+  rtlLines,
+  IMPACT_TITLE,
+  describeImpact,
+  describeImpactTargets
+} = require('../format');
+const { requestWithRetry } = require('./http');
+
+// Telegram Bot API sink (sendMessage / editMessageText), HTML or MarkdownV2 parse mode.
+
+const TELEGRAM_MAX_LENGTH = 4096;
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// https://core.telegram.org/bots/api#markdownv2-style
+const escapeMarkdownV2 = (text) => String(text ?? '').replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+
+const escapeMarkdownV2Url = (url) => String(url ?? '').replace(/[)\\]/g, '\\$&');
+
+const MARKUP = {
+  HTML: {
+    escape: escapeHtml,
+    bold: (s) => `<b>${s}</b>`,
+    code: (s) => `<code>${s}</code>`,
+    link: (label, url) => `<a href="${escapeHtml(url)}">${label}</a>`
+  },
+  MarkdownV2: {
+    escape: escapeMarkdownV2,
+    bold: (s) => `*${s}*`,
+    code: (s) => `\`${s}\``,
+    link: (label, url) => `[${label}](${escapeMarkdownV2Url(url)})`
+  }
+};
+
+// Returns the message split into parts of at most 4096 characters.
+// Splitting happens on the plain text before markup is applied, so no tag or entity is cut in half.
+const formatTelegramMessages = (item, { parseMode = 'HTML', siteUrl = '', tag = '', rtl = false, tickers } = {}) => {
+  const m = MARKUP[parseMode];
+  const esc = (s) => String(s ?? '').trim();
+  const bidi = (s) => (rtl ? isolateTickerTokens(s) : s);
+
+  const sentiment = esc(item.sentiment) || 'N/A';
+  // Telegram has no timestamp tags: a known publication time is spelled out in New York time and UTC
+  const time = item.publishedAt != null ? formatMarketTime(item.publishedAt) : esc(item.time) || 'N/A';
+  const summary = bidi(esc(item.summary) || 'N/A');
+  const fullTweetRaw = esc(item.fullTweet);
+  const fullTweet = fullTweetRaw && fullTweetRaw !== '00' ? bidi(fullTweetRaw) : '';
+  const sector = esc(item.sector);
+  const sourceUrl = esc(item.sourceUrl || siteUrl);
+
+  const header = [];
+  const tickerLinks = buildTickerLinks(item.tickers, { resolver: tickers, rtl, link: (label, url) => m.link(m.escape(label), url), escape: m.escape });
+  if (tickerLinks.length > 0) header.push(joinTickerLinks(tickerLinks));
+  if (sector && sector !== '—') header.push(`${m.bold('Sector:')} ${m.escape(sector)}`);
+  if (header.length > 0) header.push('');
+  header.push(`${m.code(m.escape(time))} (${getSentimentEmoji(sentiment)} ${m.bold(m.escape(sentiment))})`);
+
+  const footer = [];
+  if (item.impact) {
+    const targets = describeImpactTargets(item.impact);
+    footer.push('', `${m.bold(m.escape(`${IMPACT_TITLE}:`))} ${m.escape(describeImpact(item.impact))}`);
+    if (targets) footer.push(m.escape(bidi(targets)));
+    footer.push(m.escape(`💡 ${bidi(item.impact.rationale)}`));
+  }
+  if (sourceUrl) footer.push('', m.link(m.escape('Source'), sourceUrl));
+  if (esc(tag)) footer.push(m.escape(esc(tag)));
+
+  const body = [summary, ...(fullTweet ? ['', `💬 ${fullTweet}`] : [])].join('\n');
+
+  // Budget for the escaped body: escaping can double its length in the worst case
+  const fixedLength = header.join('\n').length + footer.join('\n').length + 40;
+  const room = Math.max(200, Math.floor((TELEGRAM_MAX_LENGTH - fixedLength) / 2));
+  const bodyParts = splitIntoChunks(body, room);
+
+  const lay = (text) => (rtl ? rtlLines(text) : text);
+
+  return bodyParts.map((part, i) => {
+    const lines = [];
+    if (bodyParts.length > 1) lines.push(m.bold(m.escape(`[Part ${i + 1}/${bodyParts.length}]`)));
+    if (i === 0) lines.push(...header);
+    lines.push(m.escape(part));
+    if (i === bodyParts.length - 1) lines.push(...footer);
+    return lay(lines.join('\n'));
+  });
+};
+
+// Telegram reports the wait in parameters.retry_after, in seconds
+const telegramRetryAfterMs = async (response) => {
+  try {
+    const body = await response.json();
+    return Math.ceil((Number(body?.parameters?.retry_after) || 1) * 1000);
+  } catch {
+    return 1000;
+  }
+};
+
+const createTelegramSink = ({
+  name,
+  botToken,
+  chatId,
+  parseMode = 'HTML',
+  language,
+  impact = false,
+  siteUrl = '',
+  tag = '',
+  apiUrl = 'https://api.telegram.org',
+  tickers
+}) => {
+  if (!MARKUP[parseMode]) throw new Error(`Telegram parse mode must be "HTML" or "MarkdownV2", got "${parseMode}".`);
+
+  const call = async (method, payload) => {
+    const response = await requestWithRetry(
+      `Telegram ${method}`,
+      `${apiUrl.replace(/\/+$/, '')}/bot${botToken}/${method}`,
+      { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) },
+      { rateLimitDelayMs: telegramRetryAfterMs }
+    );
+    const body = await response.json();
+    if (!body?.ok) throw new Error(`Telegram ${method} failed: ${body?.description || 'unknown error'}`);
+    return body.result;
+  };
+
+  const render = (item, { rtl } = {}) => formatTelegramMessages(item, { parseMode, siteUrl, tag, rtl, tickers });
+
+  const sendText = async (text) => {
+    const result = await call('sendMessage', {
+      chat_id: chatId,
+      text,
+      parse_mode: parseMode,
+      disable_web_page_preview: true
+    });
+    return result?.message_id ? String(result.message_id) : null;
+  };
+
+  return {
+    name,
+    type: 'telegram',
+    language,
+    impact,
+    supportsEdit: true,
+
+    render,
+
+    sendPart: sendText,
+
+    // Edit earlier messages in place; extra parts are sent, surplus old parts deleted
+    edit: async (item, previousIds, options = {}) => {
+      const parts = render(item, options);
+      const messageIds = [];
+      for (let i = 0; i < Math.max(parts.length, previousIds.length); i++) {
+        const existingId = previousIds[i];
+        if (existingId && parts[i]) {
+          await call('editMessageText', {
+            chat_id: chatId,
+            message_id: Number(existingId),
+            text: parts[i],
+            parse_mode: parseMode,
+            disable_web_page_preview: true
+          }).catch((err) => {
+            // Telegram rejects edits that change nothing; the message is still valid
+            if (!/message is not modified/i.test(err.message)) throw err;
+          });
+          messageIds.push(existingId);
+        } else if (parts[i]) {
+          const messageId = await sendText(parts[i]);
+          if (messageId) messageIds.push(messageId);
+        } else {
+          await call('deleteMessage', { chat_id: chatId, message_id: Number(existingId) }).catch(() => {});
+        }
+      }
+      return messageIds;
+    }
+  };
+};
+
+module.exports = { TELEGRAM_MAX_LENGTH, escapeHtml, escapeMarkdownV2, formatTelegramMessages, createTelegramSink };
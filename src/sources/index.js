@@ -0,0 +1,64 @@
+const { createTipRanksSource } = require('./tipranks');
+const { createRssSource } = require('./rss');
+const { createJsonFileSource } = require('./jsonFile');
+const { logger } = require('../logger');
+
+// A source adapter is { name, fetchItems: async () => items[] } where every item has the
+// normalized shape { time, sentiment, summary, fullTweet, tickers, sector, sourceUrl },
+// plus publishedAt (when it was published, a UTC timestamp in ms, or null when the source
+// doesn't say), an optional externalId (the upstream record's own identifier) and raw (the
+// upstream record as received, for the archive), newest first. `time` stays the source's own
+// display string. tickersFromText marks tickers guessed from free text, which go through the
+// ticker stop-list; tickers from structured data are kept as they are.
+// Adapters that hold resources between fetches (a browser) also expose close().
+// collectItems stamps each item with the name of the source it came from.
+
+const SOURCE_TYPES = ['tipranks', 'rss', 'json'];
+
+const createSources = (types, settings) => {
+  const sources = [];
+
+  for (const type of types) {
+    if (type === 'tipranks') {
+      sources.push(createTipRanksSource(settings.tipranks));
+    } else if (type === 'rss') {
+      for (const feedUrl of settings.rssFeedUrls) {
+        sources.push(createRssSource({ feedUrl, userAgent: settings.userAgent, timeoutMs: settings.timeoutMs }));
+      }
+    } else if (type === 'json') {
+      for (const filePath of settings.jsonSourceFiles) {
+        sources.push(createJsonFileSource({ filePath }));
+      }
+    } else {
+      throw new Error(`Unknown news source "${type}" (expected one of: ${SOURCE_TYPES.join(', ')}).`);
+    }
+  }
+
+  return sources;
+};
+
+// Fetch every source, keep the newest maxPerSource items of each.
+// A failing source is logged and skipped as long as at least one other source succeeds.
+const collectItems = async (sources, maxPerSource) => {
+  const results = [];
+  const errors = [];
+
+  for (const source of sources) {
+    try {
+      const items = await source.fetchItems();
+      results.push({
+        source: source.name,
+        items: items.slice(0, maxPerSource).map((item) => ({ ...item, source: source.name }))
+      });
+    } catch (err) {
+      logger.error(`❌ Source "${source.name}" failed: ${err.message}`);
+      errors.push(err);
+    }
+  }
+
+  if (results.length === 0 && errors.length > 0) throw errors[0];
+
+  return results;
+};
+
+module.exports = { SOURCE_TYPES, createSources, collectItems };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { logger } = require('../logger');
+
+// Local JSON-file adapter. The file holds either an array of items or { "items": [...] },
+// newest first, using the normalized item fields. Useful for feeds produced by other
+// tools and for replaying hand-written items. An optional "id" field gives items a stable
+// identity, and an optional "publishedAt" (epoch ms or a date string) their publication time.
+
+const clean = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+// An explicit publishedAt (epoch ms or a date string), else the time when it is a full timestamp
+const parsePublishedAt = (raw) => {
+  const value = raw?.publishedAt ?? raw?.time;
+  const ms = typeof value === 'number' ? value : Date.parse(String(value ?? ''));
+  return Number.isFinite(ms) ? ms : null;
+};
+
+const normalizeJsonItem = (raw) => {
+  const tickers = Array.isArray(raw?.tickers)
+    ? raw.tickers.map(clean).filter(Boolean)
+    : clean(raw?.tickers).split(/[,\s]+/).filter(Boolean);
+
+  return {
+    time: clean(raw?.time),
+    publishedAt: parsePublishedAt(raw),
+    sentiment: clean(raw?.sentiment),
+    summary: clean(raw?.summary),
+    fullTweet: clean(raw?.fullTweet),
+    tickers,
+    sector: clean(raw?.sector) || '—',
+    sourceUrl: clean(raw?.sourceUrl),
+    externalId: clean(raw?.id),
+    // As given in the file, for the archive
+    raw
+  };
+};
+
+const createJsonFileSource = ({ name, filePath }) => ({
+  name: name || `json:${filePath}`,
+  fetchItems: async () => {
+    logger.info(`📄 Reading items from ${filePath}...`);
+
+    const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const list = Array.isArray(parsed) ? parsed : parsed?.items;
+    if (!Array.isArray(list)) {
+      throw new Error(`${filePath} must contain an array of items or { "items": [...] }.`);
+    }
+
+    const items = list.map(normalizeJsonItem).filter((item) => item.summary);
+    if (items.length < list.length) {
+      logger.warn(`⚠️  Skipped ${list.length - items.length} item(s) without a summary in ${filePath}`);
+    }
+    logger.info(`   ✅ Loaded ${items.length} item(s)`);
+    return items;
+  }
+});
+
+module.exports = { normalizeJsonItem, createJsonFileSource };
@@ -0,0 +1,111 @@
+// Generic RSS 2.0 / Atom feed adapter.
+// Feeds are parsed with a small tag matcher rather than a full XML parser; that is enough
+// for the flat <item>/<entry> structure news feeds use.
+
+const { logger } = require('../logger');
+
+const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const decodeEntities = (text) =>
+  String(text || '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+// Text content of a tag: unwraps CDATA, decodes entities and strips embedded HTML
+const textOf = (raw) => {
+  const unwrapped = String(raw || '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  const decoded = decodeEntities(unwrapped);
+  return clean(decoded.replace(/<[^>]*>/g, ' '));
+};
+
+const tagPattern = (tag) => new RegExp(`<${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'gi');
+
+const allTags = (xml, tag) => Array.from(String(xml).matchAll(tagPattern(tag)));
+
+const firstTagText = (xml, tags) => {
+  for (const tag of tags) {
+    const match = allTags(xml, tag)[0];
+    const text = match ? textOf(match[1]) : '';
+    if (text) return text;
+  }
+  return '';
+};
+
+const attrOf = (tagSource, attr) => {
+  const match = String(tagSource).match(new RegExp(`\\s${attr}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3] ?? '') : '';
+};
+
+// Atom links live in href attributes; prefer rel="alternate" (or no rel)
+const atomLink = (entryXml) => {
+  const links = allTags(entryXml, 'link').map((m) => m[0]);
+  const alternate = links.find((l) => {
+    const rel = attrOf(l, 'rel');
+    return !rel || rel === 'alternate';
+  });
+  return attrOf(alternate || links[0] || '', 'href');
+};
+
+const parseFeed = (xml) => {
+  const source = String(xml || '');
+  const rssItems = allTags(source, 'item');
+  const isAtom = rssItems.length === 0;
+  const entries = isAtom ? allTags(source, 'entry') : rssItems;
+
+  return entries.map((match) => {
+    const entryXml = match[1] || '';
+    const title = firstTagText(entryXml, ['title']);
+    const body = firstTagText(entryXml, isAtom ? ['content', 'summary'] : ['content:encoded', 'description']);
+    // Atom's <updated> changes with every edit; the publication time is <published>
+    const time = firstTagText(entryXml, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date']);
+    const link = isAtom ? atomLink(entryXml) : (firstTagText(entryXml, ['link']) || firstTagText(entryXml, ['guid']));
+    const externalId = firstTagText(entryXml, isAtom ? ['id'] : ['guid']) || link;
+    const categories = allTags(entryXml, 'category')
+      .map((m) => textOf(m[1]) || attrOf(m[0], 'term'))
+      .filter(Boolean);
+
+    const publishedAt = Date.parse(time);
+    return {
+      time,
+      publishedAt: Number.isFinite(publishedAt) ? publishedAt : null,
+      sentiment: '',
+      summary: title || body,
+      fullTweet: title && body !== title ? body : '',
+      tickers: [],
+      sector: categories.length > 0 ? categories.join(', ') : '—',
+      sourceUrl: link,
+      externalId,
+      // The <item> or <entry> element as received, for the archive
+      raw: match[0]
+    };
+  });
+};
+
+const createRssSource = ({ name, feedUrl, userAgent, timeoutMs = 30000 }) => ({
+  name: name || `rss:${feedUrl}`,
+  fetchItems: async () => {
+    logger.info(`📰 Fetching feed ${feedUrl}...`);
+
+    const response = await fetch(feedUrl, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+      },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) throw new Error(`Feed ${feedUrl} responded with HTTP ${response.status}.`);
+
+    const items = parseFeed(await response.text()).filter((item) => item.summary);
+    logger.info(`   ✅ Parsed ${items.length} feed item(s)`);
+    return items;
+  }
+});
+
+module.exports = { parseFeed, createRssSource };
@@ -0,0 +1,638 @@
+const { chromium } = require('playwright');
+const { MARKET_TIME_ZONE, marketTimeToUtc } = require('../daemon');
+const { metrics } = require('../metrics');
+const { logger } = require('../logger');
+
+const DEFAULT_PAYLOAD_URL = 'https://tr-cdn.tipranks.com/research/prod/trump-dashboard/payload.json';
+
+const createContextOptions = ({ userAgent }) => ({
+  locale: 'en-US',
+  // The dashboard shows New York times, as in payload.json
+  timezoneId: MARKET_TIME_ZONE,
+  viewport: { width: 1280, height: 720 },
+  userAgent,
+  extraHTTPHeaders: {
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Upgrade-Insecure-Requests': '1'
+  }
+});
+
+const dismissOverlaysStrict = async (page) => {
+  await page.keyboard.press('Escape').catch(() => {});
+  await page.waitForTimeout(100);
+  await page.keyboard.press('Escape').catch(() => {});
+};
+
+const installNavigationGuard = async (page, targetUrl, { navigationTimeoutMs }) => {
+  const targetPath = new URL(targetUrl).pathname.replace(/\/+$/, '');
+
+  await page.route('**/*', async (route) => {
+    const url = route.request().url();
+    if (url.includes('/terms') || url.includes('/privacy')) return route.abort();
+    return route.continue();
+  });
+
+  page.on('framenavigated', async (frame) => {
+    if (frame !== page.mainFrame()) return;
+    const url = frame.url();
+    if (targetPath && !url.includes(targetPath)) {
+      try {
+        await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: navigationTimeoutMs });
+      } catch {}
+    }
+  });
+};
+
+const scrollToRecentTweets = async (page) => {
+  const recent = page.locator('text=Recent Tweets').first();
+  if (await recent.count().catch(() => 0)) {
+    await recent.scrollIntoViewIfNeeded().catch(() => {});
+    await page.waitForTimeout(300);
+  }
+};
+
+const waitForReactTable = async (page, { pageWaitTimeoutMs }) => {
+  const scroller = page.locator('.rt-table').first();
+  await scroller.waitFor({ timeout: pageWaitTimeoutMs });
+
+  const firstRow = page.locator('.rt-tbody .rt-tr-group').first();
+  await firstRow.waitFor({ timeout: pageWaitTimeoutMs });
+
+  return scroller;
+};
+
+const buildPayloadIndex = (payloadItems) => {
+  const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+  const timeIndex = new Map(); // Map: time -> array of items
+  const summaryIndex = new Map(); // Map: summary -> item
+
+  for (const item of payloadItems || []) {
+    const time = clean(item?.postTime);
+    const summary = clean(item?.postSummary);
+    if (!time || !summary) continue;
+    
+    // Index by time (multiple items can have same time)
+    if (!timeIndex.has(time)) {
+      timeIndex.set(time, []);
+    }
+    timeIndex.get(time).push(item);
+    
+    // Index by summary (should be unique)
+    summaryIndex.set(summary, item);
+  }
+
+  return { timeIndex, summaryIndex, clean };
+};
+
+const findPayloadMatch = (row, { timeIndex, summaryIndex, clean }) => {
+  const rowTime = clean(row?.time);
+  const rowSummary = clean(row?.summary);
+  if (!rowTime || !rowSummary) return null;
+
+  // Strategy 1: Exact summary match (most reliable)
+  if (summaryIndex.has(rowSummary)) {
+    return summaryIndex.get(rowSummary);
+  }
+
+  // Strategy 2: Fuzzy summary match
+  // Sometimes the UI truncates summaries, so check if row summary is a prefix
+  for (const [fullSummary, item] of summaryIndex.entries()) {
+    if (fullSummary.startsWith(rowSummary) || rowSummary.startsWith(fullSummary)) {
+      const itemTime = clean(item?.postTime);
+      // Also verify time matches to avoid false positives
+      if (itemTime === rowTime) {
+        return item;
+      }
+    }
+  }
+
+  // Strategy 3: Match by time only (when there's only one item at that time)
+  const itemsAtTime = timeIndex.get(rowTime);
+  if (itemsAtTime && itemsAtTime.length === 1) {
+    return itemsAtTime[0];
+  }
+
+  // Strategy 4: Match by time with fuzzy summary comparison
+  if (itemsAtTime && itemsAtTime.length > 1) {
+    // Find the item with most similar summary
+    let bestMatch = null;
+    let bestScore = 0;
+    
+    for (const item of itemsAtTime) {
+      const itemSummary = clean(item?.postSummary);
+      if (!itemSummary) continue;
+      
+      // Simple similarity: count matching words
+      const rowWords = new Set(rowSummary.toLowerCase().split(/\s+/));
+      const itemWords = itemSummary.toLowerCase().split(/\s+/);
+      const matchingWords = itemWords.filter(w => rowWords.has(w)).length;
+      const score = matchingWords / Math.max(rowWords.size, itemWords.length);
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = item;
+      }
+    }
+    
+    // If we have a reasonable match (>50% word overlap), use it
+    if (bestMatch && bestScore > 0.5) {
+      return bestMatch;
+    }
+  }
+
+  return null;
+};
+
+// Sentiment labels as the dashboard table renders them
+const normalizePayloadSentiment = (value) => {
+  const raw = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (/^(bullish|positive)$/i.test(raw)) return 'Bullish';
+  if (/^(bearish|negative)$/i.test(raw)) return 'Bearish';
+  if (/^neutral$/i.test(raw)) return 'Neutral';
+  return raw;
+};
+
+// "11:15 AM" or "14:05" -> minutes after midnight, null when it isn't a time of day
+const parseClockTime = (text) => {
+  const match = String(text ?? '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AP]M)?$/i);
+  if (!match) return null;
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  const meridiem = match[3]?.toUpperCase();
+  if (minutes > 59 || (meridiem ? hours < 1 || hours > 12 : hours > 23)) return null;
+  return (meridiem ? (hours % 12) + (meridiem === 'PM' ? 12 : 0) : hours) * 60 + minutes;
+};
+
+// When a payload record was posted, as a UTC timestamp (ms): postDate and postTime are
+// New York time. null when either is missing or unreadable.
+const parsePostTimestamp = (record) => {
+  const date = String(record?.postDate ?? '').trim().slice(0, 10);
+  const minutes = parseClockTime(record?.postTime);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || minutes === null) return null;
+  return marketTimeToUtc(date, minutes);
+};
+
+// The payload's own record identifier, when it has one
+const getPayloadRecordId = (record) => {
+  const id = record?.id ?? record?.postId ?? record?.tweetId;
+  return id === undefined || id === null || id === '' ? '' : String(id);
+};
+
+// One payload record as an item, or null when it lacks postTime, postSummary or sentiment.
+// Both scrape modes build their items with it (the browser for every row it matches to a
+// record), so createContentHash and createItemIdentity yield identical IDs in either mode.
+const itemFromPayloadRecord = (record) => {
+  const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+  const time = clean(record?.postTime);
+  const summary = clean(record?.postSummary);
+  const sentiment = normalizePayloadSentiment(record?.sentiment ?? record?.postSentiment);
+  if (!time || !summary || !sentiment) return null;
+
+  const stocks = Array.isArray(record?.stocks) ? record.stocks : [];
+  const tickers = stocks
+    .map((s) => clean(typeof s === 'string' ? s : (s?.ticker ?? s?.symbol)))
+    .filter(Boolean);
+
+  const sectorsRaw = Array.isArray(record?.sectors)
+    ? record.sectors.map((s) => clean(typeof s === 'string' ? s : s?.name)).filter(Boolean).join(', ')
+    : clean(record?.sectors);
+  const sector = sectorsRaw.replace(/^—+$/, '—') || '—';
+
+  return {
+    time,
+    sentiment,
+    summary,
+    tickers,
+    sector,
+    fullTweet: clean(record?.postContent),
+    externalId: getPayloadRecordId(record),
+    publishedAt: parsePostTimestamp(record),
+    // Kept as received for the archive
+    raw: record
+  };
+};
+
+// Build items straight from payload records.
+// Returns null when the payload is empty or does not look like dashboard records.
+const buildItemsFromPayload = (payloadItems) => {
+  if (!Array.isArray(payloadItems) || payloadItems.length === 0) return null;
+
+  const items = [];
+  let skipped = 0;
+
+  for (const record of payloadItems) {
+    const item = itemFromPayloadRecord(record);
+    if (item) {
+      items.push(item);
+    } else {
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    logger.warn(`⚠️  Skipped ${skipped}/${payloadItems.length} payload record(s) missing postTime, postSummary or sentiment`);
+  }
+
+  // If most records are unusable the payload format has probably changed
+  if (items.length === 0 || skipped > items.length) return null;
+
+  return items;
+};
+
+// Dashboard rows with the payload record each one matches. A matched row is replaced by the
+// item payload mode builds from that record; a row without a match keeps what the table
+// shows, with no full tweet and no upstream ID (so its ID differs from the one it gets once
+// its record shows up).
+const mergePayloadRecords = (rowsData, payloadItems = []) => {
+  const rows = [...rowsData];
+  logger.info(`Extracting full tweets for ${rows.length} rows from payload...`);
+  
+  if (rows.length > 0) {
+    logger.debug(`📊 Sample row from page:`);
+    logger.debug(`   Time: "${rows[0].time}"`);
+    logger.debug(`   Sentiment: "${rows[0].sentiment}"`);
+    logger.debug(`   Summary: "${rows[0].summary?.substring(0, 80)}..."`);
+  }
+  
+  const indices = buildPayloadIndex(payloadItems);
+  
+  logger.debug(`📑 Payload index summary:`);
+  logger.debug(`   Time index size: ${indices.timeIndex.size} unique times`);
+  logger.debug(`   Summary index size: ${indices.summaryIndex.size} unique summaries`);
+  if (indices.timeIndex.size > 0) {
+    const firstTime = Array.from(indices.timeIndex.keys())[0];
+    logger.debug(`   First indexed time: "${firstTime}"`);
+    logger.debug(`   Items at that time: ${indices.timeIndex.get(firstTime).length}`);
+  }
+  
+  let payloadMatchCount = 0;
+  let noMatchCount = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const payloadMatch = findPayloadMatch(rows[i], indices);
+    
+    // A matched row becomes the record's own item: the table may shorten the summary
+    const matchedItem = payloadMatch ? itemFromPayloadRecord(payloadMatch) : null;
+
+    if (matchedItem) {
+      rows[i] = matchedItem;
+      payloadMatchCount++;
+      logger.debug(`Row ${i}: ✓ Matched (${matchedItem.fullTweet.length} chars)`);
+      logger.debug(`  Full tweet: "${matchedItem.fullTweet}"`);
+    } else {
+      rows[i] = { ...rows[i], fullTweet: '', externalId: '', publishedAt: null };
+      noMatchCount++;
+      logger.debug(`Row ${i}: ✗ No payload match found`);
+      logger.debug(`  Time: "${rows[i].time}", Summary: "${rows[i].summary.substring(0, 50)}..."`);
+    }
+  }
+  
+  metrics.payloadRows.inc({ result: 'matched' }, payloadMatchCount);
+  metrics.payloadRows.inc({ result: 'unmatched' }, noMatchCount);
+  if (rows.length > 0) metrics.payloadMatchRatio.set({}, payloadMatchCount / rows.length);
+
+  logger.info(`Full tweet extraction complete: ${payloadMatchCount}/${rows.length} matched, ${noMatchCount} without a match`);
+  
+  if (noMatchCount > 0) {
+    logger.warn(`⚠️  ${noMatchCount} row(s) could not be matched to payload data`);
+  }
+  
+  return rows;
+};
+
+const extractAllCurrentlyLoadedRows = async (page, payloadItems = []) => {
+  const rowsData = await page.evaluate(() => {
+    const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+    const groups = Array.from(document.querySelectorAll('.rt-tbody .rt-tr-group'));
+
+    // { tickers, fromText }: fromText when the symbols had to be guessed from the cell's text
+    const extractTickersFromCell = (cell) => {
+      if (!cell) return { tickers: [], fromText: false };
+
+      const anchors = Array.from(cell.querySelectorAll('a[href^="/stocks/"], a[href^="/etf/"]'));
+      const syms = anchors
+        .map((a) => clean(a.textContent))
+        .filter(Boolean);
+
+      if (syms.length > 0) return { tickers: syms, fromText: false };
+
+      const txt = clean(cell.textContent);
+      const matches = txt.match(/[A-Z]{1,6}(?=[\-\s]|$)/g) || [];
+      return { tickers: matches, fromText: matches.length > 0 };
+    };
+
+    return groups.map((group) => {
+      const row = group.querySelector('.rt-tr');
+      const cells = row ? Array.from(row.querySelectorAll('.rt-td')) : [];
+
+      let time = '';
+      if (cells[0]) {
+        const spans = cells[0].querySelectorAll('span');
+        const t = spans[0] ? clean(spans[0].textContent) : '';
+        const d = spans[1] ? clean(spans[1].textContent) : '';
+        time = clean([t, d].filter(Boolean).join(' '));
+      }
+
+      const sentiment = cells[1] ? clean(cells[1].textContent) : '';
+
+      let summary = '';
+      if (cells[3]) {
+        const titled = cells[3].querySelector('[title]');
+        summary = clean((titled && titled.getAttribute('title')) || cells[3].textContent);
+      }
+
+      const { tickers, fromText: tickersFromText } = extractTickersFromCell(cells[4]);
+
+      const sector = cells[5] ? clean(cells[5].textContent).replace(/^—+$/, '—') : '—';
+
+      return { time, sentiment, summary, tickers, tickersFromText, sector };
+    });
+  });
+
+  return mergePayloadRecords(rowsData, payloadItems);
+};
+
+// Fetch payload.json through the page's request context when a browser is running,
+// or with plain HTTP otherwise. Both are normalized to the same response shape.
+const requestPayload = async (page, { payloadUrl, userAgent, navigationTimeoutMs }) => {
+  if (page) {
+    const response = await page.request.get(payloadUrl, { timeout: navigationTimeoutMs });
+    return {
+      status: response.status(),
+      ok: response.ok(),
+      headers: response.headers(),
+      text: () => response.text()
+    };
+  }
+
+  const response = await fetch(payloadUrl, {
+    headers: {
+      'User-Agent': userAgent,
+      'Accept': 'application/json',
+      'Accept-Language': 'en-US,en;q=0.9'
+    },
+    signal: AbortSignal.timeout(navigationTimeoutMs)
+  });
+  return {
+    status: response.status,
+    ok: response.ok,
+    headers: Object.fromEntries(response.headers.entries()),
+    text: () => response.text()
+  };
+};
+
+const fetchTrumpDashboardPayload = async (page, options) => {
+  logger.info(`📥 Fetching trump-dashboard payload.json${page ? '' : ' (plain HTTP)'}...`);
+  logger.debug(`   URL: ${options.payloadUrl}`);
+  
+  try {
+    const response = await requestPayload(page, options);
+
+    logger.debug(`   Response status: ${response.status}`);
+    const headers = response.headers;
+    logger.debug(`   Content-Type: ${headers['content-type'] || 'not set'}`);
+    logger.debug(`   Content-Length: ${headers['content-length'] || 'not set'}`);
+
+    if (!response.ok) {
+      logger.error(`   ❌ Payload request failed with HTTP ${response.status}`);
+      const bodyText = await response.text().catch(() => 'Could not read response body');
+      logger.debug(`   Response body (first 500 chars): ${bodyText.substring(0, 500)}`);
+      return [];
+    }
+
+    const bodyText = await response.text();
+    logger.info(`   ✅ Response received: ${bodyText.length} characters`);
+    logger.debug(`   Response preview (first 400 chars):\n${bodyText.substring(0, 400)}`);
+
+    let data;
+    try {
+      data = JSON.parse(bodyText);
+    } catch (parseErr) {
+      logger.error(`   ❌ Failed to parse JSON: ${parseErr.message}`);
+      logger.debug(`   Raw body: ${bodyText.substring(0, 200)}`);
+      return [];
+    }
+
+    logger.debug(`   Parsed JSON successfully`);
+    logger.debug(`   JSON root keys: ${Object.keys(data).join(', ')}`);
+    
+    // Try multiple possible paths for the data
+    let items = [];
+    
+    // New structure: TrumpDashboard.data.list
+    if (data?.TrumpDashboard?.data?.list && Array.isArray(data.TrumpDashboard.data.list)) {
+      items = data.TrumpDashboard.data.list;
+      logger.debug(`   ✅ Found data at: TrumpDashboard.data.list`);
+    }
+    // Old structure: trumpDashboardList
+    else if (data?.trumpDashboardList && Array.isArray(data.trumpDashboardList)) {
+      items = data.trumpDashboardList;
+      logger.debug(`   ✅ Found data at: trumpDashboardList`);
+    }
+    else {
+      logger.warn(`   ⚠️  Could not find data at expected paths (checked TrumpDashboard.data.list, trumpDashboardList)`);
+      logger.debug(`   Full JSON structure: ${JSON.stringify(data, null, 2).substring(0, 500)}`);
+      return [];
+    }
+    
+    logger.debug(`   trumpDashboardList found: ${items.length} items`);
+    
+    if (items.length === 0) {
+      logger.warn(`   ⚠️  trumpDashboardList is empty or missing`);
+      logger.debug(`   Full JSON structure: ${JSON.stringify(data, null, 2).substring(0, 500)}`);
+    } else {
+      logger.debug(`   Sample of first item:`);
+      const first = items[0];
+      logger.debug(`      postDate: "${first?.postDate}"`);
+      logger.debug(`      postTime: "${first?.postTime}"`);
+      logger.debug(`      postSummary: "${first?.postSummary?.substring(0, 80)}..."`);
+      logger.debug(`      postContent: "${first?.postContent?.substring(0, 80)}..."`);
+      logger.debug(`      sectors: "${first?.sectors}"`);
+      logger.debug(`      stocks: ${first?.stocks?.length || 0} stock(s)`);
+    }
+    
+    logger.info(`   ✅ Successfully loaded ${items.length} payload item(s)`);
+    return items;
+  } catch (err) {
+    logger.error(`   ❌ Exception while fetching payload (${err.constructor.name})`, { error: err });
+    return [];
+  }
+};
+
+const getRowCount = async (page) => {
+  return page.locator('.rt-tbody .rt-tr-group').count();
+};
+
+const clickShowMoreUntil = async (page, targetCount) => {
+  // click show more until enough rows loaded or button gone
+  let prevCount = await getRowCount(page);
+  for (let i = 0; i < 30; i++) {
+    const btn = page.locator('button[data-id="show_more"]').first();
+    const visible = await btn.isVisible().catch(() => false);
+    if (!visible) break;
+
+    // ensure it is on screen and clickable
+    await btn.scrollIntoViewIfNeeded().catch(() => {});
+    await page.waitForTimeout(200);
+
+    // click and wait for row count to increase
+    await btn.click({ timeout: 3000 }).catch(() => {});
+    await page.waitForTimeout(300);
+
+    let grew = false;
+    for (let w = 0; w < 20; w++) {
+      await page.waitForTimeout(250);
+      const now = await getRowCount(page);
+      if (now > prevCount) {
+        prevCount = now;
+        grew = true;
+        break;
+      }
+    }
+
+    const nowCount = await getRowCount(page);
+    if (nowCount >= targetCount) break;
+
+    // if it didn't grow, stop to avoid infinite loop
+    if (!grew) break;
+  }
+};
+
+// Payload-only scrape: no browser, just payload.json over plain HTTP.
+// Returns null when the payload is unavailable or malformed.
+const scrapeItemsFromPayload = async (options) => {
+  const payloadItems = await fetchTrumpDashboardPayload(null, options);
+  const items = buildItemsFromPayload(payloadItems);
+  if (items) logger.info(`📦 Built ${items.length} item(s) straight from payload.json`);
+  return items;
+};
+
+// A launched browser with one page, guarded against navigating away from the dashboard
+const launchBrowserSession = async (options) => {
+  const browser = await chromium.launch({
+    headless: options.headless,
+    args: ['--disable-blink-features=AutomationControlled', '--headless=new']
+  });
+
+  const context = await browser.newContext(createContextOptions(options));
+
+  await context.addInitScript(() => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+  });
+
+  const close = async () => {
+    await context.close().catch(() => {});
+    await browser.close().catch(() => {});
+  };
+
+  try {
+    const page = await context.newPage();
+    await installNavigationGuard(page, options.siteUrl, options);
+    return { page, close };
+  } catch (err) {
+    await close();
+    throw err;
+  }
+};
+
+// Load (or reload) the dashboard in an open page and read its rows
+const scrapeDashboardPage = async (page, options) => {
+  const { siteUrl, navigationTimeoutMs, maxMessages } = options;
+
+  const response = await page.goto(siteUrl, {
+    waitUntil: 'domcontentloaded',
+    timeout: navigationTimeoutMs
+  });
+
+  const status = response?.status();
+  if (status && status >= 400) throw new Error(`Site responded with HTTP ${status}.`);
+
+  await page.waitForLoadState('networkidle').catch(() => {});
+  
+  // Dismiss overlays
+  for (let i = 0; i < 3; i++) {
+    await dismissOverlaysStrict(page);
+    await page.waitForTimeout(300);
+  }
+
+  await scrollToRecentTweets(page);
+  await waitForReactTable(page, options);
+
+  // Load enough rows by clicking Show More
+  await clickShowMoreUntil(page, maxMessages);
+
+  logger.debug('🔍 Attempting to fetch payload.json...');
+  const payloadItems = await fetchTrumpDashboardPayload(page, options);
+  logger.info(`📦 Payload fetch complete: ${payloadItems.length} items returned`);
+  
+  return extractAllCurrentlyLoadedRows(page, payloadItems);
+};
+
+const scrapeItemsWithBrowser = async (options) => {
+  const session = await launchBrowserSession(options);
+  try {
+    return await scrapeDashboardPage(session.page, options);
+  } finally {
+    await session.close();
+  }
+};
+
+// TipRanks Trump dashboard adapter.
+// scrapeMode "browser" scrapes the react-table with Playwright, "payload" builds items
+// straight from payload.json over plain HTTP and only launches the browser as a fallback.
+// keepBrowserOpen reuses one browser across fetches (daemon mode) until close() is called;
+// a failed scrape closes it so the next fetch starts from a fresh launch.
+const createTipRanksSource = (options) => {
+  const opts = {
+    ...options,
+    name: options.name || 'tipranks',
+    payloadUrl: options.payloadUrl || DEFAULT_PAYLOAD_URL,
+    scrapeMode: options.scrapeMode || 'browser'
+  };
+
+  let session = null;
+
+  const closeSession = async () => {
+    if (!session) return;
+    const open = session;
+    session = null;
+    await open.close();
+  };
+
+  const scrapeWithBrowser = async () => {
+    if (!opts.keepBrowserOpen) return scrapeItemsWithBrowser(opts);
+
+    if (!session) session = await launchBrowserSession(opts);
+    try {
+      return await scrapeDashboardPage(session.page, opts);
+    } catch (err) {
+      await closeSession();
+      throw err;
+    }
+  };
+
+  return {
+    name: opts.name,
+    fetchItems: async () => {
+      let items = null;
+      if (opts.scrapeMode === 'payload') {
+        items = await scrapeItemsFromPayload(opts);
+        if (!items) logger.warn('⚠️  Payload unavailable or malformed, falling back to browser scrape');
+      }
+      if (!items) items = await scrapeWithBrowser();
+
+      return items.map((item) => ({ ...item, sourceUrl: opts.siteUrl }));
+    },
+    close: closeSession
+  };
+};
+
+module.exports = {
+  DEFAULT_PAYLOAD_URL,
+  buildPayloadIndex,
+  findPayloadMatch,
+  parsePostTimestamp,
+  mergePayloadRecords,
+  buildItemsFromPayload,
+  createTipRanksSource
+};
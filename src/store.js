@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Processed-item store. Replaces the flat array of SHA-256 IDs with one record per item:
+//
+// { "version": 2, "items": { "<id>": {
+//     id, contentHash, source, firstSeenAt, postedAt, updatedAt,
+//     destinations: [{ name, messageIds: [...] }],
+//     original: { time, publishedAt, sentiment, summary, fullTweet, tickers, sector, sourceUrl },
+//     translations: { "<language>": { summary, fullTweet } }
+// } } }
+//
+// `id` is the item's stable identity; `contentHash` changes whenever the item's fields do.
+// A legacy hash array is migrated on load (those hashes are content hashes). Records
+// older than the retention window are pruned on save, and writes go through a temp file
+// plus rename so a crash never leaves a half-written store behind. A store that exists but can't be parsed is an error:
+// starting from empty would repost everything.
+
+const STORE_VERSION = 2;
+
+class StoreCorruptError extends Error {
+  constructor(filePath, reason) {
+    super(`Processed-item store ${filePath} is corrupt (${reason}). Fix or restore it before running again.`);
+    this.name = 'StoreCorruptError';
+  }
+}
+
+const pickItemFields = (item) => ({
+  time: item?.time ?? '',
+  publishedAt: item?.publishedAt ?? null,
+  sentiment: item?.sentiment ?? '',
+  summary: item?.summary ?? '',
+  fullTweet: item?.fullTweet ?? '',
+  tickers: Array.isArray(item?.tickers) ? [...item.tickers] : [],
+  sector: item?.sector ?? '',
+  sourceUrl: item?.sourceUrl ?? ''
+});
+
+const writeFileAtomic = (filePath, contents) => {
+  const dir = path.dirname(filePath);
+  if (dir && dir !== '.' && !fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  fs.writeFileSync(tmpPath, contents, 'utf8');
+  fs.renameSync(tmpPath, filePath);
+};
+
+const readStoreFile = (filePath, now) => {
+  if (!fs.existsSync(filePath)) return { items: {}, migrated: 0 };
+
+  const raw = fs.readFileSync(filePath, 'utf8').trim();
+  if (!raw) return { items: {}, migrated: 0 };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new StoreCorruptError(filePath, err.message);
+  }
+
+  // Legacy format: bare array of IDs
+  if (Array.isArray(parsed)) {
+    const items = {};
+    for (const id of parsed) {
+      if (typeof id !== 'string' || !id) throw new StoreCorruptError(filePath, 'legacy ID list contains a non-string entry');
+      items[id] = {
+        id,
+        contentHash: id,
+        migrated: true,
+        firstSeenAt: now,
+        postedAt: null,
+        destinations: [],
+        original: null,
+        translations: {}
+      };
+    }
+    return { items, migrated: parsed.length };
+  }
+
+  if (parsed?.version !== STORE_VERSION || !parsed.items || typeof parsed.items !== 'object') {
+    throw new StoreCorruptError(filePath, `expected { "version": ${STORE_VERSION}, "items": {...} }`);
+  }
+
+  return { items: parsed.items, migrated: 0 };
+};
+
+// Without a filePath the store lives in memory only (e.g. previews that ignore the log)
+const createItemStore = ({ filePath, retentionMs = 90 * 24 * 3600000 }) => {
+  const loaded = filePath ? readStoreFile(filePath, Date.now()) : { items: {}, migrated: 0 };
+  let items = loaded.items;
+
+  // contentHash -> id, so legacy records (keyed by content hash) can still be found
+  const byContentHash = new Map();
+  for (const record of Object.values(items)) {
+    if (!record.contentHash) record.contentHash = record.id;
+    byContentHash.set(record.contentHash, record.id);
+  }
+
+  if (loaded.migrated > 0) {
+    logger.info(`🗃️  Migrated ${loaded.migrated} legacy ID(s) from ${filePath} to the item store format`);
+  }
+
+  const has = (id) => Object.prototype.hasOwnProperty.call(items, id);
+
+  const get = (id) => (has(id) ? items[id] : null);
+
+  const list = () => Object.values(items);
+
+  // Find the record for an item by identity, falling back to its content hash.
+  // A record found only by content hash (e.g. migrated from the legacy log) is re-keyed
+  // under the item's identity so later content changes are recognized as edits.
+  const findKnown = (id, contentHash) => {
+    if (has(id)) return items[id];
+
+    const legacyId = byContentHash.get(contentHash);
+    if (!legacyId || !has(legacyId)) return null;
+
+    const record = items[legacyId];
+    delete items[legacyId];
+    record.id = id;
+    items[id] = record;
+    byContentHash.set(contentHash, id);
+    return record;
+  };
+
+  const recordSeen = (id, item, contentHash = id, translations = {}) => {
+    if (has(id)) return items[id];
+    byContentHash.set(contentHash, id);
+    items[id] = {
+      id,
+      contentHash,
+      source: item?.source || null,
+      firstSeenAt: Date.now(),
+      postedAt: null,
+      destinations: [],
+      original: pickItemFields(item),
+      translations: pickTranslations(translations)
+    };
+    return items[id];
+  };
+
+  // Message IDs already recorded are skipped, so an outbox message recorded twice counts once
+  const recordDestination = (id, name, messageIds) => {
+    const record = items[id];
+    const existing = record.destinations.find((d) => d.name === name);
+    if (existing) {
+      existing.messageIds.push(...messageIds.filter((messageId) => !existing.messageIds.includes(messageId)));
+    } else {
+      record.destinations.push({ name, messageIds: [...messageIds] });
+    }
+  };
+
+  // Replace the message IDs of one destination after its messages were edited
+  const setDestinationMessages = (id, name, messageIds) => {
+    const record = items[id];
+    record.destinations = record.destinations.filter((d) => d.name !== name);
+    record.destinations.push({ name, messageIds: [...messageIds] });
+  };
+
+  const pickTranslations = (translations) =>
+    Object.fromEntries(
+      Object.entries(translations || {}).map(([language, t]) => [
+        language,
+        { summary: t?.summary ?? '', fullTweet: t?.fullTweet ?? '' }
+      ])
+    );
+
+  // Set when the first destination accepted the whole item; later destinations keep that time
+  const recordPosted = (id) => {
+    const record = items[id];
+    if (!record.postedAt) record.postedAt = Date.now();
+  };
+
+  // The item changed upstream: store its new content and hash
+  const recordUpdated = (id, originalItem, translations, contentHash) => {
+    const record = items[id];
+    byContentHash.delete(record.contentHash);
+    byContentHash.set(contentHash, id);
+    record.contentHash = contentHash;
+    record.updatedAt = Date.now();
+    record.original = pickItemFields(originalItem);
+    record.translations = pickTranslations(translations);
+  };
+
+  // Forget an item: it counts as new the next time a source returns it
+  const remove = (id) => {
+    if (!has(id)) return false;
+    byContentHash.delete(items[id].contentHash);
+    delete items[id];
+    return true;
+  };
+
+  const prune = (now = Date.now()) => {
+    let removed = 0;
+    for (const [id, record] of Object.entries(items)) {
+      const lastActivity = record.updatedAt || record.postedAt || record.firstSeenAt || 0;
+      if (now - lastActivity >= retentionMs) {
+        byContentHash.delete(record.contentHash);
+        delete items[id];
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  const save = () => {
+    if (!filePath) return;
+    const removed = prune();
+    if (removed > 0) logger.info(`🗃️  Pruned ${removed} record(s) older than the retention window`);
+    writeFileAtomic(filePath, `${JSON.stringify({ version: STORE_VERSION, items }, null, 2)}\n`);
+  };
+
+  return {
+    has,
+    get,
+    list,
+    findKnown,
+    recordSeen,
+    recordDestination,
+    setDestinationMessages,
+    recordPosted,
+    recordUpdated,
+    remove,
+    prune,
+    save,
+    get size() {
+      return Object.keys(items).length;
+    }
+  };
+};
+
+module.exports = { STORE_VERSION, StoreCorruptError, writeFileAtomic, createItemStore };
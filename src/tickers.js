@@ -0,0 +1,145 @@
+const fs = require('fs');
+
+// Ticker resolution. Symbols from the sources are cleaned up once, before items are routed and
+// stored (those guessed from free text also go through a stop-list of words that look like
+// tickers: "US", "CEO"...), and looked up for display in an optional local symbol file for their
+// exchange, company name and asset type:
+//
+// { "AAPL": { "exchange": "NASDAQ", "name": "Apple Inc.", "type": "stock" }, ... }
+//
+// (or a list of { "symbol", "exchange", "name", "type" } objects). Each resolved ticker links
+// to the configured targets, qualified with its exchange where the target supports it.
+
+// Uppercase words the DOM fallback mistakes for tickers. Words that are also listed symbols
+// (PM, TV, USD...) are left out: a real ticker must never be dropped
+const DEFAULT_STOP_LIST = [
+  'CEO', 'DOJ', 'ECB', 'ETF', 'EUR', 'FBI', 'FDA', 'FED', 'FOMC', 'GDP', 'I', 'IMF', 'NEW', 'OPEC',
+  'SEC', 'THE', 'UK', 'UN', 'US', 'WTO'
+];
+
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.\-]{0,11}$/;
+
+const LINK_TARGETS = {
+  tradingview: {
+    label: 'TradingView',
+    url: ({ symbol, exchange }) => `https://www.tradingview.com/chart/?symbol=${encodeURIComponent(exchange ? `${exchange}:${symbol}` : symbol)}`
+  },
+  tipranks: {
+    label: 'TipRanks',
+    url: ({ symbol, type }) => `https://www.tipranks.com/${type === 'etf' ? 'etf' : 'stocks'}/${encodeURIComponent(symbol.toLowerCase())}`
+  },
+  yahoo: {
+    label: 'Yahoo',
+    // Yahoo writes share classes with a dash: BRK-B
+    url: ({ symbol }) => `https://finance.yahoo.com/quote/${encodeURIComponent(symbol.replace(/\./g, '-'))}`
+  }
+};
+
+const TICKER_LINK_TARGETS = Object.keys(LINK_TARGETS);
+
+const clean = (value) => String(value ?? '').trim();
+
+// "$aapl" -> { symbol: "AAPL" }, "NASDAQ:AAPL" -> { symbol: "AAPL", exchange: "NASDAQ" }
+const parseTicker = (value) => {
+  const raw = clean(value).toUpperCase().replace(/^\$/, '');
+  const [exchange, symbol] = raw.includes(':') ? raw.split(':', 2) : ['', raw];
+  return SYMBOL_PATTERN.test(symbol) ? { symbol, exchange: exchange || '' } : null;
+};
+
+const loadSymbolFile = (filePath) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read symbol file ${filePath}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+  }
+
+  const entries = Array.isArray(parsed)
+    ? parsed.map((entry) => [entry?.symbol, entry])
+    : Object.entries(parsed && typeof parsed === 'object' ? parsed : {});
+
+  const symbols = {};
+  for (const [key, entry] of entries) {
+    const ticker = parseTicker(key);
+    if (!ticker) continue;
+    symbols[ticker.symbol] = {
+      exchange: clean(entry?.exchange || ticker.exchange).toUpperCase(),
+      name: clean(entry?.name),
+      type: clean(entry?.type).toLowerCase()
+    };
+  }
+  return symbols;
+};
+
+const createTickerResolver = ({
+  symbols = {},
+  stopList = DEFAULT_STOP_LIST,
+  dropUnknown = false,
+  links = ['tradingview']
+} = {}) => {
+  const unknownTargets = links.filter((target) => !LINK_TARGETS[target]);
+  if (unknownTargets.length > 0) {
+    throw new Error(`Unknown ticker link target(s) ${unknownTargets.join(', ')} (expected: ${TICKER_LINK_TARGETS.join(', ')}).`);
+  }
+  if (links.length === 0) throw new Error('At least one ticker link target is required.');
+
+  const stopped = new Set(stopList.map((word) => clean(word).toUpperCase()));
+  const known = Object.keys(symbols).length > 0;
+
+  // The tickers kept: parsed, de-duplicated, without stop-listed words when asked to and, with
+  // dropUnknown, only those in the symbol file
+  const accept = (tickers, { stopWords = false } = {}) => {
+    if (!Array.isArray(tickers)) return [];
+
+    const accepted = [];
+    const seen = new Set();
+    for (const value of tickers) {
+      const ticker = parseTicker(value);
+      if (!ticker || seen.has(ticker.symbol) || (stopWords && stopped.has(ticker.symbol))) continue;
+
+      const info = symbols[ticker.symbol];
+      if (known && dropUnknown && !info) continue;
+      seen.add(ticker.symbol);
+      accepted.push({ ticker, info });
+    }
+    return accepted;
+  };
+
+  // What an item stores and is routed on: "$aapl", "aapl" -> ["AAPL"]. The stop-list only applies
+  // to tickers guessed from text (fromText): structured upstream tickers are authoritative. An
+  // exchange given with the symbol is kept ("LSE:VOD") so it still shows when the symbol file
+  // doesn't know it.
+  const normalize = (tickers, { fromText = false } = {}) =>
+    accept(tickers, { stopWords: fromText })
+      .map(({ ticker }) => (ticker.exchange ? `${ticker.exchange}:${ticker.symbol}` : ticker.symbol));
+
+  // De-duplicated tickers with what the symbol file knows about them:
+  // [{ symbol, exchange, name, type, links: [{ label, url }] }], the first link being the main one
+  const resolve = (tickers) =>
+    accept(tickers).map(({ ticker, info }) => {
+      const details = {
+        symbol: ticker.symbol,
+        exchange: info?.exchange || ticker.exchange,
+        name: info?.name || '',
+        type: info?.type || ''
+      };
+      return {
+        ...details,
+        links: links.map((target) => ({ label: LINK_TARGETS[target].label, url: LINK_TARGETS[target].url(details) }))
+      };
+    });
+
+  return { normalize, resolve };
+};
+
+// Without configuration: stop-list only, TradingView links to the bare symbol
+const defaultTickerResolver = createTickerResolver();
+
+module.exports = {
+  DEFAULT_STOP_LIST,
+  TICKER_LINK_TARGETS,
+  parseTicker,
+  loadSymbolFile,
+  createTickerResolver,
+  defaultTickerResolver
+};
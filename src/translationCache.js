@@ -0,0 +1,74 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./store');
+const { logger } = require('./logger');
+
+// On-disk translation cache keyed by (source text hash, model, target language).
+// Entries unused for longer than maxAgeMs are pruned, then the least recently used
+// ones beyond maxEntries. A missing or unreadable cache simply starts empty.
+
+const hashText = (text) => crypto.createHash('sha256').update(String(text ?? '')).digest('hex');
+
+const cacheKey = (text, model, language) => `${hashText(text)}|${model}|${language}`;
+
+const createTranslationCache = ({ filePath, maxEntries = 5000, maxAgeMs = 30 * 24 * 3600000 }) => {
+  let entries = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const raw = fs.readFileSync(filePath, 'utf8').trim();
+      const parsed = raw ? JSON.parse(raw) : {};
+      entries = parsed?.entries && typeof parsed.entries === 'object' ? parsed.entries : {};
+    }
+  } catch (err) {
+    logger.warn(`⚠️  Unable to read translation cache ${filePath} (${err.message}), starting empty.`);
+    entries = {};
+  }
+
+  const stats = { hits: 0, misses: 0, stored: 0, pruned: 0 };
+
+  const get = (text, model, language) => {
+    const entry = entries[cacheKey(text, model, language)];
+    if (!entry || typeof entry.translation !== 'string') {
+      stats.misses++;
+      return null;
+    }
+    stats.hits++;
+    entry.lastUsedAt = Date.now();
+    return entry.translation;
+  };
+
+  const set = (text, model, language, translation) => {
+    const now = Date.now();
+    entries[cacheKey(text, model, language)] = { translation, createdAt: now, lastUsedAt: now };
+    stats.stored++;
+  };
+
+  const prune = (now = Date.now()) => {
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => now - (entry.lastUsedAt || entry.createdAt || 0) < maxAgeMs)
+      .sort(([, a], [, b]) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+      .slice(0, maxEntries);
+
+    stats.pruned += Object.keys(entries).length - kept.length;
+    entries = Object.fromEntries(kept);
+  };
+
+  const save = () => {
+    prune();
+    writeFileAtomic(filePath, `${JSON.stringify({ version: 1, entries }, null, 2)}\n`);
+  };
+
+  return {
+    get,
+    set,
+    prune,
+    save,
+    stats,
+    get size() {
+      return Object.keys(entries).length;
+    }
+  };
+};
+
+module.exports = { hashText, createTranslationCache };
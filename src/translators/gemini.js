@@ -0,0 +1,129 @@
+const { GoogleGenerativeAI, GoogleGenerativeAIResponseError } = require('@google/generative-ai');
+const { metrics } = require('../metrics');
+const { logger } = require('../logger');
+const { keyLabel, createKeyPool } = require('./keyPool');
+const { TranslationOutputError, TRANSLATIONS_SCHEMA, buildTranslationPrompt, parseTranslations } = require('./prompt');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const isGeminiRateLimitError = (err) => {
+  const msg = String(err?.message || '');
+  return msg.includes('429') || msg.toLowerCase().includes('too many requests') || msg.toLowerCase().includes('quota');
+};
+
+const isGeminiServiceError = (err) => {
+  const msg = String(err?.message || '');
+  const status = err?.status;
+  return status === 503 || status === 500 || msg.toLowerCase().includes('overloaded') || msg.toLowerCase().includes('service unavailable');
+};
+
+// Rough token count of a call (prompt plus an answer of about the same size), to check it
+// against the tokens-per-minute limit before sending it
+const estimateTokens = (prompt) => Math.ceil(prompt.length / 4) * 2;
+
+// Gemini translation provider over a key pool (see keyPool.js). translate() sends one batch with
+// structured output (JSON constrained to TRANSLATIONS_SCHEMA) and throws when it can't be
+// translated: a TranslationOutputError for an unusable answer, anything else when Gemini itself
+// is failing. generateJson() is the same call for other prompts (market-impact notes, see
+// src/impact.js), sharing the keys and their quota.
+const createGeminiProvider = ({
+  apiKeys,
+  modelName,
+  batchSize = 12,
+  minDelayMs = 5000,
+  rateLimitRetryDelayMs = 1000,
+  baseUrl = '',
+  keyPool = {}
+}) => {
+  // Create Gemini clients for all API keys
+  const geminiClients = apiKeys.map((key) => new GoogleGenerativeAI(key));
+  const requestOptions = baseUrl ? { baseUrl } : undefined;
+  const keys = createKeyPool(apiKeys, keyPool);
+
+  // One call through the key pool with structured output: JSON constrained to `schema`, turned
+  // into the result by parse(), which throws a TranslationOutputError when the answer is unusable.
+  // Rate-limited keys are cooled down and the call moves on to the next key.
+  const generateJson = async ({ prompt, schema, parse, description, temperature = 0 }, attemptCount = 0) => {
+    const maxAttempts = apiKeys.length * 3;
+
+    if (attemptCount >= maxAttempts) {
+      throw new Error(`Gemini call failed after ${maxAttempts} attempts across all ${apiKeys.length} API key(s)`);
+    }
+
+    // Throws a KeyPoolExhaustedError when every key is out of quota (and we don't wait)
+    const keyIndex = await keys.acquire(estimateTokens(prompt));
+
+    try {
+      const model = geminiClients[keyIndex].getGenerativeModel({ model: modelName }, requestOptions);
+
+      logger.debug(`📡 Gemini API Call #${attemptCount + 1}`);
+      logger.debug(`   Using API key: #${keyIndex + 1}/${apiKeys.length}`);
+      logger.debug(`   Model: ${modelName}`);
+      logger.debug(`   ${description}`);
+
+      const result = await model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: 8192,
+          responseMimeType: 'application/json',
+          responseSchema: schema
+        }
+      });
+
+      let text;
+      try {
+        text = result?.response?.text?.() ?? '';
+      } catch (err) {
+        // Blocked answer (safety, recitation...): something in this batch, not the service
+        if (err instanceof GoogleGenerativeAIResponseError) throw new TranslationOutputError(err.message);
+        throw err;
+      }
+      const parsed = parse(text);
+
+      keys.recordSuccess(keyIndex, result?.response?.usageMetadata?.totalTokenCount ?? estimateTokens(prompt));
+      metrics.translationRequests.inc({ key: keyLabel(keyIndex), result: 'success' });
+      return parsed;
+    } catch (err) {
+      logger.warn(`   ❌ Gemini call with key ${keyLabel(keyIndex)} failed: ${err.message}`);
+      metrics.translationRequests.inc({ key: keyLabel(keyIndex), result: isGeminiRateLimitError(err) ? 'rate_limited' : 'failure' });
+
+      if (isGeminiRateLimitError(err)) {
+        keys.recordRateLimit(keyIndex, err);
+        logger.info(`   🔄 Switching to next API key...`);
+        await sleep(rateLimitRetryDelayMs);
+        return generateJson({ prompt, schema, parse, description, temperature }, attemptCount + 1);
+      }
+
+      if (!(err instanceof TranslationOutputError)) keys.recordFailure(keyIndex);
+
+      if (isGeminiServiceError(err)) {
+        logger.warn(`   ⚠️  Gemini service error (${err.status || 'unknown'}): ${err.message}`);
+      }
+
+      throw err;
+    }
+  };
+
+  const translate = async (chunk, language) => {
+    logger.debug(`   Input preview: "${chunk[0]?.substring(0, 60)}..."`);
+    const translations = await generateJson({
+      prompt: buildTranslationPrompt(chunk, language),
+      schema: TRANSLATIONS_SCHEMA,
+      parse: (text) => parseTranslations(text, chunk.length),
+      description: `Translating ${chunk.length} item(s) to ${language}`
+    });
+    logger.debug(`   ✅ Translation successful (${translations.filter(Boolean).length}/${chunk.length} item(s))`);
+    logger.debug(`   Output preview: "${translations.find(Boolean)?.substring(0, 60)}..."`);
+    return translations;
+  };
+
+  // The cache is keyed by the bare model name, as it was before other providers existed
+  return { name: 'gemini', cacheKey: modelName, batchSize, minDelayMs, translate, generateJson, keys };
+};
+
+module.exports = {
+  isGeminiRateLimitError,
+  isGeminiServiceError,
+  createGeminiProvider
+};
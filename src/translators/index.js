@@ -0,0 +1,173 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiProvider } = require('./openai');
+const { createLibreTranslateProvider } = require('./libretranslate');
+const { TranslationOutputError } = require('./prompt');
+const { metrics } = require('../metrics');
+const { logger } = require('../logger');
+
+// A translation provider translates one batch of texts:
+//
+// { name, cacheKey, batchSize, minDelayMs,
+//   translate: async (texts, language) => translations[] }   // same order, null = not translated
+//
+// translate() throws a TranslationOutputError when the answer for the batch is unusable, and
+// any other error when the provider itself is failing. Providers are tried in order as a
+// fallback chain; whatever no provider could translate is posted in the original language.
+// cacheKey separates each provider's (and model's) entries in the translation cache.
+
+const TRANSLATOR_TYPES = ['gemini', 'openai', 'libretranslate', 'none'];
+
+// Explicitly no translation: the chain stops here and the texts that reach it stay in
+// the original language
+const createNoneProvider = () => ({
+  name: 'none',
+  cacheKey: 'none',
+  batchSize: Infinity,
+  minDelayMs: 0,
+  translate: async (texts) => texts.map(() => null)
+});
+
+const createTranslationProviders = (types, settings) =>
+  types.map((type) => {
+    if (type === 'gemini') return createGeminiProvider(settings.gemini);
+    if (type === 'openai') return createOpenAiProvider(settings.openai);
+    if (type === 'libretranslate') return createLibreTranslateProvider(settings.libretranslate);
+    if (type === 'none') return createNoneProvider();
+    throw new Error(`Unknown translation provider "${type}" (expected one of: ${TRANSLATOR_TYPES.join(', ')}).`);
+  });
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// translateSummaries resolves to one translation per input (null where it failed),
+// or null when nothing could be translated.
+const createTranslationChain = ({ providers, cache }) => {
+  const translatable = providers.filter((p) => p.name !== 'none');
+  const cached = (text, language) => {
+    for (const provider of translatable) {
+      const translation = cache.get(text, provider.cacheKey, language);
+      if (translation !== null) return translation;
+    }
+    return null;
+  };
+
+  // Translate one batch, narrowing down items the provider can't handle: items missing from
+  // the answer are sent again on their own, and an unusable answer splits the batch in half
+  // until the offending item is isolated. Resolves to the texts this provider failed on;
+  // throws when the provider itself is failing.
+  const translateBatch = async (provider, texts, language, apply) => {
+    let translated = null;
+    try {
+      translated = await provider.translate(texts, language);
+      metrics.translationBatches.inc({ provider: provider.name, result: 'success' });
+    } catch (err) {
+      metrics.translationBatches.inc({ provider: provider.name, result: 'failure' });
+      if (!(err instanceof TranslationOutputError)) throw err;
+      logger.warn(`⚠️  ${provider.name} returned an unusable answer for ${texts.length} item(s): ${err.message}`);
+    }
+
+    let retry;
+    const missing = translated ? texts.filter((_, j) => !translated[j]) : texts;
+    if (missing.length < texts.length) {
+      apply(provider, texts, translated);
+      if (missing.length === 0) return [];
+      logger.warn(`⚠️  ${provider.name} left out ${missing.length}/${texts.length} item(s)`);
+      retry = [missing];
+    } else if (texts.length === 1) {
+      logger.warn(`⚠️  ${provider.name} could not translate "${String(texts[0]).substring(0, 60)}..."`);
+      return texts;
+    } else {
+      const half = Math.ceil(texts.length / 2);
+      retry = [texts.slice(0, half), texts.slice(half)];
+      logger.debug(`   ✂️  Splitting into batches of ${retry[0].length} and ${retry[1].length}`);
+    }
+
+    const failed = [];
+    for (const batch of retry) {
+      if (provider.minDelayMs > 0) await sleep(provider.minDelayMs);
+      failed.push(...(await translateBatch(provider, batch, language, apply)));
+    }
+    return failed;
+  };
+
+  // Run the texts through one provider batch by batch. Items it couldn't translate go to the
+  // next provider; a failing provider is taken out for the rest of the call, and its batch
+  // and the ones after it go to the next provider too.
+  const runProvider = async (provider, texts, language, apply) => {
+    const failed = [];
+    for (let i = 0; i < texts.length; i += provider.batchSize) {
+      const batch = texts.slice(i, i + provider.batchSize);
+      logger.debug(`📦 ${provider.name}: batch ${Math.floor(i / provider.batchSize) + 1}/${Math.ceil(texts.length / provider.batchSize)}`);
+
+      try {
+        failed.push(...(await translateBatch(provider, batch, language, apply)));
+      } catch (err) {
+        logger.warn(`⚠️  ${provider.name} translation failed: ${err.message}`);
+        return [...failed, ...texts.slice(i)];
+      }
+
+      if (i + provider.batchSize < texts.length && provider.minDelayMs > 0) {
+        logger.debug(`   ⏱️  Waiting ${provider.minDelayMs}ms before next batch...`);
+        await sleep(provider.minDelayMs);
+      }
+    }
+    return failed;
+  };
+
+  const translateSummaries = async (summaries, language) => {
+    if (!Array.isArray(summaries) || summaries.length === 0) return [];
+    if (translatable.length === 0) return null;
+
+    // Serve what we can from the cache and only send the misses (each distinct text once)
+    const out = summaries.map((text) => cached(text, language));
+    const missTexts = [...new Set(summaries.filter((_, i) => out[i] === null))];
+
+    if (missTexts.length === 0) {
+      logger.info(`🗄️  All ${summaries.length} item(s) served from translation cache`);
+      return out;
+    }
+
+    const apply = (provider, texts, translated) => {
+      texts.forEach((text, j) => {
+        const translation = translated[j];
+        if (!translation) return;
+        cache.set(text, provider.cacheKey, language, translation);
+        summaries.forEach((s, i) => {
+          if (s === text) out[i] = translation;
+        });
+      });
+    };
+
+    logger.info(`🌐 Translating to ${language} with ${providers.map((p) => p.name).join(' → ')}`);
+    logger.info(`   Total items: ${summaries.length} (${summaries.length - missTexts.length} from cache)`);
+
+    try {
+      let pending = missTexts;
+      for (const [index, provider] of providers.entries()) {
+        if (pending.length === 0 || provider.name === 'none') break;
+        if (index > 0) logger.info(`↪️  Trying ${provider.name} for ${pending.length} remaining item(s)`);
+        pending = await runProvider(provider, pending, language, apply);
+      }
+    } finally {
+      try {
+        cache.save();
+      } catch (saveErr) {
+        logger.warn(`⚠️  Unable to save translation cache: ${saveErr.message}`);
+      }
+    }
+
+    const translatedCount = out.filter((t) => t !== null).length;
+    if (translatedCount === 0) {
+      logger.warn('⚠️  Falling back to untranslated text');
+      return null;
+    }
+    if (translatedCount < summaries.length) {
+      logger.warn('⚠️  Falling back to untranslated text for the remaining items');
+    }
+    logger.info(`✅ Translation complete: ${translatedCount}/${summaries.length} items translated`);
+    return out;
+  };
+
+  return { translateSummaries, providers };
+};
+
+module.exports = { TRANSLATOR_TYPES, createTranslationProviders, createTranslationChain };
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('../store');
+const { metrics } = require('../metrics');
+const { logger } = require('../logger');
+
+// Gemini API key pool with quota accounting that survives restarts. Each key's usage is
+// counted against the configured per-key limits (requests per minute and per day, tokens
+// per minute; 0 = no limit) and saved after every call:
+//
+// { "version": 1, "keys": { "<key fingerprint>": {
+//     requests: [ms, ...], tokens: [[ms, count], ...],   // the last minute
+//     day: "2026-10-19", dayRequests,                    // Pacific day, as Gemini's daily quota
+//     cooldownUntil, lastUsedAt,
+//     totals: { requests, tokens, rateLimited, failures }
+// } } }
+//
+// Keys themselves are never written, only a fingerprint. A 429 cools the key down for as long
+// as the error says (RetryInfo, or until the daily reset for a per-day quota). The key with the
+// most quota left is picked, least recently used first on ties. When no key has quota left the
+// pool either waits for one (up to maxWaitMs) or gives up right away, as configured.
+
+const KEY_POOL_VERSION = 1;
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 3600000;
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const EXHAUSTED_POLICIES = ['wait', 'skip'];
+
+class KeyPoolExhaustedError extends Error {
+  constructor(message, waitMs) {
+    super(message);
+    this.name = 'KeyPoolExhaustedError';
+    this.waitMs = waitMs;
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Keys are never exposed in logs or metrics, only their position
+const keyLabel = (keyIndex) => `#${keyIndex + 1}`;
+
+const fingerprint = (key) => crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 16);
+
+// Day and time of day in Pacific time, where Gemini resets daily quotas
+const quotaClock = (ms) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: QUOTA_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(ms))
+      .map((p) => [p.type, p.value])
+  );
+  const intoDayMs = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000 + (ms % 1000);
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, nextResetAt: ms - intoDayMs + DAY_MS };
+};
+
+// How long a 429 asks us to stay away: "retryDelay": "34s" in RetryInfo, the rest of the day
+// for a per-day quota, or "Please retry in 12.3s" in the message
+const rateLimitCooldownMs = (err, now, defaultMs) => {
+  const details = Array.isArray(err?.errorDetails) ? err.errorDetails : [];
+  const perDay = details.some((d) =>
+    (d?.violations || []).some((v) => /PerDay/i.test(String(v?.quotaId || '')))
+  );
+  if (perDay) return quotaClock(now).nextResetAt - now;
+
+  const retryDelay = details.find((d) => d?.retryDelay)?.retryDelay;
+  const seconds = retryDelay
+    ? parseFloat(String(retryDelay))
+    : parseFloat((String(err?.message || '').match(/retry in ([\d.]+)\s*s/i) || [])[1]);
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : defaultMs;
+};
+
+const emptyUsage = () => ({
+  requests: [],
+  tokens: [],
+  day: '',
+  dayRequests: 0,
+  cooldownUntil: 0,
+  lastUsedAt: 0,
+  totals: { requests: 0, tokens: 0, rateLimited: 0, failures: 0 }
+});
+
+const readKeyPoolFile = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return {};
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8').trim();
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed?.keys && typeof parsed.keys === 'object' ? parsed.keys : {};
+  } catch (err) {
+    logger.warn(`⚠️  Unable to read Gemini key usage ${filePath} (${err.message}), starting empty.`);
+    return {};
+  }
+};
+
+const createKeyPool = (
+  apiKeys,
+  {
+    filePath = null,
+    limits = {},
+    whenExhausted = 'wait',
+    maxWaitMs = 60000,
+    defaultCooldownMs = 60000,
+    now = Date.now,
+    wait = sleep
+  } = {}
+) => {
+  const { rpm = 0, rpd = 0, tpm = 0 } = limits;
+  const fingerprints = apiKeys.map(fingerprint);
+  const saved = readKeyPoolFile(filePath);
+  const usage = fingerprints.map((fp) => {
+    const entry = { ...emptyUsage(), ...(saved[fp] || {}) };
+    return { ...entry, totals: { ...emptyUsage().totals, ...entry.totals } };
+  });
+
+  // Drop what no longer counts: calls older than a minute, a previous day's requests
+  const refresh = (u, at) => {
+    u.requests = u.requests.filter((t) => at - t < MINUTE_MS);
+    u.tokens = u.tokens.filter(([t]) => at - t < MINUTE_MS);
+    const { day } = quotaClock(at);
+    if (u.day !== day) {
+      u.day = day;
+      u.dayRequests = 0;
+    }
+  };
+
+  const tokensLastMinute = (u) => u.tokens.reduce((sum, [, count]) => sum + count, 0);
+
+  const publish = () => {
+    const at = now();
+    usage.forEach((u, i) => {
+      metrics.rateLimitedKey.set({ key: keyLabel(i) }, u.cooldownUntil > at ? 1 : 0);
+      metrics.geminiKeyRequestsToday.set({ key: keyLabel(i) }, u.dayRequests);
+    });
+    metrics.rateLimitedKeys.set({}, usage.filter((u) => u.cooldownUntil > at).length);
+  };
+
+  // Share of the key's quota left (0-1), the lowest over the configured limits
+  const headroom = (u, estimatedTokens) => {
+    const shares = [
+      rpm > 0 ? 1 - u.requests.length / rpm : 1,
+      rpd > 0 ? 1 - u.dayRequests / rpd : 1,
+      tpm > 0 ? 1 - (tokensLastMinute(u) + estimatedTokens) / tpm : 1
+    ];
+    return Math.min(...shares);
+  };
+
+  // When the key can take the next call (now or earlier if it already can)
+  const availableAt = (u, at, estimatedTokens) => {
+    const times = [u.cooldownUntil];
+    if (rpm > 0 && u.requests.length >= rpm) times.push(u.requests[u.requests.length - rpm] + MINUTE_MS);
+    if (rpd > 0 && u.dayRequests >= rpd) times.push(quotaClock(at).nextResetAt);
+    if (tpm > 0 && tokensLastMinute(u) + estimatedTokens > tpm) {
+      let used = tokensLastMinute(u);
+      for (const [t, count] of u.tokens) {
+        used -= count;
+        if (used + estimatedTokens <= tpm) {
+          times.push(t + MINUTE_MS);
+          break;
+        }
+      }
+    }
+    return Math.max(...times);
+  };
+
+  const pick = (at, estimatedTokens) => {
+    let best = null;
+    usage.forEach((u, i) => {
+      refresh(u, at);
+      if (availableAt(u, at, estimatedTokens) > at) return;
+      const score = headroom(u, estimatedTokens);
+      if (!best || score > best.score || (score === best.score && u.lastUsedAt < usage[best.index].lastUsedAt)) {
+        best = { index: i, score };
+      }
+    });
+    return best?.index ?? null;
+  };
+
+  const save = () => {
+    if (!filePath) return;
+    const keys = Object.fromEntries(fingerprints.map((fp, i) => [fp, usage[i]]));
+    try {
+      writeFileAtomic(filePath, `${JSON.stringify({ version: KEY_POOL_VERSION, keys }, null, 2)}\n`);
+    } catch (err) {
+      logger.warn(`⚠️  Unable to save Gemini key usage: ${err.message}`);
+    }
+  };
+
+  // Resolves to the index of the key to use for the next call and counts the request against
+  // it. Throws a KeyPoolExhaustedError when no key has quota left and we don't wait.
+  const acquire = async (estimatedTokens = 0) => {
+    for (;;) {
+      const at = now();
+      const index = pick(at, estimatedTokens);
+      if (index !== null) {
+        const u = usage[index];
+        u.requests.push(at);
+        u.dayRequests++;
+        u.lastUsedAt = at;
+        u.totals.requests++;
+        publish();
+        save();
+        return index;
+      }
+
+      const waitMs = Math.max(0, Math.min(...usage.map((u) => availableAt(u, at, estimatedTokens))) - at);
+      const message = `All ${apiKeys.length} Gemini API key(s) are out of quota (next one frees up in ${Math.ceil(waitMs / 1000)}s)`;
+      if (whenExhausted === 'skip' || waitMs > maxWaitMs) {
+        throw new KeyPoolExhaustedError(`${message}, skipping Gemini`, waitMs);
+      }
+      logger.warn(`⏳ ${message}, waiting...`);
+      await wait(waitMs);
+    }
+  };
+
+  const recordSuccess = (index, tokens = 0) => {
+    const u = usage[index];
+    u.tokens.push([now(), tokens]);
+    u.totals.tokens += tokens;
+    save();
+  };
+
+  const recordRateLimit = (index, err) => {
+    const u = usage[index];
+    const at = now();
+    const cooldownMs = rateLimitCooldownMs(err, at, defaultCooldownMs);
+    u.cooldownUntil = Math.max(u.cooldownUntil, at + cooldownMs);
+    u.totals.rateLimited++;
+    logger.warn(`⚠️  API key ${keyLabel(index)} hit its rate limit, cooling down for ${Math.ceil(cooldownMs / 1000)}s.`);
+    publish();
+    save();
+  };
+
+  const recordFailure = (index) => {
+    usage[index].totals.failures++;
+    save();
+  };
+
+  const isCoolingDown = (index) => usage[index].cooldownUntil > now();
+
+  // Per-key usage, for the end-of-run report
+  const report = () => {
+    const at = now();
+    return usage.map((u, i) => {
+      refresh(u, at);
+      return {
+        key: keyLabel(i),
+        requestsLastMinute: u.requests.length,
+        tokensLastMinute: tokensLastMinute(u),
+        requestsToday: u.dayRequests,
+        coolingDownForMs: Math.max(0, u.cooldownUntil - at),
+        totals: { ...u.totals }
+      };
+    });
+  };
+
+  const formatReport = () =>
+    report().map((r) => {
+      const limit = (value, max) => (max > 0 ? `${value}/${max}` : `${value}`);
+      return (
+        `🔑 Gemini key ${r.key}: ${limit(r.requestsLastMinute, rpm)} req/min, ${limit(r.tokensLastMinute, tpm)} tokens/min, ` +
+        `${limit(r.requestsToday, rpd)} req today` +
+        `${r.coolingDownForMs > 0 ? `, cooling down ${Math.ceil(r.coolingDownForMs / 1000)}s` : ''}` +
+        ` (total ${r.totals.requests} req, ${r.totals.tokens} tokens, ${r.totals.rateLimited} rate-limited, ${r.totals.failures} failed)`
+      );
+    });
+
+  publish();
+
+  return { acquire, recordSuccess, recordRateLimit, recordFailure, isCoolingDown, report, formatReport, save };
+};
+
+module.exports = { EXHAUSTED_POLICIES, KeyPoolExhaustedError, keyLabel, quotaClock, rateLimitCooldownMs, createKeyPool };
@@ -0,0 +1,81 @@
+const { requestWithRetry } = require('../sinks/http');
+const { logger } = require('../logger');
+const { TranslationOutputError } = require('./prompt');
+
+// LibreTranslate-style HTTP API (self-hosted or a public instance): POST /translate with
+// q as a list of texts, answered with translatedText as a list in the same order.
+// It takes language codes, while the bot configures languages by name.
+const LANGUAGE_CODES = {
+  arabic: 'ar',
+  chinese: 'zh',
+  dutch: 'nl',
+  english: 'en',
+  french: 'fr',
+  german: 'de',
+  hebrew: 'he',
+  hindi: 'hi',
+  italian: 'it',
+  japanese: 'ja',
+  korean: 'ko',
+  persian: 'fa',
+  polish: 'pl',
+  portuguese: 'pt',
+  russian: 'ru',
+  spanish: 'es',
+  turkish: 'tr',
+  ukrainian: 'uk',
+  urdu: 'ur',
+  yiddish: 'yi'
+};
+
+// "Hebrew" -> "he"; a value that already looks like a code is passed through
+const languageCode = (language) => {
+  const value = String(language || '').trim();
+  const code = LANGUAGE_CODES[value.toLowerCase()] || (/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(value) ? value : null);
+  if (!code) throw new Error(`LibreTranslate: no language code known for "${language}" (use a code such as "he")`);
+  return code;
+};
+
+const createLibreTranslateProvider = ({
+  url,
+  apiKey = '',
+  batchSize = 12,
+  minDelayMs = 0,
+  timeoutMs = 120000,
+  maxServerRetries,
+  maxRateLimitRetries = 3
+}) => {
+  const endpoint = `${url.replace(/\/+$/, '')}/translate`;
+
+  const translate = async (texts, language) => {
+    const target = languageCode(language);
+    logger.debug(`📡 LibreTranslate call to ${endpoint}: ${texts.length} item(s) to ${target}`);
+
+    const response = await requestWithRetry(
+      'LibreTranslate translation',
+      endpoint,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          q: texts.map((text) => String(text ?? '')),
+          source: 'auto',
+          target,
+          format: 'text',
+          ...(apiKey ? { api_key: apiKey } : {})
+        })
+      },
+      { maxServerRetries, maxRateLimitRetries, timeoutMs }
+    );
+
+    const body = await response.json();
+    const translations = Array.isArray(body?.translatedText) ? body.translatedText : [];
+    if (translations.length !== texts.length) throw new TranslationOutputError('LibreTranslate returned unexpected translation count.');
+
+    return translations.map((t) => String(t ?? '').trim() || null);
+  };
+
+  return { name: 'libretranslate', cacheKey: 'libretranslate', batchSize, minDelayMs, translate };
+};
+
+module.exports = { languageCode, createLibreTranslateProvider };
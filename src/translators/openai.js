@@ -0,0 +1,52 @@
+const { requestWithRetry } = require('../sinks/http');
+const { logger } = require('../logger');
+const { buildTranslationPrompt, parseTranslations } = require('./prompt');
+
+// Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a local LLM server
+// (llama.cpp, Ollama, vLLM, LM Studio...) exposing /v1/chat/completions. The API key is
+// optional since local servers usually don't check it. A server that keeps answering 429 is
+// only retried a few times, then the batch goes to the next provider in the chain.
+const createOpenAiProvider = ({
+  baseUrl,
+  apiKey = '',
+  model,
+  batchSize = 12,
+  minDelayMs = 0,
+  timeoutMs = 120000,
+  maxServerRetries,
+  maxRateLimitRetries = 3
+}) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const translate = async (texts, language) => {
+    logger.debug(`📡 OpenAI-compatible call to ${url} (${model}): ${texts.length} item(s) to ${language}`);
+
+    const response = await requestWithRetry(
+      'OpenAI-compatible translation',
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: 'You are a translation engine. Reply with JSON only.' },
+            { role: 'user', content: buildTranslationPrompt(texts, language) }
+          ]
+        })
+      },
+      { maxServerRetries, maxRateLimitRetries, timeoutMs }
+    );
+
+    const body = await response.json();
+    return parseTranslations(body?.choices?.[0]?.message?.content ?? '', texts.length);
+  };
+
+  return { name: 'openai', cacheKey: `openai:${model}`, batchSize, minDelayMs, translate };
+};
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,72 @@
+// Prompt and response format shared by the LLM providers (Gemini, OpenAI-compatible).
+// Every input item carries an ID and the model answers with the same IDs, so a dropped or
+// reordered item only affects itself instead of shifting every translation after it.
+
+// The model's answer for a batch was unusable (not JSON, wrong shape, no items). Unlike an
+// unavailable service this depends on the batch content, so the chain retries smaller batches.
+class TranslationOutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranslationOutputError';
+  }
+}
+
+const itemId = (index) => `t${index + 1}`;
+
+// JSON schema of the answer, for APIs with structured output
+const TRANSLATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          text: { type: 'string' }
+        },
+        required: ['id', 'text']
+      }
+    }
+  },
+  required: ['translations']
+};
+
+const buildTranslationPrompt = (texts, language) => {
+  const payload = texts.map((text, i) => ({ id: itemId(i), text: String(text ?? '') }));
+  return (
+    `Translate the following news summary texts to ${language}.\n` +
+    `Return ONLY valid JSON in this exact shape: {"translations":[{"id":"...","text":"..."}, ...]}\n` +
+    `Return one entry per input item, with the item's id unchanged.\n\n` +
+    `Input JSON:\n${JSON.stringify({ items: payload }, null, 0)}`
+  );
+};
+
+// Models without structured output sometimes wrap the JSON in a code fence
+const parseJson = (text) => {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  try {
+    return JSON.parse(fenced ? fenced[1] : trimmed);
+  } catch (err) {
+    throw new TranslationOutputError(`Model returned invalid JSON: ${err.message}`);
+  }
+};
+
+// Translations in input order, null for items the model left out or answered with nothing
+const parseTranslations = (text, expectedCount) => {
+  const parsed = parseJson(text);
+  if (!Array.isArray(parsed?.translations)) throw new TranslationOutputError('Model returned no translations array.');
+
+  const byId = new Map();
+  for (const entry of parsed.translations) {
+    const translation = String(entry?.text ?? '').trim();
+    if (entry?.id != null && translation) byId.set(String(entry.id), translation);
+  }
+
+  const translations = Array.from({ length: expectedCount }, (_, i) => byId.get(itemId(i)) ?? null);
+  if (translations.every((t) => t === null)) throw new TranslationOutputError('Model returned no usable translations.');
+  return translations;
+};
+
+module.exports = { TranslationOutputError, TRANSLATIONS_SCHEMA, buildTranslationPrompt, parseJson, parseTranslations };
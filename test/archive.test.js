@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArchiveDate, createArchive, formatArchiveLine, formatCsv, formatJsonl } = require('../src/archive');
+const { createBot } = require('../bot');
+const { loadConfig } = require('../src/config');
+const { readFixture, startTipRanksServer, startDiscordServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const entry = (id, fields, contentHash = `hash-${id}`) => ({
+  id,
+  contentHash,
+  item: { source: 'tipranks', time: '10:00 AM', sentiment: 'Neutral', summary: 'Summary', fullTweet: '', tickers: [], sector: '—', sourceUrl: '', ...fields }
+});
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Archived on Jan 31 and Feb 2, 2025
+const fill = (dirPath) => {
+  let now = Date.parse('2025-01-31T15:00:00Z');
+  const archive = createArchive({ dirPath, now: () => now });
+  archive.append([
+    entry('a', { sentiment: 'Bullish', summary: 'Chips rally on export news', tickers: ['NVDA', 'AMD'], sector: 'Technology' }),
+    entry('b', { publishedAt: Date.parse('2025-01-31T14:30:00Z'), sentiment: 'Bearish', summary: 'Oil slides', fullTweet: 'We will DRILL more, "a lot" more', tickers: ['XOM'], sector: 'Energy' })
+  ]);
+  now = Date.parse('2025-02-02T09:00:00Z');
+  archive.append([
+    // A corrected version of "a"
+    entry('a', { sentiment: 'Bullish', summary: 'Chips rally on new export rules', tickers: ['NVDA'], sector: 'Technology, Semiconductors' }, 'hash-a2'),
+    entry('c', { summary: 'Quiet statement' })
+  ]);
+  return archive;
+};
+
+test('parseArchiveDate', () => {
+  assert.equal(parseArchiveDate('2025-01-31'), Date.parse('2025-01-31T00:00:00Z'));
+  assert.equal(parseArchiveDate('2025-01-31', { end: true }), Date.parse('2025-02-01T00:00:00Z'));
+  assert.equal(parseArchiveDate('2025-01-31T12:00:00Z', { end: true }), Date.parse('2025-01-31T12:00:00Z'));
+  assert.throws(() => parseArchiveDate('last week'), /Invalid date "last week"/);
+});
+
+test('archive search', async (t) => {
+  const dir = tempDir(t);
+  const archive = fill(dir);
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['2025-01.jsonl', '2025-02.jsonl', 'index.json']);
+  assert.deepEqual(archive.stats(), { months: 2, records: 4, bytes: fs.statSync(path.join(dir, '2025-01.jsonl')).size + fs.statSync(path.join(dir, '2025-02.jsonl')).size });
+
+  const summaries = (query) => archive.search(query).map((r) => r.item.summary);
+
+  await t.test('each item once, as its newest matching version', () => {
+    assert.deepEqual(summaries(), ['Oil slides', 'Chips rally on new export rules', 'Quiet statement']);
+    assert.deepEqual(summaries({ text: 'rally EXPORT news' }), ['Chips rally on export news']);
+    assert.deepEqual(summaries({ limit: 1 }), ['Quiet statement']);
+  });
+
+  await t.test('filters', () => {
+    // Oil slides was published half an hour before it was archived with the chips rally
+    assert.deepEqual(summaries({ to: parseArchiveDate('2025-01-31', { end: true }) }), ['Oil slides', 'Chips rally on export news']);
+    assert.deepEqual(summaries({ from: parseArchiveDate('2025-02-01') }), ['Chips rally on new export rules', 'Quiet statement']);
+    assert.deepEqual(summaries({ tickers: ['$amd', 'XOM'] }), ['Oil slides', 'Chips rally on export news']);
+    assert.deepEqual(summaries({ sector: 'semi' }), ['Chips rally on new export rules']);
+    assert.deepEqual(summaries({ sentiment: 'bearish' }), ['Oil slides']);
+    assert.deepEqual(summaries({ text: 'drill' }), ['Oil slides']);
+    assert.deepEqual(summaries({ source: 'rss' }), []);
+  });
+
+  await t.test('only months that can match are read', () => {
+    const reads = t.mock.method(fs, 'readFileSync');
+    const read = () => reads.mock.calls.map((c) => path.basename(c.arguments[0])).filter((f) => f.endsWith('.jsonl'));
+
+    assert.deepEqual(createArchive({ dirPath: dir }).search({ tickers: ['XOM'] }).map((r) => r.id), ['b']);
+    assert.deepEqual(read(), ['2025-01.jsonl']);
+    reads.mock.resetCalls();
+    assert.equal(createArchive({ dirPath: dir }).search({ from: parseArchiveDate('2025-02-01') }).length, 2);
+    assert.deepEqual(read(), ['2025-02.jsonl']);
+  });
+
+  await t.test('dates are publication times, whatever month the item was archived in', () => {
+    createArchive({ dirPath: dir, now: () => Date.parse('2025-03-01T08:00:00Z') }).append([
+      entry('late', { publishedAt: Date.parse('2025-01-30T20:00:00Z'), summary: 'Picked up late' })
+    ]);
+    const reads = t.mock.method(fs, 'readFileSync');
+    const january = createArchive({ dirPath: dir }).search({ from: parseArchiveDate('2025-01-01'), to: parseArchiveDate('2025-01-31', { end: true }) });
+    assert.deepEqual(january.map((r) => r.item.summary), ['Picked up late', 'Oil slides', 'Chips rally on export news']);
+    assert.ok(reads.mock.calls.some((c) => path.basename(c.arguments[0]) === '2025-03.jsonl'));
+    assert.deepEqual(createArchive({ dirPath: dir }).search({ from: parseArchiveDate('2025-03-01') }), []);
+  });
+});
+
+test('the index is rebuilt when missing or out of date, and a torn line is skipped', async (t) => {
+  const dir = tempDir(t);
+  fill(dir);
+
+  fs.rmSync(path.join(dir, 'index.json'));
+  assert.equal(createArchive({ dirPath: dir }).search({ tickers: ['XOM'] }).length, 1);
+  assert.ok(fs.existsSync(path.join(dir, 'index.json')));
+
+  // A crash in the middle of an append
+  const february = path.join(dir, '2025-02.jsonl');
+  fs.appendFileSync(february, '{"archivedAt":1738490000000,"id":"d","item":{"summ');
+  const archive = createArchive({ dirPath: dir, now: () => Date.parse('2025-02-03T09:00:00Z') });
+  archive.append([entry('e', { summary: 'After the crash', tickers: ['TSLA'] })]);
+
+  assert.deepEqual(archive.search({ tickers: ['TSLA'] }).map((r) => r.id), ['e']);
+  assert.equal(archive.stats().records, 5);
+  // A fresh instance trusts the index it wrote
+  const indexPath = path.join(dir, 'index.json');
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  assert.equal(index.months['2025-02'].bytes, fs.statSync(february).size);
+  assert.equal(index.months['2025-02'].tickers.TSLA, 1);
+
+  // but not one from an earlier version
+  fs.writeFileSync(indexPath, JSON.stringify({ ...index, version: 1, months: { ...index.months, '2025-01': { ...index.months['2025-01'], first: 0, last: 0 } } }));
+  createArchive({ dirPath: dir }).stats();
+  assert.equal(JSON.parse(fs.readFileSync(indexPath, 'utf8')).months['2025-01'].first, Date.parse('2025-01-31T14:30:00Z'));
+});
+
+test('exports', async (t) => {
+  const dir = tempDir(t);
+  const records = fill(dir).search({ tickers: ['XOM', 'NVDA'] });
+
+  const csv = formatCsv(records).split('\r\n');
+  assert.equal(csv[0], 'archived_at,id,source,time,published_at,sentiment,summary,full_tweet,tickers,sector,source_url,external_id,impact_direction,impact_rationale');
+  assert.equal(csv[1], '2025-01-31T15:00:00.000Z,b,tipranks,10:00 AM,2025-01-31T14:30:00.000Z,Bearish,Oil slides,"We will DRILL more, ""a lot"" more",XOM,Energy,,,,');
+  assert.equal(csv[2].split(',')[4], '');
+  assert.equal(csv[2].split(',')[9], '"Technology');
+  assert.equal(csv.at(-1), '');
+
+  const lines = formatJsonl(records).trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((r) => r.id), ['b', 'a']);
+  assert.equal(lines[0].contentHash, 'hash-b');
+
+  assert.equal(formatArchiveLine(records[0]), '2025-01-31 14:30Z 🔴 Oil slides $XOM [Energy] (tipranks)');
+});
+
+test('the bot archives what it handled, upstream record included', async (t) => {
+  const tipranks = await startTipRanksServer();
+  const discord = await startDiscordServer();
+  const dir = tempDir(t);
+  t.after(() => Promise.all([tipranks.close(), discord.close()]));
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    TRANSLATION_PROVIDERS: 'none',
+    LOG_FILE: path.join(dir, 'processed.json'),
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0'
+  };
+
+  await createBot(loadConfig(env)).run();
+  // Nothing new the second time, nothing archived again
+  await createBot(loadConfig(env)).run();
+
+  const archive = createArchive({ dirPath: path.join(dir, 'archive') });
+  const records = archive.search();
+  const payload = JSON.parse(readFixture('payload.json')).TrumpDashboard.data.list;
+  assert.equal(records.length, discord.posts().length);
+  assert.equal(archive.stats().records, payload.length);
+  for (const record of records) {
+    assert.deepEqual(record.raw, payload.find((p) => String(p.id) === record.item.externalId));
+  }
+
+  // Turned off
+  const off = path.join(dir, 'off');
+  await createBot(loadConfig({ ...env, LOG_FILE: path.join(off, 'processed.json'), ARCHIVE: 'false' })).run();
+  assert.equal(fs.existsSync(path.join(off, 'archive')), false);
+});
+
+test('items are archived as they are handled, stale ones and those of a failed run included', async (t) => {
+  const tipranks = await startTipRanksServer();
+  const discord = await startDiscordServer();
+  const dir = tempDir(t);
+  t.after(() => Promise.all([tipranks.close(), discord.close()]));
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    TRANSLATION_PROVIDERS: 'none',
+    LOG_FILE: path.join(dir, 'stopped', 'processed.json'),
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0'
+  };
+  const archived = (name) => createArchive({ dirPath: path.join(dir, name, 'archive') }).search();
+
+  // The run blows up right after the first post
+  const signal = {
+    get aborted() {
+      if (discord.posts().length > 0) throw new Error('crash');
+      return false;
+    }
+  };
+  await assert.rejects(createBot(loadConfig(env)).run({ signal }), /crash/);
+  assert.equal(discord.posts().length, 1);
+  assert.deepEqual(archived('stopped').map((r) => r.item.summary), [discord.posts()[0].body.embeds[0].description]);
+
+  // The fixture items are from 2025: all too old to post, all archived, once
+  const staleEnv = { ...env, LOG_FILE: path.join(dir, 'stale', 'processed.json'), MAX_ITEM_AGE_HOURS: '72' };
+  await createBot(loadConfig(staleEnv)).run();
+  await createBot(loadConfig(staleEnv)).run();
+  assert.equal(discord.posts().length, 1);
+  assert.equal(archived('stale').length, 4);
+  assert.equal(createArchive({ dirPath: path.join(dir, 'stale', 'archive') }).stats().records, 4);
+});
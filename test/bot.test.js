@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('../bot');
+const { loadConfig } = require('../src/config');
+const { metrics } = require('../src/metrics');
+const { startTipRanksServer, startDiscordServer, startGeminiServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+// End to end: payload.json from the TipRanks stand-in, translations from the Gemini stand-in,
+// posts to the Discord stand-in, and the processed-item store on disk between runs.
+test('end-to-end runs against local stand-ins', async (t) => {
+  const tipranks = await startTipRanksServer();
+  const discord = await startDiscordServer();
+  const gemini = await startGeminiServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-'));
+  t.after(async () => {
+    await Promise.all([tipranks.close(), discord.close(), gemini.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const logFile = path.join(dir, 'processed.json');
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    DISCORD_WEBHOOK_URL_2: discord.webhookUrl(2),
+    DISCORD_WEBHOOK_URL_3: discord.webhookUrl(3),
+    MAX_NEWS_MESSAGES: '10',
+    DISCORD_TAG: '@news',
+    LOG_FILE: logFile,
+    GEMINI_API_KEY_1: 'key-a',
+    GEMINI_API_KEY_2: 'key-b',
+    GEMINI_BASE_URL: gemini.url,
+    GEMINI_MIN_DELAY_MS: '0',
+    POST_DELAY_MS: '0',
+    // The fixture items are from 2025
+    MAX_ITEM_AGE_HOURS: '0',
+    NAV_TIMEOUT_MS: '5000'
+  };
+  const runBot = (overrides = {}) => createBot(loadConfig({ ...env, ...overrides })).run();
+
+  await t.test('first run posts every item, oldest first, translated', async () => {
+    await runBot();
+
+    const posts = discord.posts();
+    assert.equal(posts.length, 4);
+    // Round-robin over the three webhooks
+    assert.deepEqual(posts.map((p) => p.path.split('/')[3]), ['1', '2', '3', '1']);
+    assert.ok(posts.every((p) => p.path.endsWith('?wait=true')));
+    assert.equal(posts[0].body.embeds[0].description, '[Hebrew] Trump announces drilling expansion on federal land');
+
+    const store = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    assert.equal(Object.keys(store.items).length, 4);
+    assert.ok(Object.values(store.items).every((r) => r.destinations[0].messageIds.length === 1));
+
+    assert.equal(metrics.itemsScraped.get({ source: 'tipranks' }), 4);
+    assert.equal(metrics.newItems.get({ source: 'tipranks' }), 4);
+    assert.equal(metrics.itemsPosted.get({ destination: 'webhook1', type: 'discord' }), 2);
+    assert.equal(metrics.translationRequests.get({ key: '#1', result: 'success' }), 1);
+    assert.equal(metrics.runs.get({ result: 'success' }), 1);
+  });
+
+  await t.test('second run posts nothing and leaves the store as it was', async () => {
+    const before = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    discord.state.requests.length = 0;
+    gemini.state.requests.length = 0;
+
+    await runBot();
+
+    assert.equal(discord.state.requests.length, 0);
+    assert.equal(gemini.state.requests.length, 0);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(logFile, 'utf8')).items).sort(), Object.keys(before.items).sort());
+  });
+
+  await t.test('a new item is posted once, retrying through Discord 429s and 5xx', async () => {
+    discord.state.requests.length = 0;
+    discord.state.failures.push('429', '502');
+    tipranks.state.payload.TrumpDashboard.data.list.unshift({
+      id: 9005,
+      postDate: '2025-01-02',
+      postTime: '12:30 PM',
+      postSummary: 'Trump says pharma tariffs are coming',
+      postContent: 'Drug companies must build here or pay!',
+      sentiment: 'Bearish',
+      stocks: [{ ticker: 'PFE' }],
+      sectors: [{ name: 'Healthcare' }]
+    });
+
+    await runBot();
+
+    const posts = discord.posts();
+    assert.equal(posts.length, 3);
+    assert.ok(posts.every((p) => p.body.embeds[0].description === '[Hebrew] Trump says pharma tariffs are coming'));
+    assert.equal(metrics.httpRateLimited.get({ request: 'Discord webhook POST' }), 1);
+    assert.equal(metrics.httpRetries.get({ request: 'Discord webhook POST', reason: 'server_error' }), 1);
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(logFile, 'utf8')).items).length, 5);
+  });
+
+  await t.test('an upstream correction edits the posted message instead of reposting', async () => {
+    discord.state.requests.length = 0;
+    tipranks.state.payload.TrumpDashboard.data.list[0].sectors = [{ name: 'Healthcare' }, { name: 'Industrials' }];
+
+    await runBot();
+
+    assert.equal(discord.posts().length, 0);
+    const patches = discord.state.requests.filter((r) => r.method === 'PATCH');
+    assert.equal(patches.length, 1);
+    assert.match(patches[0].path, /\/messages\/\d+$/);
+  });
+
+  await t.test('a corrected item whose message was deleted in Discord is posted again', async () => {
+    discord.state.requests.length = 0;
+    const [record] = tipranks.state.payload.TrumpDashboard.data.list;
+    record.sectors = [{ name: 'Healthcare' }];
+    const stored = () => Object.values(JSON.parse(fs.readFileSync(logFile, 'utf8')).items).find((r) => r.original.summary === record.postSummary);
+    const [before] = stored().destinations[0].messageIds;
+
+    discord.state.failures.push('404');
+    await runBot();
+
+    assert.equal(discord.posts().length, 1);
+    assert.equal(discord.posts()[0].body.embeds[0].fields.find((f) => f.name === 'Sector').value, 'Healthcare');
+    const [after] = stored().destinations[0].messageIds;
+    assert.notEqual(after, before);
+  });
+
+  await t.test('untranslated fallback when Gemini is down, still posted exactly once', async () => {
+    discord.state.requests.length = 0;
+    gemini.state.failures.push('503');
+    tipranks.state.payload.TrumpDashboard.data.list.unshift({
+      id: 9006,
+      postDate: '2025-01-02',
+      postTime: '01:00 PM',
+      postSummary: 'Trump meets with chip makers',
+      postContent: '',
+      sentiment: 'Neutral',
+      stocks: [{ ticker: 'NVDA' }],
+      sectors: [{ name: 'Technology' }]
+    });
+
+    await runBot();
+    await runBot();
+
+    const posts = discord.posts();
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].body.embeds[0].description, 'Trump meets with chip makers');
+    assert.equal(metrics.translationFallbacks.get({ language: 'Hebrew' }), 1);
+  });
+
+  await t.test('an aborted run finishes the item in flight and leaves the rest for the next run', async () => {
+    discord.state.requests.length = 0;
+    const list = tipranks.state.payload.TrumpDashboard.data.list;
+    list.unshift(
+      { ...list[0], id: 9008, postTime: '02:10 PM', postSummary: 'Trump second late post', postContent: '' },
+      { ...list[0], id: 9007, postTime: '02:00 PM', postSummary: 'Trump first late post', postContent: '' }
+    );
+
+    // Abort as soon as the first new item has been posted (what SIGTERM does in daemon mode)
+    const signal = { get aborted() { return discord.posts().length > 0; } };
+    await createBot(loadConfig(env)).run({ signal });
+    assert.deepEqual(discord.posts().map((p) => p.body.embeds[0].description), ['[Hebrew] Trump first late post']);
+
+    await runBot();
+    assert.deepEqual(discord.posts().map((p) => p.body.embeds[0].description), [
+      '[Hebrew] Trump first late post',
+      '[Hebrew] Trump second late post'
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../bot');
+const { EXIT_CODES } = require('../src/cli');
+const { buildDigest } = require('../src/digest');
+const { metrics } = require('../src/metrics');
+const { readFixture, startTipRanksServer, startDiscordServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+// main() with stdout captured
+const runCli = async (argv, env) => {
+  let output = '';
+  const stdout = { write: (chunk) => (output += chunk) };
+  return { exitCode: await main({ argv, env, stdout }), output };
+};
+
+const setup = async (t, { payload } = {}) => {
+  const tipranks = await startTipRanksServer(payload ? { payload } : {});
+  const discord = await startDiscordServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  t.after(async () => {
+    await Promise.all([tipranks.close(), discord.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    DISCORD_WEBHOOK_URL_2: discord.webhookUrl(2),
+    ROUTING_RULES: JSON.stringify({ strategy: 'rules', rules: [{ match: {}, to: ['webhook1'] }] }),
+    TRANSLATION_PROVIDERS: 'none',
+    LOG_FILE: path.join(dir, 'processed.json'),
+    DRY_RUN_OUTPUT: path.join(dir, 'preview.txt'),
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0'
+  };
+  const storedItems = () => Object.values(JSON.parse(fs.readFileSync(env.LOG_FILE, 'utf8')).items);
+  return { discord, env, storedItems };
+};
+
+test('exit codes', async (t) => {
+  const { discord, env } = await setup(t);
+
+  assert.equal((await runCli(['frobnicate'], env)).exitCode, EXIT_CODES.usage);
+  assert.equal((await runCli(['run', '--bogus'], env)).exitCode, EXIT_CODES.usage);
+  assert.equal((await runCli(['backfill', '--since', 'yesterday'], env)).exitCode, EXIT_CODES.usage);
+  assert.equal((await runCli(['validate-config'], { ...env, DISCORD_WEBHOOK_URL_1: '', DISCORD_WEBHOOK_URL_2: '' })).exitCode, EXIT_CODES.config);
+  assert.equal((await runCli(['forget', 'abc123'], env)).exitCode, EXIT_CODES.notFound);
+
+  fs.writeFileSync(env.LOG_FILE, 'not json');
+  assert.equal((await runCli(['run'], env)).exitCode, EXIT_CODES.corruptState);
+
+  // So is a corrupt outbox, before anything is posted
+  const outboxFile = path.join(path.dirname(env.LOG_FILE), 'corrupt-outbox.json');
+  fs.writeFileSync(outboxFile, '{"messages": [');
+  assert.equal((await runCli(['run'], { ...env, LOG_FILE: path.join(path.dirname(env.LOG_FILE), 'fresh.json'), OUTBOX_FILE: outboxFile })).exitCode, EXIT_CODES.corruptState);
+  assert.equal(discord.posts().length, 0);
+
+  // A source that fails outright fails the run
+  assert.equal((await runCli(['run'], { ...env, LOG_FILE: path.join(path.dirname(env.LOG_FILE), 'new.json'), TIPRANKS_PAYLOAD_URL: 'http://127.0.0.1:9/payload.json', SCRAPE_MODE: 'browser', SITE_URL: 'http://127.0.0.1:9/' })).exitCode, EXIT_CODES.failure);
+
+  const { exitCode, output } = await runCli(['validate-config'], env);
+  assert.equal(exitCode, EXIT_CODES.ok);
+  assert.match(output, /^✓ Configuration is valid\n/);
+  assert.match(output, /Destinations: webhook1 \(discord, Hebrew\), webhook2 \(discord, Hebrew\)/);
+});
+
+test('mark-seen, forget, replay and state stats', async (t) => {
+  const { discord, env, storedItems } = await setup(t);
+
+  assert.equal((await runCli(['mark-seen'], env)).exitCode, EXIT_CODES.ok);
+  assert.equal(storedItems().length, 4);
+  assert.ok(storedItems().every((r) => r.postedAt === null));
+  assert.equal((await runCli(['run'], env)).exitCode, EXIT_CODES.ok);
+  assert.equal(discord.posts().length, 0);
+
+  // Forgotten, so posted by the next run
+  const id = storedItems().find((r) => r.original.summary.startsWith('Trump says the Fed')).id;
+  assert.equal((await runCli(['forget', id.substring(0, 12)], env)).exitCode, EXIT_CODES.ok);
+  assert.equal(storedItems().length, 3);
+  assert.equal((await runCli(['run'], env)).exitCode, EXIT_CODES.ok);
+  assert.deepEqual(discord.posts().map((p) => p.path.split('/')[3]), ['1']);
+
+  assert.equal((await runCli(['replay', id.substring(0, 12), '--to', 'webhook2'], env)).exitCode, EXIT_CODES.ok);
+  assert.deepEqual(discord.posts().map((p) => p.path.split('/')[3]), ['1', '2']);
+  assert.deepEqual(discord.posts()[1].body.embeds, discord.posts()[0].body.embeds);
+  assert.deepEqual(storedItems().find((r) => r.id === id).destinations.map((d) => d.name), ['webhook1', 'webhook2']);
+
+  assert.equal((await runCli(['replay', id, '--to', 'webhook9'], env)).exitCode, EXIT_CODES.notFound);
+  // Never posted anywhere: needs --to
+  const unposted = storedItems().find((r) => r.postedAt === null).id;
+  assert.equal((await runCli(['replay', unposted], env)).exitCode, EXIT_CODES.usage);
+
+  const { exitCode, output } = await runCli(['state', 'stats'], env);
+  assert.equal(exitCode, EXIT_CODES.ok);
+  assert.match(output, /Posted: 1, seen without posting: 3, edited after posting: 0/);
+  assert.match(output, /By destination: webhook1 1, webhook2 1/);
+  // Items marked as seen are archived too
+  assert.match(output, /Archive: .*, 4 record\(s\) in 1 month\(s\)/);
+});
+
+test('an item no destination accepted is not counted as posted', async (t) => {
+  const { discord, env, storedItems } = await setup(t);
+  discord.state.failures.push('400', '400', '400', '400');
+
+  assert.equal((await runCli(['run'], env)).exitCode, EXIT_CODES.ok);
+  // Stored so the outbox retries them, but not posted yet
+  assert.equal(storedItems().length, 4);
+  assert.ok(storedItems().every((r) => r.postedAt === null && r.destinations.length === 0));
+
+  const { output } = await runCli(['state', 'stats'], env);
+  assert.match(output, /Posted: 0, seen without posting: 4/);
+  assert.equal(buildDigest(storedItems(), { period: 'daily', end: Date.now() + 1000 }).count, 0);
+});
+
+test('backfill posts every item from a day on, oldest first', async (t) => {
+  const payload = JSON.parse(readFixture('payload.json'));
+  // The oldest item is from the day before
+  payload.TrumpDashboard.data.list[3].postDate = '2025-01-01';
+  const { discord, env } = await setup(t, { payload });
+  const summaries = () => discord.posts().map((p) => JSON.stringify(p.body).match(/Trump \w+/)[0]);
+
+  // A normal run only looks at the newest item
+  assert.equal((await runCli(['run'], { ...env, MAX_NEWS_MESSAGES: '1' })).exitCode, EXIT_CODES.ok);
+  assert.deepEqual(summaries(), ['Trump says']);
+
+  assert.equal((await runCli(['backfill', '--since', '2025-01-02', '--dry-run'], { ...env, MAX_NEWS_MESSAGES: '1' })).exitCode, EXIT_CODES.ok);
+  assert.equal(discord.posts().length, 1);
+
+  assert.equal((await runCli(['backfill', '--since', '2025-01-02'], { ...env, MAX_NEWS_MESSAGES: '1' })).exitCode, EXIT_CODES.ok);
+  assert.deepEqual(summaries(), ['Trump says', 'Trump threatens', 'Trump praises']);
+});
+
+test('new items older than MAX_ITEM_AGE_HOURS are skipped, except by a backfill', async (t) => {
+  const payload = JSON.parse(readFixture('payload.json'));
+  // The newest item was posted an hour ago, New York time
+  const recent = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(Date.now() - 3600000));
+  const part = (type) => recent.find((p) => p.type === type).value;
+  payload.TrumpDashboard.data.list[0].postDate = `${part('year')}-${part('month')}-${part('day')}`;
+  payload.TrumpDashboard.data.list[0].postTime = `${part('hour')}:${part('minute')}`;
+  const { discord, env } = await setup(t, { payload });
+  const skipped = () => metrics.staleItems.get({ source: 'tipranks' });
+  const before = skipped();
+
+  assert.equal((await runCli(['run'], { ...env, MAX_ITEM_AGE_HOURS: '72' })).exitCode, EXIT_CODES.ok);
+  assert.equal(discord.posts().length, 1);
+  assert.match(JSON.stringify(discord.posts()[0].body), /Trump says/);
+  assert.equal(skipped() - before, 3);
+
+  assert.equal((await runCli(['backfill', '--since', '2025-01-02'], { ...env, MAX_ITEM_AGE_HOURS: '72' })).exitCode, EXIT_CODES.ok);
+  assert.equal(discord.posts().length, 4);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+
+const baseEnv = {
+  SITE_URL: 'https://example.com/dashboard',
+  DISCORD_WEBHOOK_URL_1: 'https://discord.com/api/webhooks/1/one',
+  DISCORD_WEBHOOK_URL_2: 'https://discord.com/api/webhooks/2/two',
+  DISCORD_WEBHOOK_URL_3: 'https://discord.com/api/webhooks/3/three',
+  MAX_NEWS_MESSAGES: '10',
+  DISCORD_TAG: '@news',
+  LOG_FILE: 'logs/processed.json',
+  GEMINI_API_KEY_1: 'key-a'
+};
+
+const writeConfig = (t, settings) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trumpnews-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'config.json');
+  fs.writeFileSync(filePath, typeof settings === 'string' ? settings : JSON.stringify(settings));
+  return filePath;
+};
+
+test('env-only setups keep working, with any number of webhooks and keys', () => {
+  const config = loadConfig({
+    ...baseEnv,
+    DISCORD_WEBHOOK_URL_3: '',
+    DISCORD_WEBHOOK_URL_5: 'https://discord.com/api/webhooks/5/five',
+    DISCORD_WEBHOOK_FORMAT_5: 'TEXT',
+    // Gaps in the numbering no longer hide the keys after them
+    GEMINI_API_KEY_3: 'key-c',
+    HEADLESS: 'false',
+    NAV_TIMEOUT_MS: '5000'
+  });
+
+  assert.deepEqual(config.destinations.map((d) => d.name), ['webhook1', 'webhook2', 'webhook5']);
+  assert.deepEqual(config.geminiApiKeys, ['key-a', 'key-c']);
+  assert.equal(config.headless, false);
+  assert.equal(config.navigationTimeoutMs, 5000);
+  assert.equal(config.dryRunLimit, 10);
+  assert.equal(config.routingConfig.strategy, 'round-robin');
+  assert.equal(config.configFile, null);
+
+  assert.throws(() => loadConfig({ ...baseEnv, LOG_FILE: '' }), /Missing required \.env values: LOG_FILE/);
+  assert.throws(() => loadConfig({ ...baseEnv, POST_DELAY_MS: 'soon' }), /POST_DELAY_MS: expected a number, got "soon"/);
+  assert.throws(() => loadConfig({ ...baseEnv, DISCORD_WEBHOOK_FORMAT_2: 'fancy' }), /DISCORD_WEBHOOK_FORMAT_2: expected one of embed, text/);
+
+  // Gemini keys are only needed when Gemini is in the translation chain
+  const { GEMINI_API_KEY_1, ...withoutGemini } = baseEnv;
+  assert.throws(() => loadConfig({ ...withoutGemini, TRANSLATION_PROVIDERS: 'openai,none' }), /Missing required \.env values: OPENAI_BASE_URL, OPENAI_MODEL/);
+  const libre = loadConfig({ ...withoutGemini, TRANSLATION_PROVIDERS: 'libretranslate', LIBRETRANSLATE_URL: 'http://localhost:5000' });
+  assert.deepEqual(libre.translationProviders, ['libretranslate']);
+  // Their batches follow GEMINI_BATCH_SIZE unless TRANSLATION_BATCH_SIZE is set
+  assert.equal(loadConfig({ ...baseEnv, GEMINI_BATCH_SIZE: '20' }).libretranslate.batchSize, 20);
+  assert.equal(loadConfig({ ...baseEnv, GEMINI_BATCH_SIZE: '20', TRANSLATION_BATCH_SIZE: '50' }).openai.batchSize, 50);
+  assert.throws(() => loadConfig({ ...baseEnv, TRANSLATION_PROVIDERS: 'gemini,deepl' }), /TRANSLATION_PROVIDERS: expected a list of: gemini, openai, libretranslate, none/);
+});
+
+test('config file with env interpolation and any destinations', (t) => {
+  const filePath = writeConfig(t, {
+    sources: ['tipranks', 'rss'],
+    siteUrl: '${SITE_URL}',
+    rssFeedUrls: 'https://example.com/a.xml, https://example.com/b.xml',
+    destinations: [
+      { type: 'discord', url: '${HOOK_A}' },
+      { type: 'discord', name: 'energy', url: '${HOOK_B}', format: 'text', language: 'original' },
+      { type: 'discord', url: '${HOOK_C}' },
+      { type: 'discord', url: '${HOOK_D}' },
+      { type: 'telegram', botToken: '${TG_TOKEN}', chatId: '-100123' },
+      { type: 'json', url: 'https://example.com/ingest' }
+    ],
+    discordTag: '${DISCORD_TAG:-}',
+    routingRules: { rules: [{ match: { sector: 'energy' }, to: ['energy'] }], default: ['webhook1'] },
+    logFile: 'logs/processed.json',
+    geminiApiKeys: ['${KEY_1}', '${KEY_2:-}'],
+    dryRun: '${DRY_RUN:-false}',
+    metricsPort: 9464
+  });
+  const env = {
+    SITE_URL: 'https://example.com/dashboard',
+    HOOK_A: 'https://discord.com/api/webhooks/1/a',
+    HOOK_B: 'https://discord.com/api/webhooks/2/b',
+    HOOK_C: 'https://discord.com/api/webhooks/3/c',
+    HOOK_D: 'https://discord.com/api/webhooks/4/d',
+    TG_TOKEN: '123456:abc',
+    KEY_1: 'key-a',
+    DRY_RUN: 'true'
+  };
+
+  const config = loadConfig(env, { configFile: filePath });
+
+  assert.deepEqual(config.sourceTypes, ['tipranks', 'rss']);
+  assert.deepEqual(config.rssFeedUrls, ['https://example.com/a.xml', 'https://example.com/b.xml']);
+  assert.deepEqual(
+    config.destinations.map((d) => [d.name, d.type, d.language]),
+    [
+      ['webhook1', 'discord', 'Hebrew'],
+      ['energy', 'discord', 'original'],
+      ['webhook3', 'discord', 'Hebrew'],
+      ['webhook4', 'discord', 'Hebrew'],
+      ['telegram', 'telegram', 'Hebrew'],
+      ['json', 'json', 'original']
+    ]
+  );
+  assert.equal(config.tag, '');
+  assert.deepEqual(config.geminiApiKeys, ['key-a']);
+  assert.equal(config.dryRun, true);
+  assert.equal(config.metricsPort, 9464);
+  assert.equal(config.routingConfig.rules.length, 1);
+  assert.ok(config.secrets.includes('123456:abc') && config.secrets.includes(env.HOOK_D));
+
+  // CONFIG_FILE picks the file up from the environment
+  assert.equal(loadConfig({ ...env, CONFIG_FILE: filePath }).configFile, filePath);
+});
+
+test('config file errors name the setting to fix', (t) => {
+  const valid = {
+    siteUrl: 'https://example.com/dashboard',
+    destinations: [{ type: 'discord', url: 'https://discord.com/api/webhooks/1/a' }],
+    logFile: 'logs/processed.json',
+    geminiApiKeys: ['key-a']
+  };
+  const load = (settings) => loadConfig({}, { configFile: writeConfig(t, settings) });
+
+  assert.throws(() => load({ ...valid, maxNewsMesages: 5 }), /maxNewsMesages: unknown setting \(did you mean "maxNewsMessages"\?\)/);
+  assert.throws(() => load({ ...valid, destinations: [{ type: 'discord', url: 'x', formt: 'text' }] }), /destinations\[0\]\.formt: unknown setting \(did you mean "format"\?\)/);
+  assert.throws(() => load({ ...valid, destinations: [{ type: 'pigeon', url: 'x' }] }), /destinations\[0\]\.type: expected one of discord, telegram, slack, json/);
+  assert.throws(() => load({ ...valid, destinations: [{ type: 'telegram', botToken: 'x' }] }), /destinations\[0\]\.chatId: required for telegram destinations/);
+  assert.throws(() => load({ ...valid, headless: 'maybe' }), /headless: expected true or false, got "maybe"/);
+  assert.throws(() => load({ ...valid, geminiApiKeys: ['${NOPE_KEY}'] }), /geminiApiKeys\[0\]: environment variable NOPE_KEY is not set/);
+  assert.throws(() => load({ ...valid, logFile: undefined, geminiApiKeys: [] }), /Missing required setting\(s\) in .*: logFile, geminiApiKeys/);
+  assert.throws(
+    () => load({ ...valid, destinations: [...valid.destinations, { type: 'discord', name: 'webhook1', url: 'y' }] }),
+    /Duplicate destination name\(s\) webhook1/
+  );
+  assert.throws(() => load('{ "siteUrl": '), /Invalid config file .*: invalid JSON/);
+  assert.throws(() => loadConfig({}, { configFile: '/nonexistent/config.json' }), /file not found/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarketHours, isMarketOpen, nextPollDelayMs, runDaemon } = require('../src/daemon');
+const { silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const hours = parseMarketHours('09:30-16:00');
+
+test('parseMarketHours', () => {
+  assert.deepEqual(hours, { open: 570, close: 960 });
+  assert.throws(() => parseMarketHours('9-5'), /expected "HH:MM-HH:MM"/);
+  assert.throws(() => parseMarketHours('16:00-09:30'), /open must be before close/);
+});
+
+test('isMarketOpen uses New York time, across daylight saving', () => {
+  // Winter (EST, UTC-5): 09:30 New York is 14:30 UTC
+  assert.equal(isMarketOpen(new Date('2025-01-06T14:29:00Z'), hours), false);
+  assert.equal(isMarketOpen(new Date('2025-01-06T14:30:00Z'), hours), true);
+  assert.equal(isMarketOpen(new Date('2025-01-06T20:59:00Z'), hours), true);
+  assert.equal(isMarketOpen(new Date('2025-01-06T21:00:00Z'), hours), false);
+  // Summer (EDT, UTC-4): 09:30 New York is 13:30 UTC
+  assert.equal(isMarketOpen(new Date('2025-07-07T13:30:00Z'), hours), true);
+  // Weekends are closed
+  assert.equal(isMarketOpen(new Date('2025-01-04T15:00:00Z'), hours), false);
+});
+
+test('nextPollDelayMs', () => {
+  const base = { marketHours: hours, marketIntervalMs: 60000, offHoursIntervalMs: 600000, maxBackoffMs: 1800000 };
+  const open = new Date('2025-01-06T15:00:00Z');
+  const night = new Date('2025-01-07T03:00:00Z');
+
+  assert.equal(nextPollDelayMs({ ...base, now: open, failures: 0 }), 60000);
+  assert.equal(nextPollDelayMs({ ...base, now: night, failures: 0 }), 600000);
+  assert.equal(nextPollDelayMs({ ...base, now: open, failures: 1 }), 120000);
+  assert.equal(nextPollDelayMs({ ...base, now: open, failures: 3 }), 480000);
+  assert.equal(nextPollDelayMs({ ...base, now: night, failures: 5 }), 1800000);
+});
+
+test('runDaemon backs off after failures, recovers, and stops on abort', async () => {
+  const controller = new AbortController();
+  const delays = [];
+  const outcomes = ['fail', 'fail', 'ok', 'fail'];
+  let runs = 0;
+
+  const runOnce = async ({ signal }) => {
+    assert.equal(signal, controller.signal);
+    const outcome = outcomes[runs++];
+    if (outcome === 'fail') throw new Error('source down');
+  };
+
+  await runDaemon({
+    runOnce,
+    signal: controller.signal,
+    marketHours: hours,
+    marketIntervalMs: 100,
+    offHoursIntervalMs: 1000,
+    maxBackoffMs: 10000,
+    now: () => new Date('2025-01-06T15:00:00Z'),
+    sleep: async (ms) => {
+      delays.push(ms);
+      if (delays.length === outcomes.length) controller.abort();
+    }
+  });
+
+  assert.equal(runs, 4);
+  assert.deepEqual(delays, [200, 400, 100, 200]);
+});
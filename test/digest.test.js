@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDigestTime, buildDigest, formatDigestEmbed, lastScheduledDate, createDigestScheduler, sendDigest } = require('../src/digest');
+const { createTickerResolver } = require('../src/tickers');
+const { startDiscordServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const HOUR = 3600000;
+// Monday 2025-01-06 17:00 in New York
+const END = Date.parse('2025-01-06T22:00:00Z');
+
+const record = (hoursBeforeEnd, fields) => ({
+  id: `id-${hoursBeforeEnd}`,
+  postedAt: END - hoursBeforeEnd * HOUR,
+  original: { time: '', sentiment: 'Neutral', summary: 'Summary', fullTweet: '', tickers: [], sector: '—', sourceUrl: '', ...fields }
+});
+
+const records = [
+  record(1, { sentiment: 'Bullish', summary: 'Chips rally', tickers: ['NVDA', 'AMD', 'US'], sector: 'Technology' }),
+  record(3, { sentiment: 'Bearish', summary: 'Oil slides', tickers: ['XOM'], sector: 'Energy', sourceUrl: 'https://example.com/oil' }),
+  record(5, { sentiment: 'Bullish', summary: 'Nvidia again', tickers: ['NVDA'], sector: 'Technology, Semiconductors' }),
+  record(8, { summary: 'Quiet statement' }),
+  // The day before
+  record(30, { sentiment: 'Bearish', tickers: ['NVDA'], sector: 'Technology' }),
+  // Seen but never posted, and too old
+  { ...record(2, { tickers: ['TSLA'] }), postedAt: null },
+  record(60, { tickers: ['TSLA'] })
+];
+
+test('parseDigestTime', () => {
+  assert.equal(parseDigestTime('17:00'), 1020);
+  assert.equal(parseDigestTime('7:05'), 425);
+  assert.throws(() => parseDigestTime('5pm'), /expected "HH:MM"/);
+  assert.throws(() => parseDigestTime('24:00'), /expected "HH:MM"/);
+});
+
+test('buildDigest aggregates the period and compares it with the one before', () => {
+  const digest = buildDigest(records, { period: 'daily', end: END, top: 2 });
+
+  assert.equal(digest.count, 4);
+  assert.equal(digest.previousCount, 1);
+  assert.deepEqual(digest.sentiment, [
+    { sentiment: 'bullish', count: 2, previous: 0 },
+    { sentiment: 'bearish', count: 1, previous: 1 },
+    { sentiment: 'neutral', count: 1, previous: 0 },
+    { sentiment: 'other', count: 0, previous: 0 }
+  ]);
+  // "US" is on the stop-list
+  assert.deepEqual(digest.tickers, [
+    { name: 'NVDA', count: 2, previous: 1 },
+    { name: 'AMD', count: 1, previous: 0 }
+  ]);
+  assert.deepEqual(digest.sectors, [
+    { name: 'Technology', count: 2, previous: 1 },
+    { name: 'Energy', count: 1, previous: 0 }
+  ]);
+  // The two biggest posts, oldest first
+  assert.deepEqual(digest.timeline.map((t) => t.summary), ['Nvidia again', 'Chips rally']);
+
+  assert.equal(buildDigest(records, { period: 'weekly', end: END }).count, 6);
+});
+
+test('formatDigestEmbed', () => {
+  const tickers = createTickerResolver({ symbols: { NVDA: { exchange: 'NASDAQ', name: 'NVIDIA Corp.' } } });
+  const [embed] = formatDigestEmbed(buildDigest(records, { period: 'daily', end: END, tickers }), { tickers }).embeds;
+
+  assert.equal(embed.title, '📊 Daily digest: Jan 6, 2025');
+  assert.equal(embed.description, '**4** item(s) posted, +3 vs the previous day.');
+  assert.deepEqual(embed.fields.map((f) => f.name), ['Sentiment', 'Top tickers', 'Top sectors', 'Biggest posts']);
+  assert.equal(embed.fields[0].value, '🟢 Bullish: 2 (+2)\n🔴 Bearish: 1 (±0)\n⚪ Neutral: 1 (+1)');
+  assert.match(embed.fields[1].value, /^\[\$NVDA\]\(https:\/\/www\.tradingview\.com\/chart\/\?symbol=NASDAQ%3ANVDA\) NVIDIA Corp\.: 2 \(\+1\)\n/);
+  assert.match(embed.fields[3].value, /`12:00` 🟢 Nvidia again \$NVDA/);
+  assert.match(embed.fields[3].value, /`14:00` 🔴 \[Oil slides\]\(https:\/\/example\.com\/oil\) \$XOM/);
+
+  const [weekly] = formatDigestEmbed(buildDigest([], { period: 'weekly', end: END })).embeds;
+  assert.equal(weekly.title, '📊 Weekly digest: Dec 30 – Jan 6, 2025');
+  assert.equal(weekly.description, 'No items were posted (0 in the previous week).');
+  assert.deepEqual(weekly.fields, []);
+});
+
+test('lastScheduledDate', () => {
+  const schedule = { time: 17 * 60, weekday: 'fri' };
+  // Monday 16:59 and 17:00 in New York
+  assert.equal(lastScheduledDate('daily', new Date('2025-01-06T21:59:00Z'), schedule), '2025-01-05');
+  assert.equal(lastScheduledDate('daily', new Date('2025-01-06T22:00:00Z'), schedule), '2025-01-06');
+  assert.equal(lastScheduledDate('weekly', new Date('2025-01-06T22:00:00Z'), schedule), '2025-01-03');
+  // Friday before and after 17:00
+  assert.equal(lastScheduledDate('weekly', new Date('2025-01-10T21:00:00Z'), schedule), '2025-01-03');
+  assert.equal(lastScheduledDate('weekly', new Date('2025-01-10T22:30:00Z'), schedule), '2025-01-10');
+});
+
+test('scheduled digests go out once per period', async (t) => {
+  const discord = await startDiscordServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+  t.after(async () => {
+    await discord.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const options = { filePath: path.join(dir, 'digests.json'), schedule: ['daily', 'weekly'], time: 17 * 60, weekday: 'fri' };
+  const scheduler = createDigestScheduler(options);
+  const monday = new Date(END);
+  assert.deepEqual(scheduler.due(monday), [
+    { period: 'daily', key: '2025-01-06' },
+    { period: 'weekly', key: '2025-01-03' }
+  ]);
+
+  for (const { period, key } of scheduler.due(monday)) {
+    await sendDigest(records, { period, webhookUrl: discord.webhookUrl(1), top: 3, end: END });
+    scheduler.markSent(period, key);
+  }
+  assert.equal(discord.posts().length, 2);
+  assert.match(discord.posts()[0].body.embeds[0].title, /Daily digest/);
+
+  // Remembered across restarts
+  const restarted = createDigestScheduler(options);
+  assert.deepEqual(restarted.due(monday), []);
+  assert.deepEqual(restarted.due(new Date(END + 24 * HOUR)), [{ period: 'daily', key: '2025-01-07' }]);
+});
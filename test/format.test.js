@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoChunks, buildTickerLinks, joinTickerLinks, isolateLtr, formatMessage } = require('../src/format');
+const { EMBED_LIMITS, buildEmbedMessage, fitToTotalLimit } = require('../src/embed');
+const { createTickerResolver } = require('../src/tickers');
+const { formatTelegramMessages } = require('../src/sinks/telegram');
+
+test('splitIntoChunks', async (t) => {
+  await t.test('returns short text as a single chunk', () => {
+    assert.deepEqual(splitIntoChunks('hello'), ['hello']);
+    assert.deepEqual(splitIntoChunks('x'.repeat(1990)), ['x'.repeat(1990)]);
+  });
+
+  await t.test('prefers newlines, then spaces, as break points', () => {
+    const lines = `${'a'.repeat(80)}\n${'b'.repeat(30)}`;
+    assert.deepEqual(splitIntoChunks(lines, 100), ['a'.repeat(80), 'b'.repeat(30)]);
+
+    const words = `${'word '.repeat(30)}end`;
+    const chunks = splitIntoChunks(words, 50);
+    assert.ok(chunks.every((c) => c.length <= 50));
+    assert.ok(chunks.every((c) => !c.startsWith(' ') && !c.endsWith(' ')));
+    assert.equal(chunks.join(' '), words);
+  });
+
+  await t.test('hard-splits text without break points', () => {
+    const chunks = splitIntoChunks('x'.repeat(250), 100);
+    assert.deepEqual(chunks.map((c) => c.length), [100, 100, 50]);
+  });
+
+  await t.test('ignores break points too early in the chunk', () => {
+    // A newline at 10% would make a tiny chunk; split at the limit instead
+    const chunks = splitIntoChunks(`${'a'.repeat(10)}\n${'b'.repeat(150)}`, 100);
+    assert.equal(chunks[0].length, 100);
+  });
+});
+
+test('buildTickerLinks', async (t) => {
+  const links = (tickers, options) => joinTickerLinks(buildTickerLinks(tickers, options));
+
+  await t.test('links each ticker once, with embeds suppressed by default', () => {
+    assert.equal(
+      links(['aapl', 'AAPL', ' msft ']),
+      '[$AAPL](<https://www.tradingview.com/chart/?symbol=AAPL>), [$MSFT](<https://www.tradingview.com/chart/?symbol=MSFT>)'
+    );
+  });
+
+  await t.test('can leave URLs bare for embeds', () => {
+    assert.equal(links(['BRK.B'], { suppressEmbeds: false }), '[$BRK.B](https://www.tradingview.com/chart/?symbol=BRK.B)');
+  });
+
+  await t.test('drops invalid symbols (stop-listed words are gone before rendering)', () => {
+    assert.deepEqual(buildTickerLinks(['not a ticker', '', null]), []);
+    assert.deepEqual(buildTickerLinks(undefined), []);
+  });
+
+  await t.test('isolates labels in right-to-left text', () => {
+    assert.equal(links(['TSLA'], { rtl: true }), `[${isolateLtr('$TSLA')}](<https://www.tradingview.com/chart/?symbol=TSLA>)`);
+  });
+
+  await t.test('shows company names and extra link targets, one ticker per line', () => {
+    const resolver = createTickerResolver({
+      symbols: { AAPL: { exchange: 'NASDAQ', name: 'Apple Inc.', type: 'stock' } },
+      links: ['tradingview', 'yahoo']
+    });
+    assert.equal(
+      links(['AAPL', 'XYZ'], { resolver, suppressEmbeds: false }),
+      '[$AAPL](https://www.tradingview.com/chart/?symbol=NASDAQ%3AAAPL) Apple Inc. ([Yahoo](https://finance.yahoo.com/quote/AAPL))\n' +
+        '[$XYZ](https://www.tradingview.com/chart/?symbol=XYZ) ([Yahoo](https://finance.yahoo.com/quote/XYZ))'
+    );
+  });
+});
+
+test('publication times render as Discord timestamp tags, spelled out for Telegram', () => {
+  const item = { time: '11:15 AM', sentiment: 'Bullish', summary: 'Summary', fullTweet: 'Tweet', tickers: [], sector: '—' };
+  const publishedAt = Date.parse('2025-01-02T16:15:00Z');
+
+  assert.match(formatMessage({ ...item, publishedAt })[0], /^<t:1735834500:F> · <t:1735834500:R> \(🟢 \*\*Bullish\*\*\)$/m);
+  assert.match(formatMessage(item)[0], /^`11:15 AM` \(🟢 \*\*Bullish\*\*\)$/m);
+
+  const [embed] = buildEmbedMessage({ ...item, publishedAt }).embeds;
+  assert.equal(embed.timestamp, '2025-01-02T16:15:00.000Z');
+  assert.deepEqual(embed.fields.find((f) => f.name === 'Posted'), { name: 'Posted', value: '<t:1735834500:F>\n<t:1735834500:R>', inline: true });
+  assert.equal(embed.footer, undefined);
+  // Without one, the display string is kept in the footer
+  assert.deepEqual(buildEmbedMessage(item).embeds[0].footer, { text: '11:15 AM' });
+
+  // Telegram spells the time out, in New York time and UTC
+  assert.match(formatTelegramMessages({ ...item, publishedAt })[0], /^<code>2025-01-02 11:15 ET \(16:15 UTC\)<\/code> \(🟢 <b>Bullish<\/b>\)$/m);
+  assert.match(formatTelegramMessages(item)[0], /^<code>11:15 AM<\/code>/m);
+  // Summer time in New York
+  assert.match(formatTelegramMessages({ ...item, publishedAt: Date.parse('2025-07-01T13:30:00Z') }, { parseMode: 'MarkdownV2' })[0], /`2025\\-07\\-01 09:30 ET \\\(13:30 UTC\\\)`/);
+});
+
+test('an embed too long without any tweet left still ends up within the total limit', () => {
+  const embed = fitToTotalLimit({
+    title: 'Title',
+    description: 'Summary',
+    footer: { text: 'f'.repeat(7000) },
+    fields: [{ name: 'Sector', value: 's'.repeat(1024), inline: true }]
+  });
+
+  assert.ok(embed.title.length + embed.description.length + embed.footer.text.length + 6 + 1024 <= EMBED_LIMITS.total);
+  assert.equal(embed.description, '…');
+  assert.equal(embed.fields.length, 1);
+  assert.ok(embed.footer.text.endsWith('…'));
+});
@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGeminiProvider } = require('../src/translators/gemini');
+const { KeyPoolExhaustedError, rateLimitCooldownMs, createKeyPool } = require('../src/translators/keyPool');
+const { createTranslationChain } = require('../src/translators');
+const { createTranslationCache } = require('../src/translationCache');
+const { startGeminiServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+test('key pool', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-pool-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // A clock that moves one second per call unless set, and a wait that just moves it
+  const createClock = (start = Date.UTC(2026, 0, 15, 18, 0, 0)) => {
+    const clock = { at: start, waited: [] };
+    clock.now = () => (clock.at += 1000);
+    clock.wait = async (ms) => {
+      clock.waited.push(ms);
+      clock.at += ms;
+    };
+    return clock;
+  };
+
+  await t.test('takes the least recently used key when all have the same quota left', async () => {
+    const clock = createClock();
+    const pool = createKeyPool(['a', 'b', 'c'], { now: clock.now });
+    const picked = [];
+    for (let i = 0; i < 4; i++) picked.push(await pool.acquire());
+    assert.deepEqual(picked, [0, 1, 2, 0]);
+  });
+
+  await t.test('prefers the key with the most quota left, counting earlier runs', async () => {
+    const clock = createClock();
+    const filePath = path.join(dir, 'weighted.json');
+    const previous = createKeyPool(['key-a'], { filePath, now: clock.now });
+    for (let i = 0; i < 3; i++) await previous.acquire();
+
+    const pool = createKeyPool(['key-a', 'key-b'], { filePath, limits: { rpd: 10 }, now: clock.now });
+    const picked = [];
+    for (let i = 0; i < 4; i++) picked.push(await pool.acquire());
+    assert.deepEqual(picked, [1, 1, 1, 0]);
+
+    // Only fingerprints are stored
+    const saved = fs.readFileSync(filePath, 'utf8');
+    assert.doesNotMatch(saved, /key-a|key-b/);
+    assert.equal(Object.keys(JSON.parse(saved).keys).length, 2);
+  });
+
+  await t.test('waits for a key when the per-minute quota is used up, or skips', async () => {
+    const clock = createClock();
+    const pool = createKeyPool(['a'], { limits: { rpm: 2 }, now: clock.now, wait: clock.wait });
+    await pool.acquire();
+    await pool.acquire();
+    assert.equal(await pool.acquire(), 0);
+    assert.equal(clock.waited.length, 1);
+    assert.ok(clock.waited[0] > 0 && clock.waited[0] <= 60000);
+
+    const skipping = createKeyPool(['a'], { limits: { rpm: 1 }, whenExhausted: 'skip', now: clock.now, wait: clock.wait });
+    await skipping.acquire();
+    await assert.rejects(skipping.acquire(), KeyPoolExhaustedError);
+
+    // Waiting longer than maxWaitMs skips as well
+    const impatient = createKeyPool(['a'], { limits: { rpd: 1 }, maxWaitMs: 60000, now: clock.now, wait: clock.wait });
+    await impatient.acquire();
+    await assert.rejects(impatient.acquire(), /out of quota \(next one frees up in \d+s\), skipping Gemini/);
+  });
+
+  await t.test('cools a rate-limited key down for as long as the 429 says', async () => {
+    const clock = createClock();
+    const pool = createKeyPool(['a', 'b'], { now: clock.now, wait: clock.wait });
+    const retryInfo = (delay) => ({ errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: delay }] });
+
+    pool.recordRateLimit(0, retryInfo('30s'));
+    assert.equal(pool.isCoolingDown(0), true);
+    assert.deepEqual([await pool.acquire(), await pool.acquire()], [1, 1]);
+
+    clock.at += 30000;
+    assert.equal(pool.isCoolingDown(0), false);
+    assert.equal(await pool.acquire(), 0);
+
+    pool.recordRateLimit(1, retryInfo('5s'));
+    pool.recordRateLimit(0, retryInfo('10s'));
+    assert.equal(await pool.acquire(), 1);
+    assert.ok(clock.waited.at(-1) > 0 && clock.waited.at(-1) <= 5000);
+  });
+
+  await t.test('rateLimitCooldownMs', () => {
+    const now = Date.UTC(2026, 0, 15, 20, 0, 0); // 12:00 in Los Angeles
+    assert.equal(rateLimitCooldownMs({ errorDetails: [{ retryDelay: '34s' }] }, now, 60000), 34000);
+    assert.equal(rateLimitCooldownMs({ message: '[429] Quota exceeded. Please retry in 12.3s.' }, now, 60000), 12300);
+    assert.equal(rateLimitCooldownMs({ message: '[429] Too Many Requests' }, now, 60000), 60000);
+    const daily = { errorDetails: [{ violations: [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }] }] };
+    assert.equal(rateLimitCooldownMs(daily, now, 60000), 12 * 3600000);
+  });
+
+  await t.test('daily counts start over at midnight Pacific time', async () => {
+    const clock = createClock(Date.UTC(2026, 0, 16, 7, 59, 0)); // 23:59 in Los Angeles
+    const pool = createKeyPool(['a'], { limits: { rpd: 1 }, whenExhausted: 'skip', now: clock.now });
+    await pool.acquire();
+    await assert.rejects(pool.acquire(), KeyPoolExhaustedError);
+
+    clock.at += 60000;
+    assert.equal(await pool.acquire(), 0);
+    assert.equal(pool.report()[0].requestsToday, 1);
+  });
+
+  await t.test('reports usage per key without the key itself', async () => {
+    const clock = createClock();
+    const pool = createKeyPool(['secret-key'], { limits: { rpm: 15, rpd: 1000 }, now: clock.now });
+    await pool.acquire();
+    pool.recordSuccess(0, 420);
+
+    assert.deepEqual(pool.report()[0], {
+      key: '#1',
+      requestsLastMinute: 1,
+      tokensLastMinute: 420,
+      requestsToday: 1,
+      coolingDownForMs: 0,
+      totals: { requests: 1, tokens: 420, rateLimited: 0, failures: 0 }
+    });
+    assert.deepEqual(pool.formatReport(), [
+      '🔑 Gemini key #1: 1/15 req/min, 420 tokens/min, 1/1000 req today (total 1 req, 420 tokens, 0 rate-limited, 0 failed)'
+    ]);
+  });
+});
+
+test('Gemini provider against a local Gemini stand-in', async (t) => {
+  const gemini = await startGeminiServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-test-'));
+  t.after(async () => {
+    await gemini.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createTranslator = (name, options = {}) => {
+    const cache = createTranslationCache({ filePath: path.join(dir, `${name}.json`), maxEntries: 100, maxAgeMs: 3600000 });
+    const provider = createGeminiProvider({
+      apiKeys: ['key-a', 'key-b'],
+      modelName: 'test-model',
+      minDelayMs: 0,
+      rateLimitRetryDelayMs: 0,
+      baseUrl: gemini.url,
+      ...options
+    });
+    return { ...createTranslationChain({ providers: [provider], cache }), keys: provider.keys };
+  };
+
+  const reset = (...failures) => {
+    gemini.state.requests.length = 0;
+    gemini.state.failures.splice(0, Infinity, ...failures);
+    gemini.state.poison.length = 0;
+    gemini.state.omit.length = 0;
+  };
+
+  await t.test('translates in batches and serves repeats from the cache', async () => {
+    reset();
+    const translator = createTranslator('batches', { batchSize: 2 });
+
+    const out = await translator.translateSummaries(['one', 'two', 'one', 'three'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] one', '[Hebrew] two', '[Hebrew] one', '[Hebrew] three']);
+    assert.equal(gemini.state.requests.length, 2);
+    assert.match(gemini.state.requests[0].path, /\/models\/test-model:generateContent$/);
+    assert.equal(gemini.state.requests[0].generationConfig.responseMimeType, 'application/json');
+    assert.deepEqual(gemini.state.requests[0].generationConfig.responseSchema.required, ['translations']);
+
+    const again = await translator.translateSummaries(['three'], 'Hebrew');
+    assert.deepEqual(again, ['[Hebrew] three']);
+    assert.equal(gemini.state.requests.length, 2);
+  });
+
+  await t.test('rotates to the next key on 429', async () => {
+    reset('429');
+    const translator = createTranslator('rotation');
+
+    const out = await translator.translateSummaries(['hello'], 'Arabic');
+    assert.deepEqual(out, ['[Arabic] hello']);
+    assert.deepEqual(gemini.state.requests.map((r) => r.apiKey), ['key-a', 'key-b']);
+    assert.equal(translator.keys.isCoolingDown(0), true);
+    assert.equal(translator.keys.isCoolingDown(1), false);
+  });
+
+  await t.test('waits out a short rate limit when every key is limited', async () => {
+    reset('429:0.05s', '429:0.05s');
+    const translator = createTranslator('wait');
+
+    assert.deepEqual(await translator.translateSummaries(['hello'], 'Hebrew'), ['[Hebrew] hello']);
+    assert.deepEqual(gemini.state.requests.map((r) => r.apiKey), ['key-a', 'key-b', 'key-a']);
+  });
+
+  await t.test('skips Gemini when every key is out of quota for the day', async () => {
+    reset('429:daily', '429:daily');
+    const translator = createTranslator('exhausted');
+
+    assert.equal(await translator.translateSummaries(['hello'], 'Hebrew'), null);
+    assert.equal(gemini.state.requests.length, 2);
+    assert.equal(translator.keys.report()[0].totals.rateLimited, 1);
+  });
+
+  await t.test('gives up after repeated short 429s on every key', async () => {
+    reset(...Array(6).fill('429:0.01s'));
+    const translator = createTranslator('repeated');
+
+    assert.equal(await translator.translateSummaries(['hello'], 'Hebrew'), null);
+    assert.equal(gemini.state.requests.length, 6);
+  });
+
+  await t.test('falls back on 5xx without retrying', async () => {
+    reset('503');
+    const translator = createTranslator('unavailable');
+
+    assert.equal(await translator.translateSummaries(['hello'], 'Hebrew'), null);
+    assert.equal(gemini.state.requests.length, 1);
+  });
+
+  await t.test('falls back on malformed model output and truncated responses', async () => {
+    reset('malformed');
+    assert.equal(await createTranslator('malformed').translateSummaries(['hello'], 'Hebrew'), null);
+
+    reset('truncated');
+    assert.equal(await createTranslator('truncated').translateSummaries(['hello'], 'Hebrew'), null);
+  });
+
+  await t.test('keeps batches that succeeded when a later batch fails', async () => {
+    reset(undefined, '500');
+    const translator = createTranslator('partial', { batchSize: 1 });
+
+    const out = await translator.translateSummaries(['first', 'second'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] first', null]);
+  });
+
+  await t.test('splits a batch with a bad item until only that item fails', async () => {
+    reset();
+    gemini.state.poison.push('three');
+    const translator = createTranslator('poison', { batchSize: 4 });
+
+    const out = await translator.translateSummaries(['one', 'two', 'three', 'four'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] one', '[Hebrew] two', null, '[Hebrew] four']);
+    // 4 items -> [one two] ok + [three four] bad -> [three] bad + [four] ok
+    assert.equal(gemini.state.requests.length, 5);
+  });
+
+  await t.test('sends items left out of the answer again on their own', async () => {
+    reset();
+    gemini.state.omit.push('two');
+    const translator = createTranslator('omitted', { batchSize: 3 });
+
+    const out = await translator.translateSummaries(['one', 'two', 'three'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] one', null, '[Hebrew] three']);
+    assert.equal(gemini.state.requests.length, 2);
+  });
+});
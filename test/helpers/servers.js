@@ -0,0 +1,236 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { mock } = require('node:test');
+
+// Local stand-ins for TipRanks, Discord webhooks and the translation APIs, so tests never leave the machine.
+// Each stand-in takes a queue of scripted failures ("429", "500", "malformed"); once the queue is
+// empty it answers normally. Every request is recorded for assertions.
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+const listen = async (handler) => {
+  const server = http.createServer((req, res) => {
+    handler(req, res).catch((err) => {
+      res.writeHead(500);
+      res.end(String(err?.message || err));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      // Requests left hanging on purpose would keep the server open
+      server.closeAllConnections();
+    })
+  };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+// Serves the recorded dashboard page at /dashboard and the payload at /payload.json.
+// `payload` can be swapped between runs to simulate upstream corrections.
+const startTipRanksServer = async ({ payload = JSON.parse(readFixture('payload.json')) } = {}) => {
+  const state = { payload, failures: [], requests: [] };
+  const html = readFixture('dashboard.html');
+
+  const server = await listen(async (req, res) => {
+    state.requests.push({ method: req.method, path: req.url });
+    const failure = req.url.startsWith('/payload.json') ? state.failures.shift() : null;
+
+    if (failure === 'malformed') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"TrumpDashboard": {"data": {"list": [');
+    } else if (failure) {
+      sendJson(res, Number(failure), { error: 'scripted failure' });
+    } else if (req.url.startsWith('/payload.json')) {
+      sendJson(res, 200, state.payload);
+    } else if (req.url.startsWith('/dashboard')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  return { ...server, state, siteUrl: `${server.url}/dashboard`, payloadUrl: `${server.url}/payload.json` };
+};
+
+// Discord webhook stand-in: POST ?wait=true returns a message with an ID, PATCH/DELETE on
+// /messages/:id edit and delete. Scripted "429" answers carry retry_after like Discord does;
+// "hang" never answers, like a webhook call cut off by a crash.
+const startDiscordServer = async () => {
+  const state = { failures: [], requests: [], nextId: 1000 };
+
+  const server = await listen(async (req, res) => {
+    const text = await readBody(req);
+    const body = text ? JSON.parse(text) : null;
+    state.requests.push({ method: req.method, path: req.url, body });
+
+    const failure = state.failures.shift();
+    if (failure === '429') return sendJson(res, 429, { message: 'You are being rate limited.', retry_after: 0.01, global: false });
+    if (failure === 'malformed') return sendJson(res, 200, '{"id": ');
+    if (failure === 'hang') return;
+    if (failure) return sendJson(res, Number(failure), { message: 'scripted failure' });
+
+    if (req.method === 'DELETE') {
+      res.writeHead(204);
+      return res.end();
+    }
+    const edited = req.url.match(/\/messages\/(\d+)/);
+    const id = edited ? edited[1] : String(state.nextId++);
+    return sendJson(res, 200, { id, ...body });
+  });
+
+  const webhookUrl = (n) => `${server.url}/api/webhooks/${n}/token${n}`;
+  const posts = () => state.requests.filter((r) => r.method === 'POST');
+
+  return { ...server, state, webhookUrl, posts };
+};
+
+const promptItems = (prompt) => JSON.parse(prompt.slice(prompt.indexOf('Input JSON:\n') + 'Input JSON:\n'.length)).items;
+
+// Answer a translation prompt the way a well-behaved model would: "[Language] text" per item ID.
+// Texts listed in state.poison make the model answer garbage for any batch that contains
+// them; texts in state.omit are silently left out of the answer.
+const translatePrompt = (prompt, state) => {
+  const language = prompt.match(/texts to (.+?)\.\n/)[1];
+  const items = promptItems(prompt);
+  if (items.some((item) => state.poison.includes(item.text))) return null;
+  return items
+    .filter((item) => !state.omit.includes(item.text))
+    .map((item) => ({ id: item.id, text: `[${language}] ${item.text}` }))
+    .reverse(); // IDs, not positions, tie answers to items
+};
+
+// Answer a market-impact prompt: the item's own tickers and sector, its sentiment as the
+// direction and "Impact of: <summary>" as the rationale. state.poison and state.omit work on summaries.
+const analyzePrompt = (prompt, state) => {
+  const items = promptItems(prompt);
+  if (items.some((item) => state.poison.includes(item.summary))) return null;
+  return items
+    .filter((item) => !state.omit.includes(item.summary))
+    .map((item) => ({
+      id: item.id,
+      tickers: item.tickers,
+      sectors: item.sector && item.sector !== '—' ? [item.sector] : [],
+      direction: /^(bullish|bearish)$/i.test(item.sentiment) ? item.sentiment.toLowerCase() : 'neutral',
+      confidence: 'medium',
+      rationale: `Impact of: ${item.summary}`
+    }));
+};
+
+// Gemini generateContent stand-in. Translates by prefixing each input text with the target
+// language, e.g. "[Hebrew] Stocks up", and answers market-impact prompts with analyzePrompt.
+// Records which API key each call used.
+// "429" asks to retry in 30s, "429:0.05s" in the given time, "429:daily" means the per-day quota is used up
+const rateLimitError = (failure) => {
+  const [, arg = '30s'] = failure.split(':');
+  const details = arg === 'daily'
+    ? [{ '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }] }]
+    : [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: arg }];
+  return { error: { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED', details } };
+};
+
+const startGeminiServer = async () => {
+  const state = { failures: [], requests: [], poison: [], omit: [] };
+
+  const server = await listen(async (req, res) => {
+    const text = await readBody(req);
+    const apiKey = req.headers['x-goog-api-key'];
+    const body = JSON.parse(text);
+    state.requests.push({ method: req.method, path: req.url, apiKey, generationConfig: body.generationConfig });
+
+    const failure = state.failures.shift();
+    if (failure?.startsWith('429')) return sendJson(res, 429, rateLimitError(failure));
+    if (failure === 'malformed') return sendJson(res, 200, { candidates: [{ content: { parts: [{ text: 'Sorry, I cannot help with that.' }], role: 'model' } }] });
+    if (failure === 'truncated') return sendJson(res, 200, '{"candidates": [');
+    if (failure) return sendJson(res, Number(failure), { error: { code: Number(failure), message: 'The model is overloaded.', status: 'UNAVAILABLE' } });
+
+    const prompt = body.contents[0].parts[0].text;
+    let answer;
+    if (prompt.startsWith('Assess the likely')) {
+      const impacts = analyzePrompt(prompt, state);
+      answer = impacts && JSON.stringify({ impacts });
+    } else {
+      const translations = translatePrompt(prompt, state);
+      answer = translations && JSON.stringify({ translations });
+    }
+
+    return sendJson(res, 200, {
+      candidates: [{ content: { parts: [{ text: answer ?? '{"results": [{"id": "t1", "te' }], role: 'model' }, finishReason: answer ? 'STOP' : 'MAX_TOKENS' }]
+    });
+  });
+
+  return { ...server, state };
+};
+
+// OpenAI-compatible /v1/chat/completions, as served by local LLM servers
+const startOpenAiServer = async () => {
+  const state = { failures: [], requests: [], poison: [], omit: [] };
+
+  const server = await listen(async (req, res) => {
+    const body = JSON.parse(await readBody(req));
+    state.requests.push({ method: req.method, path: req.url, authorization: req.headers.authorization, body });
+
+    const failure = state.failures.shift();
+    if (failure === 'malformed') return sendJson(res, 200, { choices: [{ message: { role: 'assistant', content: 'I cannot do that.' } }] });
+    if (failure) return sendJson(res, Number(failure), { error: { message: 'Model not loaded' } });
+
+    const translations = translatePrompt(body.messages.at(-1).content, state) ?? 'I cannot translate this.';
+    return sendJson(res, 200, {
+      choices: [{ index: 0, message: { role: 'assistant', content: `\`\`\`json\n${JSON.stringify({ translations })}\n\`\`\`` }, finish_reason: 'stop' }]
+    });
+  });
+
+  return { ...server, state };
+};
+
+// LibreTranslate /translate with a list of texts; translations are "[code] text"
+const startLibreTranslateServer = async () => {
+  const state = { failures: [], requests: [] };
+
+  const server = await listen(async (req, res) => {
+    const body = JSON.parse(await readBody(req));
+    state.requests.push({ method: req.method, path: req.url, body });
+
+    const failure = state.failures.shift();
+    if (failure) return sendJson(res, Number(failure), { error: 'Slow down' });
+
+    return sendJson(res, 200, { translatedText: body.q.map((text) => `[${body.target}] ${text}`) });
+  });
+
+  return { ...server, state };
+};
+
+// The bot logs generously; keep test output readable
+const silenceConsole = () => {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  readFixture,
+  startTipRanksServer,
+  startDiscordServer,
+  startGeminiServer,
+  startOpenAiServer,
+  startLibreTranslateServer,
+  silenceConsole
+};
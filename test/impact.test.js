@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IMPACT_SCHEMA, parseImpacts, createImpactAnalyzer } = require('../src/impact');
+const { createGeminiProvider } = require('../src/translators/gemini');
+const { formatMessage } = require('../src/format');
+const { buildEmbedMessage } = require('../src/embed');
+const { formatTelegramMessages } = require('../src/sinks/telegram');
+const { formatSlackMessages } = require('../src/sinks/slack');
+const { createBot } = require('../bot');
+const { loadConfig } = require('../src/config');
+const { startTipRanksServer, startDiscordServer, startGeminiServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const item = {
+  time: '10:00',
+  sentiment: 'Bearish',
+  summary: 'Oil slides on supply news',
+  fullTweet: 'We will pump more!',
+  tickers: ['XOM'],
+  sector: 'Energy'
+};
+const impact = { direction: 'bearish', confidence: 'high', tickers: ['XOM', 'CVX'], sectors: ['Energy'], rationale: 'More supply weighs on prices.' };
+
+test('parseImpacts', () => {
+  const text = JSON.stringify({
+    impacts: [
+      { id: 'i2', tickers: ['$cvx', 'not a ticker'], sectors: ['Energy', 'Energy'], direction: 'Bullish', confidence: 'sure', rationale: ' Up. ' },
+      { id: 'i1', tickers: [], sectors: [], direction: 'sideways', confidence: 'low', rationale: 'Unknown direction.' }
+    ]
+  });
+  assert.deepEqual(parseImpacts(text, 2), [
+    null,
+    { direction: 'bullish', confidence: null, tickers: ['CVX'], sectors: ['Energy'], rationale: 'Up.' }
+  ]);
+
+  assert.throws(() => parseImpacts('Sorry, no.', 1), { name: 'TranslationOutputError' });
+  assert.throws(() => parseImpacts('{"impacts": []}', 1), /no usable impact notes/);
+});
+
+test('impact analyzer', async (t) => {
+  const gemini = await startGeminiServer();
+  t.after(() => gemini.close());
+
+  const analyzer = createImpactAnalyzer({
+    provider: createGeminiProvider({ apiKeys: ['key-a'], modelName: 'test-model', batchSize: 4, minDelayMs: 0, baseUrl: gemini.url })
+  });
+  const items = ['One', 'Two', 'Three'].map((summary) => ({ ...item, summary }));
+
+  await t.test('asks for schema-constrained notes, one per item', async () => {
+    const impacts = await analyzer.analyze(items);
+    assert.equal(gemini.state.requests.length, 1);
+    assert.deepEqual(gemini.state.requests[0].generationConfig.responseSchema, IMPACT_SCHEMA);
+    assert.deepEqual(impacts[1], { direction: 'bearish', confidence: 'medium', tickers: ['XOM'], sectors: ['Energy'], rationale: 'Impact of: Two' });
+  });
+
+  await t.test('an item the model chokes on is isolated and goes out without a note', async () => {
+    gemini.state.requests.length = 0;
+    gemini.state.poison.push('Two');
+    const impacts = await analyzer.analyze(items);
+    gemini.state.poison.length = 0;
+
+    assert.deepEqual(impacts.map((i) => i?.rationale ?? null), ['Impact of: One', null, 'Impact of: Three']);
+    // [One, Two, Three] -> [One, Two] -> [One], [Two]; [Three]
+    assert.equal(gemini.state.requests.length, 5);
+  });
+
+  await t.test('never throws when Gemini is down', async () => {
+    gemini.state.failures.push('503');
+    assert.deepEqual(await analyzer.analyze(items), [null, null, null]);
+  });
+});
+
+test('every destination renders the note as its own section', () => {
+  const text = formatMessage({ ...item, impact })[0];
+  assert.match(text, /💬 We will pump more!\n\n\*\*🤖 AI market impact:\*\* 🔴 Bearish, high confidence\n\$XOM \$CVX · Energy\n💡 More supply weighs on prices\.$/);
+  assert.doesNotMatch(formatMessage(item)[0], /AI market impact/);
+
+  const [embed] = buildEmbedMessage({ ...item, impact: { ...impact, direction: 'mixed', confidence: null, tickers: [], sectors: [] } }).embeds;
+  assert.deepEqual(embed.fields.at(-1), { name: '🤖 AI market impact', value: '🟡 Mixed\n💡 More supply weighs on prices.', inline: false });
+
+  const [telegram] = formatTelegramMessages({ ...item, impact });
+  assert.match(telegram, /<b>🤖 AI market impact:<\/b> 🔴 Bearish, high confidence\n\$XOM \$CVX · Energy\n💡 More supply weighs on prices\./);
+
+  const [slack] = formatSlackMessages({ ...item, impact });
+  assert.ok(slack.blocks.some((b) => b.text?.text.startsWith('*🤖 AI market impact:* 🔴 Bearish, high confidence\n')));
+});
+
+test('only destinations configured for it get a note, translated with the post', async (t) => {
+  const tipranks = await startTipRanksServer();
+  const discord = await startDiscordServer();
+  const gemini = await startGeminiServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'impact-test-'));
+  t.after(async () => {
+    await Promise.all([tipranks.close(), discord.close(), gemini.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    DISCORD_WEBHOOK_IMPACT_1: 'true',
+    DISCORD_WEBHOOK_URL_2: discord.webhookUrl(2),
+    ROUTING_RULES: JSON.stringify({ strategy: 'rules', rules: [{ match: {}, to: ['webhook1', 'webhook2'] }] }),
+    LOG_FILE: path.join(dir, 'processed.json'),
+    GEMINI_API_KEY_1: 'key-a',
+    GEMINI_BASE_URL: gemini.url,
+    GEMINI_MIN_DELAY_MS: '0',
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0'
+  };
+
+  await createBot(loadConfig(env)).run();
+
+  const posts = discord.posts();
+  const field = (post) => post.body.embeds[0].fields.find((f) => f.name === '🤖 AI market impact');
+  const trading = posts.filter((p) => p.path.startsWith('/api/webhooks/1/'));
+  assert.equal(trading.length, 4);
+  assert.ok(trading.every((p) => /^(🟢|🔴|⚪)/.test(field(p).value)));
+  assert.match(field(trading[0]).value, /💡 \[Hebrew\] Impact of: /);
+  assert.ok(posts.filter((p) => p.path.startsWith('/api/webhooks/2/')).every((p) => !field(p)));
+
+  // Without a translation provider, Gemini is still needed for the notes
+  assert.throws(
+    () => loadConfig({ ...env, GEMINI_API_KEY_1: '', TRANSLATION_PROVIDERS: 'none' }),
+    /Missing required \.env values: GEMINI_API_KEY_1/
+  );
+});
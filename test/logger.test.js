@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LEVELS, logger, configureLogger, withLogContext, redact } = require('../src/logger');
+
+// Capture what the logger writes, and restore the defaults after each test
+const capture = (t, options) => {
+  const lines = [];
+  configureLogger({ ...options, write: (line) => lines.push(line) });
+  t.after(() => configureLogger({
+    level: 'info',
+    format: 'pretty',
+    secrets: [],
+    write: (line, level) => (level >= LEVELS.warn ? console.error(line) : console.log(line))
+  }));
+  return lines;
+};
+
+test('levels below the configured one are dropped', (t) => {
+  const lines = capture(t, { level: 'warn', format: 'pretty' });
+
+  logger.debug('debug line');
+  logger.info('info line');
+  logger.warn('warn line');
+  logger.error('error line');
+
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^\d\d:\d\d:\d\d\.\d{3} WARN  warn line$/);
+  assert.match(lines[1], /ERROR error line$/);
+  assert.equal(logger.isDebugEnabled(), false);
+
+  assert.throws(() => configureLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
+
+test('json format writes one object per line with the context IDs', async (t) => {
+  const lines = capture(t, { level: 'info', format: 'json' });
+
+  await withLogContext({ runId: 'run1' }, async () => {
+    logger.info('\n📄 Reading items...');
+    await withLogContext({ itemId: 'abc123' }, async () => {
+      await new Promise((r) => setImmediate(r));
+      logger.warn('Posting failed', { destination: 'webhook1', error: new Error('boom') });
+    });
+  });
+  logger.info('outside');
+
+  const [first, second, third] = lines.map((line) => JSON.parse(line));
+  assert.equal(first.level, 'info');
+  assert.equal(first.runId, 'run1');
+  assert.equal(first.msg, '📄 Reading items...');
+  assert.ok(!Number.isNaN(Date.parse(first.time)));
+
+  assert.equal(second.runId, 'run1');
+  assert.equal(second.itemId, 'abc123');
+  assert.equal(second.destination, 'webhook1');
+  // Stacks are only included at debug level
+  assert.deepEqual(second.error, { message: 'boom' });
+
+  assert.equal(third.runId, undefined);
+});
+
+test('pretty format tags lines with the context IDs', (t) => {
+  const lines = capture(t, { level: 'debug', format: 'pretty' });
+
+  withLogContext({ runId: 'run1', itemId: 'abc123' }, () => logger.debug('Row 0: ✓ Matched', { chars: 42 }));
+
+  assert.match(lines[0], /DEBUG \[runId=run1 itemId=abc123\] Row 0: ✓ Matched chars=42$/);
+});
+
+test('webhook URLs, bot tokens and API keys are redacted', (t) => {
+  const lines = capture(t, { secrets: ['https://example.com/custom-hook/s3cr3t-path', 'short'] });
+
+  const discord = 'https://discord.com/api/webhooks/123456789012345678/AbC-dEf_123456789';
+  const slack = 'https://hooks.slack.com/services/T000/B000/XXXXXXXX';
+  const telegram = 'https://api.telegram.org/bot123456789:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw/sendMessage';
+  const geminiKey = `AIza${'x'.repeat(35)}`;
+
+  logger.error(`POST ${discord} failed`);
+  logger.info(`Using ${slack} and ${telegram}`);
+  logger.info(`Error fetching https://generativelanguage.googleapis.com/v1beta/models/m?key=abc123 with ${geminiKey}`);
+  logger.info('Sent to https://example.com/custom-hook/s3cr3t-path (short)');
+
+  assert.match(lines[0], /webhooks\/123456789012345678\/\[REDACTED\] failed$/);
+  assert.match(lines[1], /services\/\[REDACTED\] and https:\/\/api\.telegram\.org\/bot\[REDACTED\]\/sendMessage$/);
+  assert.match(lines[2], /\?key=\[REDACTED\] with \[REDACTED\]$/);
+  // Configured secrets are replaced wherever they appear; too-short ones are ignored
+  assert.match(lines[3], /Sent to \[REDACTED\] \(short\)$/);
+
+  assert.equal(redact('nothing secret here'), 'nothing secret here');
+});
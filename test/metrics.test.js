@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../src/metrics');
+const { evaluateHealth, startMetricsServer } = require('../src/metricsServer');
+const { silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+test('registry renders counters and gauges in Prometheus text format', () => {
+  const registry = createMetricsRegistry();
+  const posted = registry.counter('posted_total', 'Items posted', ['destination']);
+  const ratio = registry.gauge('match_ratio', 'Match ratio');
+
+  posted.inc({ destination: 'webhook1' });
+  posted.inc({ destination: 'webhook1' }, 2);
+  posted.inc({ destination: 'say "hi"\n' });
+  ratio.set({}, 0.75);
+
+  assert.equal(posted.get({ destination: 'webhook1' }), 3);
+  assert.equal(
+    registry.render(),
+    [
+      '# HELP posted_total Items posted',
+      '# TYPE posted_total counter',
+      'posted_total{destination="webhook1"} 3',
+      'posted_total{destination="say \\"hi\\"\\n"} 1',
+      '# HELP match_ratio Match ratio',
+      '# TYPE match_ratio gauge',
+      'match_ratio 0.75',
+      ''
+    ].join('\n')
+  );
+
+  assert.throws(() => posted.inc({ webhook: 'x' }), /has no label\(s\) webhook/);
+});
+
+test('evaluateHealth', () => {
+  const startedAt = Date.parse('2025-01-06T15:00:00Z');
+  const at = (iso) => ({ maxAgeMs: 3600000, now: Date.parse(iso) });
+
+  // A fresh start is healthy until maxAge passes without a successful run
+  assert.equal(evaluateHealth({ startedAt }, at('2025-01-06T15:30:00Z')).status, 'ok');
+  assert.equal(evaluateHealth({ startedAt }, at('2025-01-06T16:30:00Z')).status, 'stale');
+
+  const health = evaluateHealth(
+    { startedAt, lastRunAt: Date.parse('2025-01-06T17:00:00Z'), lastSuccessAt: Date.parse('2025-01-06T16:50:00Z'), lastError: 'boom' },
+    at('2025-01-06T17:00:00Z')
+  );
+  assert.deepEqual(health, {
+    status: 'ok',
+    startedAt: '2025-01-06T15:00:00.000Z',
+    lastRunAt: '2025-01-06T17:00:00.000Z',
+    lastSuccessAt: '2025-01-06T16:50:00.000Z',
+    lastError: 'boom'
+  });
+});
+
+test('metrics server exposes /healthz and /metrics', async (t) => {
+  const registry = createMetricsRegistry();
+  registry.counter('runs_total', 'Runs', ['result']).inc({ result: 'success' });
+  let healthy = true;
+
+  const server = await startMetricsServer({
+    port: 0,
+    host: '127.0.0.1',
+    registry,
+    health: () => ({ status: healthy ? 'ok' : 'stale' })
+  });
+  t.after(() => server.close());
+  const url = (p) => `http://127.0.0.1:${server.port}${p}`;
+
+  const metrics = await fetch(url('/metrics'));
+  assert.equal(metrics.status, 200);
+  assert.match(metrics.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.match(await metrics.text(), /^runs_total\{result="success"\} 1$/m);
+
+  assert.equal((await fetch(url('/healthz'))).status, 200);
+  healthy = false;
+  const stale = await fetch(url('/healthz'));
+  assert.equal(stale.status, 503);
+  assert.deepEqual(await stale.json(), { status: 'stale' });
+
+  assert.equal((await fetch(url('/nope'))).status, 404);
+  assert.equal((await fetch(url('/metrics'), { method: 'POST' })).status, 405);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const { createOutbox } = require('../src/outbox');
+const { createBot } = require('../bot');
+const { loadConfig } = require('../src/config');
+const { readFixture, startTipRanksServer, startDiscordServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// sendPart that posts into `posted` and fails for the part bodies listed in `failing`
+const destination = (failing = []) => {
+  const posted = [];
+  const sendPart = async (body) => {
+    if (failing.includes(body)) throw new Error(`cannot post ${body}`);
+    posted.push(body);
+    return `msg-${body}`;
+  };
+  return { posted, sendPart };
+};
+
+test('parts already sent are never sent again, across restarts', async (t) => {
+  const filePath = path.join(tempDir(t), 'outbox.json');
+  let now = 1000;
+  const options = { filePath, retryDelayMs: 60000, partDelayMs: 0, now: () => now };
+  const message = { key: 'item-1|webhook1', itemId: 'item-1', destination: 'webhook1', parts: ['a', 'b', 'c'] };
+
+  const first = destination(['b']);
+  const outbox = createOutbox(options);
+  assert.equal(await outbox.deliver(outbox.enqueue(message), first.sendPart), null);
+  assert.deepEqual(first.posted, ['a']);
+
+  // The process died here; the item is handled again by the next run
+  const reopened = createOutbox(options);
+  assert.deepEqual(reopened.stats(), { pending: 1, deadLetters: 0 });
+  assert.deepEqual(reopened.due(), []);
+  now += 60000;
+  assert.equal(reopened.due().length, 1);
+
+  const second = destination();
+  const queued = reopened.enqueue(message);
+  assert.equal(queued.attempts, 1);
+  assert.deepEqual(await reopened.deliver(queued, second.sendPart), ['msg-a', 'msg-b', 'msg-c']);
+  assert.deepEqual(second.posted, ['b', 'c']);
+
+  reopened.complete(queued);
+  assert.deepEqual(createOutbox(options).stats(), { pending: 0, deadLetters: 0 });
+});
+
+test('retries back off and end in the dead-letter list', async (t) => {
+  const filePath = path.join(tempDir(t), 'outbox.json');
+  let now = 0;
+  const outbox = createOutbox({ filePath, maxAttempts: 3, retryDelayMs: 1000, partDelayMs: 0, now: () => now });
+  const { sendPart } = destination(['a']);
+  const message = outbox.enqueue({ key: 'item-1|webhook1', itemId: 'item-1', destination: 'webhook1', parts: ['a'] });
+
+  await outbox.deliver(message, sendPart);
+  assert.equal(message.nextAttemptAt, 1000);
+  now = message.nextAttemptAt;
+  await outbox.deliver(message, sendPart);
+  assert.equal(message.nextAttemptAt, 3000);
+  now = message.nextAttemptAt;
+  await outbox.deliver(message, sendPart);
+
+  assert.deepEqual(outbox.stats(), { pending: 0, deadLetters: 1 });
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(saved.deadLetters[0].lastError, 'cannot post a');
+  assert.equal(saved.deadLetters[0].attempts, 3);
+  // Not queued again
+  assert.equal(outbox.enqueue({ key: 'item-1|webhook1', itemId: 'item-1', destination: 'webhook1', parts: ['a'] }), null);
+});
+
+test('a failed post doesn\'t stop the run and is retried by a later one', async (t) => {
+  const tipranks = await startTipRanksServer();
+  const discord = await startDiscordServer();
+  const dir = tempDir(t);
+  t.after(() => Promise.all([tipranks.close(), discord.close()]));
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    TRANSLATION_PROVIDERS: 'none',
+    LOG_FILE: path.join(dir, 'processed.json'),
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0',
+    OUTBOX_RETRY_DELAY_MS: '0'
+  };
+  const storedItems = () => Object.values(JSON.parse(fs.readFileSync(env.LOG_FILE, 'utf8')).items);
+
+  // The oldest item is rejected
+  discord.state.failures.push('400');
+  await createBot(loadConfig(env)).run();
+  // The rejected attempt and the three other items
+  assert.equal(discord.posts().length, 4);
+  assert.equal(storedItems().length, 4);
+  assert.equal(storedItems().filter((r) => r.destinations.length === 0).length, 1);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'outbox.json'), 'utf8')).messages.length, 1);
+
+  await createBot(loadConfig(env)).run();
+  assert.equal(discord.posts().length, 5);
+  assert.deepEqual(discord.posts()[4].body, discord.posts()[0].body);
+  assert.ok(storedItems().every((r) => r.destinations[0]?.messageIds.length === 1));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'outbox.json'), 'utf8')).messages, []);
+});
+
+test('a bot killed in the middle of an item resumes it without posting it again', async (t) => {
+  // One item long enough to go out as several text messages
+  const payload = JSON.parse(readFixture('payload.json'));
+  const [record] = payload.TrumpDashboard.data.list;
+  payload.TrumpDashboard.data.list = [{ ...record, postContent: 'The Fed must cut rates NOW! '.repeat(200).trim() }];
+
+  const tipranks = await startTipRanksServer({ payload });
+  const discord = await startDiscordServer();
+  const dir = tempDir(t);
+  t.after(() => Promise.all([tipranks.close(), discord.close()]));
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    DISCORD_WEBHOOK_FORMAT_1: 'text',
+    TRANSLATION_PROVIDERS: 'none',
+    LOG_FILE: path.join(dir, 'processed.json'),
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0'
+  };
+
+  // The first part goes out, the second is never answered: the process dies waiting for it
+  discord.state.failures.push('', 'hang');
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'bot.js'), 'run'], {
+    cwd: dir,
+    env: { PATH: process.env.PATH, ...env },
+    stdio: 'ignore'
+  });
+  const exited = once(child, 'exit');
+  const deadline = Date.now() + 30000;
+  while (discord.posts().length < 2 && child.exitCode === null && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  child.kill('SIGKILL');
+  await exited;
+  assert.equal(discord.posts().length, 2);
+
+  const [first, second] = discord.posts().map((p) => p.body.content);
+  await createBot(loadConfig(env)).run();
+
+  // Three parts: only the unanswered one is sent a second time, then the last
+  const contents = discord.posts().map((p) => p.body.content);
+  assert.equal(contents.length, 4);
+  assert.equal(contents.filter((c) => c === first).length, 1);
+  assert.equal(contents[2], second);
+
+  const [stored] = Object.values(JSON.parse(fs.readFileSync(env.LOG_FILE, 'utf8')).items);
+  assert.equal(stored.destinations[0].messageIds.length, 3);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'outbox.json'), 'utf8')).messages, []);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed } = require('../src/sources/rss');
+
+test('an Atom entry is dated by its publication, not its last edit', () => {
+  const [item] = parseFeed(`<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>urn:example:1</id>
+    <title>Fed holds rates</title>
+    <updated>2025-01-03T09:00:00Z</updated>
+    <published>2025-01-02T14:30:00Z</published>
+    <link href="https://example.com/1"/>
+  </entry>
+</feed>`);
+
+  assert.equal(item.time, '2025-01-02T14:30:00Z');
+  assert.equal(item.publishedAt, Date.UTC(2025, 0, 2, 14, 30));
+  assert.equal(item.externalId, 'urn:example:1');
+  // Archived as received
+  assert.match(item.raw, /^<entry>\s*<id>urn:example:1<\/id>[\s\S]*<\/entry>$/);
+
+  // Feeds that only carry <updated> still get a date
+  const [updatedOnly] = parseFeed('<feed><entry><title>t</title><updated>2025-01-03T09:00:00Z</updated></entry></feed>');
+  assert.equal(updatedOnly.publishedAt, Date.UTC(2025, 0, 3, 9));
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_STOP_LIST, parseTicker, loadSymbolFile, createTickerResolver } = require('../src/tickers');
+const { loadConfig } = require('../src/config');
+const { createBot } = require('../bot');
+const { readFixture, startTipRanksServer, startDiscordServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const writeSymbols = (t, symbols) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trumpnews-symbols-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'symbols.json');
+  fs.writeFileSync(filePath, JSON.stringify(symbols));
+  return filePath;
+};
+
+test('parseTicker', () => {
+  assert.deepEqual(parseTicker(' $aapl '), { symbol: 'AAPL', exchange: '' });
+  assert.deepEqual(parseTicker('nyse:brk.b'), { symbol: 'BRK.B', exchange: 'NYSE' });
+  assert.equal(parseTicker('not a ticker'), null);
+  assert.equal(parseTicker(''), null);
+});
+
+test('loadSymbolFile reads symbols keyed by ticker or as a list', (t) => {
+  const keyed = loadSymbolFile(writeSymbols(t, { aapl: { exchange: 'nasdaq', name: 'Apple Inc.', type: 'Stock' } }));
+  assert.deepEqual(keyed, { AAPL: { exchange: 'NASDAQ', name: 'Apple Inc.', type: 'stock' } });
+
+  const listed = loadSymbolFile(writeSymbols(t, [
+    { symbol: 'SPY', exchange: 'AMEX', name: 'SPDR S&P 500 ETF Trust', type: 'etf' },
+    { symbol: 'not a ticker' }
+  ]));
+  assert.deepEqual(Object.keys(listed), ['SPY']);
+
+  assert.throws(() => loadSymbolFile('/nonexistent/symbols.json'), /Unable to read symbol file \/nonexistent\/symbols\.json: file not found/);
+});
+
+test('ticker resolver', async (t) => {
+  const symbols = {
+    AAPL: { exchange: 'NASDAQ', name: 'Apple Inc.', type: 'stock' },
+    SPY: { exchange: 'AMEX', name: 'SPDR S&P 500 ETF Trust', type: 'etf' }
+  };
+
+  await t.test('qualifies links with the exchange and adds the company name', () => {
+    const resolver = createTickerResolver({ symbols, links: ['tradingview', 'tipranks', 'yahoo'] });
+    assert.deepEqual(resolver.resolve(['SPY', 'spy']), [{
+      symbol: 'SPY',
+      exchange: 'AMEX',
+      name: 'SPDR S&P 500 ETF Trust',
+      type: 'etf',
+      links: [
+        { label: 'TradingView', url: 'https://www.tradingview.com/chart/?symbol=AMEX%3ASPY' },
+        { label: 'TipRanks', url: 'https://www.tipranks.com/etf/spy' },
+        { label: 'Yahoo', url: 'https://finance.yahoo.com/quote/SPY' }
+      ]
+    }]);
+  });
+
+  await t.test('drops unknown symbols when asked to', () => {
+    assert.deepEqual(createTickerResolver({ symbols }).resolve(['AAPL', 'XYZ', 'PM']).map((r) => r.symbol), ['AAPL', 'XYZ', 'PM']);
+    assert.deepEqual(createTickerResolver({ symbols, dropUnknown: true }).resolve(['AAPL', 'XYZ']).map((r) => r.symbol), ['AAPL']);
+  });
+
+  await t.test('normalizes the symbols an item keeps, stop-listing only guessed ones', () => {
+    const resolver = createTickerResolver();
+    assert.deepEqual(resolver.normalize([' $aapl', 'AAPL', 'US', 'lse:vod', 'not a ticker']), ['AAPL', 'US', 'LSE:VOD']);
+    assert.deepEqual(resolver.normalize(['US', 'CEO', 'AAPL', 'PM'], { fromText: true }), ['AAPL', 'PM']);
+    assert.deepEqual(createTickerResolver({ stopList: ['XYZ'] }).normalize(['US', 'XYZ'], { fromText: true }), ['US']);
+    assert.deepEqual(createTickerResolver({ symbols, dropUnknown: true }).normalize(['SPY', 'XYZ']), ['SPY']);
+    assert.deepEqual(resolver.normalize(undefined), []);
+    // Listed symbols are not stop words
+    assert.ok(!DEFAULT_STOP_LIST.includes('PM'));
+  });
+
+  await t.test('keeps an exchange given with the symbol', () => {
+    const [resolved] = createTickerResolver().resolve(['LSE:VOD']);
+    assert.equal(resolved.links[0].url, 'https://www.tradingview.com/chart/?symbol=LSE%3AVOD');
+  });
+
+  await t.test('rejects unknown link targets', () => {
+    assert.throws(() => createTickerResolver({ links: ['bloomberg'] }), /Unknown ticker link target\(s\) bloomberg/);
+  });
+});
+
+test('ticker settings reach the destinations', (t) => {
+  const env = {
+    SITE_URL: 'https://example.com/dashboard',
+    DISCORD_WEBHOOK_URL_1: 'https://discord.com/api/webhooks/1/one',
+    DISCORD_WEBHOOK_FORMAT_1: 'text',
+    LOG_FILE: 'logs/processed.json',
+    GEMINI_API_KEY_1: 'key-a',
+    TICKER_SYMBOLS_FILE: writeSymbols(t, { AAPL: { exchange: 'NASDAQ', name: 'Apple Inc.' } }),
+    TICKER_LINKS: 'tipranks'
+  };
+
+  const [discord] = loadConfig(env).destinations;
+  const [message] = discord.render({ time: '10:00', sentiment: 'Bullish', summary: 'Up', tickers: ['AAPL', 'USA'] }, {});
+  assert.match(message.content, /^\[\$AAPL\]\(<https:\/\/www\.tipranks\.com\/stocks\/aapl>\) Apple Inc\.\n/);
+
+  assert.throws(() => loadConfig({ ...env, TICKER_LINKS: 'bloomberg' }), /TICKER_LINKS: expected a list of: tradingview, tipranks, yahoo/);
+  assert.throws(() => loadConfig({ ...env, TICKER_SYMBOLS_FILE: '/nonexistent.json' }), /Invalid ticker configuration: Unable to read symbol file/);
+});
+
+test('payload tickers are normalized before routing and storage, never stop-listed', async (t) => {
+  const payload = JSON.parse(readFixture('payload.json'));
+  // A post about Philip Morris, also naming a stop-listed word
+  payload.TrumpDashboard.data.list[0].stocks = ['$pm', 'US'];
+  const tipranks = await startTipRanksServer({ payload });
+  const discord = await startDiscordServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trumpnews-tickers-'));
+  t.after(async () => {
+    await Promise.all([tipranks.close(), discord.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const env = {
+    NEWS_SOURCES: 'tipranks',
+    SITE_URL: tipranks.siteUrl,
+    TIPRANKS_PAYLOAD_URL: tipranks.payloadUrl,
+    SCRAPE_MODE: 'payload',
+    DISCORD_WEBHOOK_URL_1: discord.webhookUrl(1),
+    DISCORD_WEBHOOK_URL_2: discord.webhookUrl(2),
+    ROUTING_RULES: JSON.stringify({ strategy: 'rules', rules: [{ match: { tickers: 'PM' }, to: ['webhook2'] }], default: ['webhook1'] }),
+    TRANSLATION_PROVIDERS: 'none',
+    LOG_FILE: path.join(dir, 'processed.json'),
+    POST_DELAY_MS: '0',
+    MAX_ITEM_AGE_HOURS: '0'
+  };
+  await createBot(loadConfig(env)).run();
+
+  assert.equal(discord.posts().length, 4);
+  assert.deepEqual(discord.posts().filter((p) => p.path.startsWith('/api/webhooks/2/')).length, 1);
+  const stored = Object.values(JSON.parse(fs.readFileSync(env.LOG_FILE, 'utf8')).items);
+  assert.deepEqual(stored.find((r) => r.original.tickers.includes('PM')).original.tickers, ['PM', 'US']);
+
+  // Hashed as received: the next run finds nothing new
+  await createBot(loadConfig(env)).run();
+  assert.equal(discord.posts().length, 4);
+});
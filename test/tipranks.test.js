@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { chromium } = require('playwright');
+const {
+  buildPayloadIndex,
+  findPayloadMatch,
+  parsePostTimestamp,
+  mergePayloadRecords,
+  buildItemsFromPayload,
+  createTipRanksSource
+} = require('../src/sources/tipranks');
+const { createContentHash, createItemIdentity } = require('../bot');
+const { readFixture, startTipRanksServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+const payloadList = () => JSON.parse(readFixture('payload.json')).TrumpDashboard.data.list;
+
+test('findPayloadMatch', async (t) => {
+  const index = buildPayloadIndex(payloadList());
+  const match = (time, summary) => findPayloadMatch({ time, summary }, index)?.id ?? null;
+
+  await t.test('strategy 1: exact summary', () => {
+    assert.equal(match('11:15 AM', 'Trump says the Fed should cut interest rates immediately'), 9004);
+    // Whitespace differences don't matter
+    assert.equal(match('11:15 AM', '  Trump says the Fed  should cut\ninterest rates immediately '), 9004);
+  });
+
+  await t.test('strategy 2: truncated summary at the same time', () => {
+    assert.equal(match('10:40 AM', 'Trump praises Tesla and calls EV tax'), 9003);
+    // A prefix at another time is not trusted
+    assert.equal(match('08:00 AM', 'Trump praises Tesla and calls EV tax'), null);
+  });
+
+  await t.test('strategy 3: the only item at that time', () => {
+    assert.equal(match('09:05 AM', 'Energy stocks rally as Trump opens federal land to drilling'), 9001);
+  });
+
+  await t.test('strategy 4: best word overlap among items at the same time', () => {
+    assert.equal(match('10:40 AM', 'Trump threatens new tariffs on Chinese steel imports'), 9002);
+    // Too little overlap with either item at 10:40
+    assert.equal(match('10:40 AM', 'Markets close higher on Friday'), null);
+  });
+
+  await t.test('rows without time or summary never match', () => {
+    assert.equal(match('', 'Trump says the Fed should cut interest rates immediately'), null);
+    assert.equal(match('11:15 AM', ''), null);
+  });
+});
+
+test('parsePostTimestamp reads postDate and postTime as New York time', () => {
+  assert.equal(parsePostTimestamp({ postDate: '2025-01-02', postTime: '11:15 AM' }), Date.parse('2025-01-02T16:15:00Z'));
+  // Daylight saving time, midnight, a 24-hour clock and a date with a time part
+  assert.equal(parsePostTimestamp({ postDate: '2025-07-04', postTime: '12:05 AM' }), Date.parse('2025-07-04T04:05:00Z'));
+  assert.equal(parsePostTimestamp({ postDate: '2025-07-04T00:00:00', postTime: '18:30' }), Date.parse('2025-07-04T22:30:00Z'));
+
+  assert.equal(parsePostTimestamp({ postDate: '2025-07-04', postTime: '13:30 PM' }), null);
+  assert.equal(parsePostTimestamp({ postTime: '11:15 AM' }), null);
+});
+
+test('buildItemsFromPayload normalizes records and rejects unusable payloads', () => {
+  const items = buildItemsFromPayload(payloadList());
+  assert.equal(items.length, 4);
+  assert.deepEqual(items[0], {
+    time: '11:15 AM',
+    sentiment: 'Bullish',
+    summary: 'Trump says the Fed should cut interest rates immediately',
+    tickers: ['SPY', 'QQQ'],
+    sector: 'Financials',
+    fullTweet: 'The Fed must cut rates NOW! Our economy deserves it.',
+    externalId: '9004',
+    publishedAt: Date.parse('2025-01-02T16:15:00Z'),
+    raw: payloadList()[0]
+  });
+
+  assert.equal(buildItemsFromPayload([]), null);
+  assert.equal(buildItemsFromPayload({ not: 'a list' }), null);
+  // Mostly unusable records: the format has probably changed
+  assert.equal(buildItemsFromPayload([{ postTime: '1' }, { postSummary: 'x' }, payloadList()[0]]), null);
+});
+
+test('payload scrape mode reads the dashboard payload over plain HTTP', async (t) => {
+  const tipranks = await startTipRanksServer();
+  t.after(() => tipranks.close());
+
+  const source = createTipRanksSource({
+    siteUrl: tipranks.siteUrl,
+    payloadUrl: tipranks.payloadUrl,
+    scrapeMode: 'payload',
+    navigationTimeoutMs: 5000,
+    userAgent: 'test'
+  });
+
+  const items = await source.fetchItems();
+  assert.deepEqual(items.map((i) => i.externalId), ['9004', '9003', '9002', '9001']);
+  assert.ok(items.every((i) => i.sourceUrl === tipranks.siteUrl));
+  assert.deepEqual(tipranks.state.requests.map((r) => r.path), ['/payload.json']);
+});
+
+// The browser scrape needs Playwright's Chromium (npx playwright install chromium)
+// The rows the browser reads from the recorded dashboard, parsed without a browser:
+// the title attribute or the visible text of the summary, the link texts of the tickers
+const dashboardRows = () => {
+  const text = (html) => html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return readFixture('dashboard.html').split('class="rt-tr-group"').slice(1).map((group) => {
+    const cells = [...group.matchAll(/<div class="rt-td">(.*?)<\/div>/g)].map((m) => m[1]);
+    return {
+      time: text(cells[0]),
+      sentiment: text(cells[1]),
+      summary: cells[3].match(/title="([^"]*)"/)?.[1] || text(cells[3]),
+      tickers: [...cells[4].matchAll(/<a [^>]*>([^<]*)<\/a>/g)].map((m) => m[1]),
+      sector: text(cells[5])
+    };
+  });
+};
+
+test('both scrape modes give the dashboard items the same IDs and content hashes', () => {
+  const rows = dashboardRows();
+  // The table shortens this one
+  assert.equal(rows[1].summary, 'Trump praises Tesla and calls EV tax');
+
+  const keys = (items) => items.map((item) => [createItemIdentity(item), createContentHash(item)]);
+  assert.deepEqual(keys(mergePayloadRecords(rows, payloadList())), keys(buildItemsFromPayload(payloadList())));
+
+  // A row without a payload record keeps what the table shows
+  const [unmatched] = mergePayloadRecords([{ ...rows[0], time: '08:00 AM', summary: 'Markets close higher on Friday' }], payloadList());
+  assert.deepEqual(
+    { summary: unmatched.summary, fullTweet: unmatched.fullTweet, externalId: unmatched.externalId, publishedAt: unmatched.publishedAt },
+    { summary: 'Markets close higher on Friday', fullTweet: '', externalId: '', publishedAt: null }
+  );
+});
+
+const hasChromium = (() => {
+  try {
+    return fs.existsSync(chromium.executablePath());
+  } catch {
+    return false;
+  }
+})();
+
+test('browser scrape matches recorded dashboard rows to payload records', { skip: !hasChromium && 'Chromium is not installed' }, async (t) => {
+  const tipranks = await startTipRanksServer();
+  t.after(() => tipranks.close());
+
+  const source = createTipRanksSource({
+    siteUrl: tipranks.siteUrl,
+    payloadUrl: tipranks.payloadUrl,
+    scrapeMode: 'browser',
+    headless: true,
+    navigationTimeoutMs: 15000,
+    pageWaitTimeoutMs: 10000,
+    userAgent: 'test',
+    maxMessages: 10
+  });
+
+  const items = await source.fetchItems();
+  assert.deepEqual(items.map((i) => i.externalId), ['9004', '9003', '9002', '9001']);
+  assert.deepEqual(items[2].tickers, ['X', 'AA']);
+  assert.equal(items[3].fullTweet, 'We will DRILL, BABY, DRILL on federal land. Energy prices will come way down!');
+});
+
+test('payload mode falls back to the browser when the payload is malformed', { skip: !hasChromium && 'Chromium is not installed' }, async (t) => {
+  const tipranks = await startTipRanksServer();
+  t.after(() => tipranks.close());
+  tipranks.state.failures.push('malformed');
+
+  const source = createTipRanksSource({
+    siteUrl: tipranks.siteUrl,
+    payloadUrl: tipranks.payloadUrl,
+    scrapeMode: 'payload',
+    headless: true,
+    navigationTimeoutMs: 15000,
+    pageWaitTimeoutMs: 10000,
+    userAgent: 'test',
+    maxMessages: 10
+  });
+
+  const items = await source.fetchItems();
+  assert.equal(items.length, 4);
+  assert.ok(tipranks.state.requests.some((r) => r.path === '/dashboard'));
+});
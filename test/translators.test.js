@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranslationProviders, createTranslationChain } = require('../src/translators');
+const { languageCode } = require('../src/translators/libretranslate');
+const { createTranslationCache } = require('../src/translationCache');
+const { startGeminiServer, startOpenAiServer, startLibreTranslateServer, silenceConsole } = require('./helpers/servers');
+
+silenceConsole();
+
+test('languageCode', () => {
+  assert.equal(languageCode('Hebrew'), 'he');
+  assert.equal(languageCode('pt-BR'), 'pt-BR');
+  assert.throws(() => languageCode('Klingon'), /no language code known for "Klingon"/);
+});
+
+test('translation chain falls back provider by provider', async (t) => {
+  const [gemini, openai, libre] = await Promise.all([startGeminiServer(), startOpenAiServer(), startLibreTranslateServer()]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translators-test-'));
+  t.after(async () => {
+    await Promise.all([gemini.close(), openai.close(), libre.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createChain = (name, types) => createTranslationChain({
+    providers: createTranslationProviders(types, {
+      gemini: { apiKeys: ['key-a'], modelName: 'test-model', minDelayMs: 0, baseUrl: gemini.url },
+      openai: { baseUrl: `${openai.url}/v1`, apiKey: 'sk-local', model: 'local-model', batchSize: 2, maxServerRetries: 0, maxRateLimitRetries: 1 },
+      libretranslate: { url: libre.url, maxServerRetries: 0 }
+    }),
+    cache: createTranslationCache({ filePath: path.join(dir, `${name}.json`), maxEntries: 100, maxAgeMs: 3600000 })
+  });
+
+  const reset = (server, ...failures) => {
+    server.state.requests.length = 0;
+    server.state.failures.splice(0, Infinity, ...failures);
+    server.state.poison?.splice(0);
+    server.state.omit?.splice(0);
+  };
+
+  await t.test('an OpenAI-compatible server takes over when Gemini is down', async () => {
+    reset(gemini, '503');
+    reset(openai);
+    const chain = createChain('openai', ['gemini', 'openai']);
+
+    const out = await chain.translateSummaries(['one', 'two', 'three'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] one', '[Hebrew] two', '[Hebrew] three']);
+    assert.equal(gemini.state.requests.length, 1);
+    assert.equal(openai.state.requests.length, 2);
+    assert.equal(openai.state.requests[0].path, '/v1/chat/completions');
+    assert.equal(openai.state.requests[0].authorization, 'Bearer sk-local');
+    assert.equal(openai.state.requests[0].body.model, 'local-model');
+  });
+
+  await t.test('a failed batch moves on to the next provider with the rest', async () => {
+    reset(openai, undefined, '500');
+    reset(libre);
+    const chain = createChain('libre', ['openai', 'libretranslate']);
+
+    const out = await chain.translateSummaries(['one', 'two', 'three', 'four'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] one', '[Hebrew] two', '[he] three', '[he] four']);
+    assert.deepEqual(libre.state.requests[0].body, { q: ['three', 'four'], source: 'auto', target: 'he', format: 'text' });
+
+    // Each provider's translations are cached under its own key and served next time
+    reset(openai);
+    reset(libre);
+    assert.deepEqual(await chain.translateSummaries(['four', 'one'], 'Hebrew'), ['[he] four', '[Hebrew] one']);
+    assert.equal(openai.state.requests.length + libre.state.requests.length, 0);
+  });
+
+  await t.test('a provider that stays rate-limited gives way to the next one', async () => {
+    reset(openai, '429', '429', '429');
+    reset(libre);
+    const chain = createChain('rate-limited', ['openai', 'libretranslate']);
+
+    assert.deepEqual(await chain.translateSummaries(['hello'], 'Hebrew'), ['[he] hello']);
+    // The first request and its one retry
+    assert.equal(openai.state.requests.length, 2);
+  });
+
+  await t.test('malformed model output counts as a failure', async () => {
+    reset(openai, 'malformed');
+    reset(libre);
+    const chain = createChain('malformed', ['openai', 'libretranslate']);
+
+    assert.deepEqual(await chain.translateSummaries(['hello'], 'Arabic'), ['[ar] hello']);
+  });
+
+  await t.test('only the item a model chokes on goes to the next provider', async () => {
+    reset(openai);
+    reset(libre);
+    openai.state.poison.push('bad');
+    const chain = createChain('isolate', ['openai', 'libretranslate']);
+
+    const out = await chain.translateSummaries(['good', 'bad', 'fine'], 'Hebrew');
+    assert.deepEqual(out, ['[Hebrew] good', '[he] bad', '[Hebrew] fine']);
+    assert.deepEqual(libre.state.requests.map((r) => r.body.q), [['bad']]);
+  });
+
+  await t.test('"none" stops the chain and keeps the original text', async () => {
+    reset(gemini, '503');
+    reset(libre);
+    const chain = createChain('none', ['gemini', 'none', 'libretranslate']);
+
+    assert.equal(await chain.translateSummaries(['hello'], 'Hebrew'), null);
+    assert.equal(libre.state.requests.length, 0);
+
+    assert.equal(await createChain('only-none', ['none']).translateSummaries(['hello'], 'Hebrew'), null);
+  });
+
+  await t.test('every provider failing falls back to the original text', async () => {
+    reset(openai, '500');
+    reset(libre, '500');
+    const chain = createChain('all-down', ['openai', 'libretranslate']);
+
+    assert.equal(await chain.translateSummaries(['hello'], 'Hebrew'), null);
+  });
+});